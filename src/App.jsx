@@ -1,17 +1,116 @@
 import { useEffect, useMemo, useRef, useState } from "react";
+import { createPortal } from "react-dom";
 import { BrowserMultiFormatReader } from "@zxing/browser";
 import { NotFoundException } from "@zxing/library";
 import { styles } from "./ui.js";
+import { cleanISBN, hyphenateISBN, isbnProblem, isValidISBN, toISBN13 } from "./isbn.js";
+import { combineNotes, findDuplicates, groupDuplicates, pairKey } from "./dedupe.js";
+import { DEFAULT_PROVIDER_ORDER, PROVIDERS, providerLabel } from "./providers.js";
+import { cacheStats, cachedCoverBlob, cachedSearchMetadata, clearCache } from "./cache.js";
+import {
+  DEFAULT_EXPORT_FIELDS,
+  EXPORT_FIELDS,
+  IMPORT_FIELDS,
+  PRESETS as CSV_PRESETS,
+  booksToCSV,
+  detectPreset,
+  matchForms,
+  matchImport,
+  parseCSV,
+  planMatched,
+  presetMapping,
+} from "./csv.js";
+import { IMPORT_MODES, applyBackupImport, planBackupImport, readBackup } from "./backup.js";
+import { highlight, parseQuery, searchBooks, snippet } from "./search.js";
+import {
+  AUTHOR_FIELDS,
+  ROLES,
+  byRole,
+  contributorName,
+  contributorsOf,
+  mainAuthor,
+  otherContributors,
+  replaceMainAuthor,
+  withAuthorFields,
+} from "./contributors.js";
+import {
+  EDITION_FIELDS,
+  FORMATS,
+  LANGUAGES,
+  NO_EDITION_FILTER,
+  editionFields,
+  editionValue,
+  hasEditionFilter,
+  imprint,
+  languageLabel,
+  matchesEdition,
+} from "./edition.js";
+import { auditKey, auditReport, expectedBooks, matchScan } from "./audit.js";
+import { GROUPINGS, LETTERS, SORT_ORDERS, groupBooks, hasIndex, indexLetter, sortBooks } from "./listing.js";
+import {
+  LEVELS,
+  LOCATION_FIELDS,
+  PATH_SEPARATOR,
+  addNode,
+  childrenOf,
+  countByNode,
+  ensurePath,
+  findLocation,
+  flattenTree,
+  locationLabel,
+  pathTo,
+  renameNode,
+  splitLocationText,
+  subtreeIds,
+} from "./locations.js";
+import { code128, qrMatrix } from "./barcode.js";
+import {
+  CODE128_QUIET,
+  CODE_KINDS,
+  LABEL_PAD,
+  LABEL_SHEETS,
+  MIN_MODULE_MM,
+  bookCode,
+  code128Fits,
+  locationCode,
+  paginate,
+  parseLabelCode,
+  shelfMark,
+  shortTitle,
+} from "./labels.js";
+import { CITATION_FORMATS, detectCitationFormat, formatCitations, parseCitations } from "./biblio.js";
+import { coverDownloadURL, loadCoverFile, makePersonalCover, migrateDataUrlCovers } from "./covers.js";
 import {
   clearAllData,
+  countBooks,
+  coverPaths,
+  BOOK_PAGE_SIZE,
+  booksWithIsbn,
   deleteBook,
+  deleteLoan,
+  discardBulkJob,
+  discardConflict,
   exportBackupJSON,
-  getLocations,
-  importBackupJSON,
+  getBook,
+  lendBook,
+  listArchives,
   listBooks,
   makeId,
-  setLocations,
+  onSyncState,
+  pageBooks,
+  pendingBulkJob,
+  releaseCoverFiles,
+  renameArchive,
+  resolveConflict,
+  resumeBulkJob,
+  returnLoan,
+  saveLocationTree,
+  setLocationNodes,
+  startSync,
+  subscribeLibrary,
+  updateSettings,
   upsertBook,
+  upsertLoan,
 } from "./data.js";
 
 import { auth } from "./firebase";
@@ -29,39 +128,30 @@ const ALLOWED_EMAILS = [
 
 function norm(s){ return (s||"").toString().trim(); }
 function normKey(s){ return norm(s).toLowerCase(); }
-
-function matches(book, q){
-  if(!q) return true;
-  const qq = normKey(q);
-  return (
-    normKey(book.title).includes(qq) ||
-    normKey(book.authorLast).includes(qq) ||
-    normKey(book.authorFirst).includes(qq) ||
-    normKey(book.location).includes(qq) ||
-    normKey(book.archive).includes(qq) ||
-    normKey(book.isbn).includes(qq)
-  );
+// Distinct non-empty texts of a book field, alphabetical (suggestions and filters).
+function textValues(books, k){
+  const s = new Set();
+  books.forEach(b=>{ const v=norm(b[k]); if(v) s.add(v); });
+  return Array.from(s).sort((a,b)=>a.localeCompare(b,"it"));
 }
 
-function splitAuthor(full){
-  const s = norm(full);
-  if(!s) return {last:"", first:""};
-  if(s.includes(",")){
-    const [last, first] = s.split(",").map(x=>norm(x));
-    return {last, first};
-  }
-  const parts = s.split(/\s+/).filter(Boolean);
-  if(parts.length===1) return {last:parts[0], first:""};
-  return { last: parts[parts.length-1], first: parts.slice(0,-1).join(" ") };
+function todayISO(){
+  const d = new Date();
+  d.setMinutes(d.getMinutes()-d.getTimezoneOffset());
+  return d.toISOString().slice(0,10);
 }
-
-function cleanISBN(raw){
-  const s = norm(raw).replace(/[^0-9Xx]/g,"").toUpperCase();
-  return s.length>13 ? s.slice(0,13) : s;
+function addDaysISO(iso, days){
+  const d = new Date(`${iso}T12:00:00`);
+  d.setDate(d.getDate()+days);
+  return d.toISOString().slice(0,10);
 }
-function isValidISBN(s){
-  const x = cleanISBN(s);
-  return x.length===10 || x.length===13;
+function formatDate(iso){
+  if(!iso) return "";
+  const [y,m,d] = iso.split("-");
+  return `${d}/${m}/${y}`;
+}
+function isOverdue(loan){
+  return !loan.returnedAt && !!loan.dueAt && loan.dueAt < todayISO();
 }
 
 
@@ -130,17 +220,75 @@ async function tryApplyFocus(videoTrack) {
   } catch {}
 }
 
-function CameraISBNScanner({ onDetected, onClose }) {
+let audioCtx = null;
+
+function scanFeedback(kind = "ok") {
+  try {
+    navigator.vibrate?.(kind === "ok" ? 80 : [40, 60, 40]);
+  } catch {}
+  try {
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    if (!Ctx) return;
+    audioCtx = audioCtx || new Ctx();
+    const osc = audioCtx.createOscillator();
+    const gain = audioCtx.createGain();
+    osc.frequency.value = kind === "ok" ? 1400 : 440;
+    gain.gain.value = 0.08;
+    osc.connect(gain);
+    gain.connect(audioCtx.destination);
+    osc.start();
+    osc.stop(audioCtx.currentTime + (kind === "ok" ? 0.09 : 0.25));
+  } catch {}
+}
+
+// With `labels`, QR and Code 128 labels printed by the app (labels.js) are read too and
+// passed on as they are; everything else must be a valid ISBN.
+function CameraISBNScanner({ onDetected, onClose, continuous = false, labels = false, title = "Scanner ISBN" }) {
   const videoRef = useRef(null);
   const streamRef = useRef(null);
   const stopRef = useRef(false);
   const lastRef = useRef({ value: "", hits: 0 });
+  const emittedRef = useRef({ value: "", at: 0 });
+  const onDetectedRef = useRef(onDetected);
+  onDetectedRef.current = onDetected;
   const [status, setStatus] = useState("Avvio fotocamera…");
   const [error, setError] = useState("");
 
   useEffect(() => {
     stopRef.current = false;
 
+    // Single mode: the first confirmed code ends the loop.
+    // Continuous mode: keep scanning, but don't re-emit the code still in front of the camera.
+    function confirm(cleaned) {
+      if (!continuous) {
+        onDetectedRef.current(cleaned);
+        return true;
+      }
+      const now = Date.now();
+      const prev = emittedRef.current;
+      if (prev.value !== cleaned || now - prev.at > 2500) {
+        onDetectedRef.current(cleaned);
+      }
+      emittedRef.current = { value: cleaned, at: now };
+      lastRef.current = { value: "", hits: 0 };
+      return false;
+    }
+
+    // A code is confirmed when read twice in a row. Returns true when scanning should stop.
+    function accept(raw) {
+      const label = labels && parseLabelCode(raw);
+      const cleaned = label ? raw.trim() : cleanISBN(raw);
+      if (!cleaned) return false;
+      if (!label && !isValidISBN(cleaned)) {
+        setStatus(`Codice ${cleaned} ignorato: ${isbnProblem(cleaned)}`);
+        return false;
+      }
+      const last = lastRef.current;
+      if (last.value === cleaned) last.hits += 1;
+      else lastRef.current = { value: cleaned, hits: 1 };
+      return lastRef.current.hits >= 2 && confirm(cleaned);
+    }
+
     async function start() {
       setError("");
       setStatus("Cerco la fotocamera…");
@@ -159,10 +307,12 @@ function CameraISBNScanner({ onDetected, onClose }) {
         await tryApplyFocus(track);
 
         await video.play();
-        setStatus("Inquadra il codice a barre ISBN (EAN-13 978/979)…");
+        setStatus(labels ? "Inquadra un'etichetta della biblioteca o il codice a barre ISBN…" : "Inquadra il codice a barre ISBN (EAN-13 978/979)…");
 
         if (supportsBarcodeDetector()) {
-          const detector = new window.BarcodeDetector({ formats: ["ean_13"] });
+          const wanted = labels ? ["ean_13", "qr_code", "code_128"] : ["ean_13"];
+          const supported = await window.BarcodeDetector.getSupportedFormats?.().catch(() => null);
+          const detector = new window.BarcodeDetector({ formats: supported ? wanted.filter(f => supported.includes(f)) : wanted });
           const canvas = document.createElement("canvas");
           const ctx = canvas.getContext("2d", { willReadFrequently: true });
 
@@ -191,19 +341,7 @@ function CameraISBNScanner({ onDetected, onClose }) {
                 ctx.putImageData(imageData, cx, cy);
 
                 const codes = await detector.detect(canvas);
-                if (codes && codes.length) {
-                  const raw = codes[0].rawValue || "";
-                  const cleaned = cleanISBN(raw);
-                  if (cleaned) {
-                    const last = lastRef.current;
-                    if (last.value === cleaned) last.hits += 1;
-                    else lastRef.current = { value: cleaned, hits: 1 };
-                    if (lastRef.current.hits >= 2) {
-                      onDetected(cleaned);
-                      return;
-                    }
-                  }
-                }
+                if (codes && codes.length && accept(codes[0].rawValue || "")) return;
               }
             } catch {}
             setTimeout(loop, 120);
@@ -217,16 +355,7 @@ function CameraISBNScanner({ onDetected, onClose }) {
           if (stopRef.current) return;
           try {
             const result = await reader.decodeOnceFromVideoElement(video);
-            const cleaned = cleanISBN(result?.getText?.() || result?.text || "");
-            if (cleaned) {
-              const last = lastRef.current;
-              if (last.value === cleaned) last.hits += 1;
-              else lastRef.current = { value: cleaned, hits: 1 };
-              if (lastRef.current.hits >= 2) {
-                onDetected(cleaned);
-                return;
-              }
-            }
+            if (accept(result?.getText?.() || result?.text || "")) return;
           } catch (e) {
             if (!(e instanceof NotFoundException)) {
               // ignore
@@ -251,12 +380,12 @@ function CameraISBNScanner({ onDetected, onClose }) {
         if (s) s.getTracks().forEach(t => t.stop());
       } catch {}
     };
-  }, [onDetected]);
+  }, [continuous, labels]);
 
   return (
     <div style={{...styles.card, display:"grid", gap:10}}>
       <div style={{display:"flex", justifyContent:"space-between", alignItems:"center", gap:10}}>
-        <div style={{fontWeight:900}}>Scanner ISBN</div>
+        <div style={{fontWeight:900}}>{title}</div>
         <button style={styles.btn} onClick={onClose}>Chiudi</button>
       </div>
 
@@ -279,72 +408,90 @@ function CameraISBNScanner({ onDetected, onClose }) {
   );
 }
 
-async function googleBooksSearch({ isbn, title, author }){
-  let q = "";
-  const is = cleanISBN(isbn||"");
-  if(isValidISBN(is)) q = `isbn:${is}`;
-  else q = [norm(title), norm(author)].filter(Boolean).join(" ");
-  if(!q) return [];
-  const url = `https://www.googleapis.com/books/v1/volumes?q=${encodeURIComponent(q)}&maxResults=5`;
-  const res = await fetch(url);
-  if(!res.ok) return [];
-  const data = await res.json();
-  const items = Array.isArray(data.items) ? data.items : [];
-  return items.map(it=>{
-    const v = it.volumeInfo || {};
-    const authors = Array.isArray(v.authors) ? v.authors.join(", ") : "";
-    const {last, first} = splitAuthor((v.authors?.[0]) || authors);
-    const cover = v.imageLinks?.thumbnail || v.imageLinks?.smallThumbnail || "";
-    const isbn13 = (v.industryIdentifiers||[]).find(x=>x.type==="ISBN_13")?.identifier || "";
-    return {
-      id: it.id,
-      title: v.title || "",
-      authorLast: last,
-      authorFirst: first,
-      publishedDate: v.publishedDate || "",
-      publisher: v.publisher || "",
-      isbn: isbn13 || is,
-      coverUrl: cover,
-    };
-  });
+function describeProviderErrors(errors){
+  return errors.map(e=>`${providerLabel(e.provider)}: ${e.message}`).join("; ");
 }
 
-function blobToDataURL(blob){
-  return new Promise(resolve=>{
-    const r = new FileReader();
-    r.onload = ()=>resolve(String(r.result||""));
-    r.readAsDataURL(blob);
-  });
+// Catalog covers are shown from the local cover cache once downloaded; until then
+// (or if the download fails) the remote URL is used directly.
+function useCoverSrc(url){
+  const [src,setSrc]=useState(url||"");
+  useEffect(()=>{
+    setSrc(url||"");
+    if(!url) return;
+    let objectUrl = "";
+    let alive = true;
+    cachedCoverBlob(url).then(blob=>{
+      if(!alive || !blob) return;
+      objectUrl = URL.createObjectURL(blob);
+      setSrc(objectUrl);
+    });
+    return ()=>{ alive = false; if(objectUrl) URL.revokeObjectURL(objectUrl); };
+  },[url]);
+  return src;
 }
 
-async function downscaleImage(fileOrBlob, maxSide=900, quality=0.78){
-  const blob = fileOrBlob instanceof Blob ? fileOrBlob : new Blob([fileOrBlob]);
-  const img = document.createElement("img");
-  const url = URL.createObjectURL(blob);
-  img.src = url;
-  await new Promise((res, rej)=>{ img.onload=res; img.onerror=rej; });
-  const w = img.naturalWidth || img.width;
-  const h = img.naturalHeight || img.height;
-  const scale = Math.min(1, maxSide / Math.max(w,h));
-  const nw = Math.round(w*scale);
-  const nh = Math.round(h*scale);
-  const canvas = document.createElement("canvas");
-  canvas.width = nw; canvas.height = nh;
-  const ctx = canvas.getContext("2d");
-  ctx.drawImage(img,0,0,nw,nh);
-  URL.revokeObjectURL(url);
-  return await new Promise(resolve=>canvas.toBlob(b=>resolve(b),"image/jpeg",quality));
+function CoverImg({ url, style }){
+  const src = useCoverSrc(url);
+  return src ? <img alt="" src={src} style={style}/> : null;
+}
+
+function useObjectURL(blob){
+  const [url,setUrl]=useState("");
+  useEffect(()=>{
+    if(!blob){ setUrl(""); return; }
+    const u = URL.createObjectURL(blob);
+    setUrl(u);
+    return ()=>URL.revokeObjectURL(u);
+  },[blob]);
+  return url;
+}
+
+// Personal photos live in Firebase Storage: nothing is downloaded until the image
+// scrolls into view, then it comes from the local copy/cache or from Storage.
+function StoredImg({ path, style }){
+  const boxRef = useRef(null);
+  const [visible,setVisible]=useState(false);
+  const [blob,setBlob]=useState(null);
+  const [url,setUrl]=useState("");
+  const blobUrl = useObjectURL(blob);
+
+  useEffect(()=>{
+    if(visible || !boxRef.current) return;
+    if(typeof IntersectionObserver==="undefined"){ setVisible(true); return; }
+    const io = new IntersectionObserver(entries=>{
+      if(entries.some(e=>e.isIntersecting)) setVisible(true);
+    }, { rootMargin:"300px" });
+    io.observe(boxRef.current);
+    return ()=>io.disconnect();
+  },[visible]);
+
+  useEffect(()=>{
+    setBlob(null); setUrl("");
+    if(!visible || !path) return;
+    let alive = true;
+    loadCoverFile(path).then(async b=>{
+      if(!alive) return;
+      if(b){ setBlob(b); return; }
+      const u = await coverDownloadURL(path).catch(()=>"");
+      if(alive) setUrl(u);
+    });
+    return ()=>{ alive = false; };
+  },[path, visible]);
+
+  const src = blobUrl || url;
+  return src ? <img alt="" src={src} style={style}/> : <div ref={boxRef} style={style}/>;
+}
+
+// Personal photo of a book: Storage paths, or the old inline data URL until migrated.
+function PersonalCover({ book, size="thumb", style }){
+  if(book.personalCover?.[size]) return <StoredImg path={book.personalCover[size]} style={style}/>;
+  if(book.personalCoverDataUrl) return <img alt="" src={book.personalCoverDataUrl} style={style}/>;
+  return null;
 }
 
-async function fetchAsDataURL(url){
-  if(!url) return "";
-  try{
-    const res = await fetch(url);
-    if(!res.ok) return "";
-    const b = await res.blob();
-    const resized = await downscaleImage(b, 800, 0.78);
-    return await blobToDataURL(resized);
-  }catch{ return ""; }
+function hasPersonalCover(book){
+  return !!(book.personalCover || book.personalCoverDataUrl);
 }
 
 function AuthGate(){
@@ -411,59 +558,307 @@ function AuthGate(){
   );
 }
 
-function TopBar({ userEmail, onAdd, onLocations, onBackup, onLogout }){
+function SyncIndicator({ sync }){
+  if(!sync) return null;
+  if(!sync.online){
+    return <div style={{...styles.small, color:"#b00020"}}>Offline{sync.pending?` • ${sync.pending} modifiche in attesa`:""}</div>;
+  }
+  if(sync.pending){
+    return <div style={{...styles.small, color:"#8a5a00"}}>{sync.syncing?"Sincronizzo… ":""}{sync.pending} modifiche in attesa</div>;
+  }
+  return <div style={styles.small}>{sync.syncing?"Sincronizzo…":"Sincronizzato"}</div>;
+}
+
+function TopBar({ userEmail, sync, loansCount, overdueCount, onAdd, onScan, onScanCode, onLoans, onDuplicates, onLocations, onAudit, onBackup, onSettings, onLogout }){
   return (
     <div style={styles.topbar}>
       <div style={{flex:1}}>
         <h1 style={styles.h1}>Biblioteca Scott</h1>
         <div style={styles.small}>Utente: {userEmail}</div>
+        <SyncIndicator sync={sync}/>
       </div>
+      <button style={styles.btn} onClick={onLoans}>
+        Prestiti{loansCount?` (${loansCount})`:""}{overdueCount?<span style={{color:"#b00020"}}> • {overdueCount} in ritardo</span>:null}
+      </button>
+      <button style={styles.btn} onClick={onDuplicates}>Doppioni</button>
       <button style={styles.btn} onClick={onLocations}>Location</button>
+      <button style={styles.btn} onClick={onAudit}>Inventario</button>
       <button style={styles.btn} onClick={onBackup}>Backup</button>
+      <button style={styles.btn} onClick={onSettings}>Impostazioni</button>
       <button style={styles.btn} onClick={onLogout}>Logout</button>
+      <button style={styles.btn} onClick={onScanCode}>📷 Scansiona</button>
+      <button style={styles.btn} onClick={onScan}>📚 Scansione in serie</button>
       <button style={styles.btnPrimary} onClick={onAdd}>+ Aggiungi</button>
     </div>
   );
 }
 
-function BookCard({ b, onOpen }){
-  const personal = b.personalCoverDataUrl || "";
+function LoanBadge({ loan }){
+  if(!loan) return null;
+  const late = isOverdue(loan);
+  return <span style={late?styles.badgeDanger:styles.badge}>{late?"In ritardo":"In prestito"} • {loan.borrower}</span>;
+}
+
+// With `onPick` the card toggles selection instead of opening the book.
+// Pieces from highlight()/snippet() in search.js, matched words marked.
+function marked(parts){
+  return parts.map((p,i)=>p.hit ? <mark key={i} style={styles.mark}>{p.text}</mark> : p.text);
+}
+
+// Text with the words matched by the search terms marked.
+function Hl({ text, terms, field }){
+  if(!terms?.length) return text || "";
+  return marked(highlight(text, terms, field));
+}
+
+// Authors ("Calvino, Italo; Levi, Primo") and, under them, the other people by role.
+function People({ book, terms=[], style, otherStyle=styles.small }){
+  const people = contributorsOf(book);
+  const authors = byRole(people, "author");
+  const others = otherContributors(people);
+  if(!people.length) return null;
+  return (
+    <>
+      {authors.length ? (
+        <div style={style}>
+          {authors.map((c,i)=><span key={i}>{i ? "; " : ""}<Hl text={contributorName(c, { inverted:true })} terms={terms} field="author"/></span>)}
+        </div>
+      ) : null}
+      {others.length ? (
+        <div style={authors.length ? otherStyle : style}>
+          {others.map((g,i)=>(
+            <span key={g.role}>
+              {i ? " • " : ""}{ROLES[g.role].short}{" "}
+              {g.people.map((c,j)=><span key={j}>{j ? ", " : ""}<Hl text={contributorName(c)} terms={terms} field="author"/></span>)}
+            </span>
+          ))}
+        </div>
+      ) : null}
+    </>
+  );
+}
+
+function BookCard({ b, loan, onOpen, picked, onPick, terms }){
+  const personal = hasPersonalCover(b);
   const catalog = b.catalogCoverUrl || "";
+  const notes = terms?.length && b.notes ? snippet(b.notes, terms, "notes") : null;
   return (
-    <div style={styles.card} onClick={()=>onOpen(b)} role="button" tabIndex={0}>
-      <div style={styles.bookRow}>
+    <div style={{...styles.card, ...(picked?{borderColor:"#111"}:null)}} onClick={()=>onPick ? onPick(b) : onOpen(b)} role="button" tabIndex={0}>
+      <div style={onPick ? {...styles.bookRow, gridTemplateColumns:"auto 56px 1fr"} : styles.bookRow}>
+        {onPick ? <input type="checkbox" checked={!!picked} readOnly/> : null}
         <div style={{display:"flex", gap:6, alignItems:"center"}}>
-          {personal ? <img alt="" src={personal} style={{...styles.cover, width:46, height:64}}/> : null}
-          {catalog ? <img alt="" src={catalog} style={{...styles.cover, width:46, height:64}}/> : null}
+          {personal ? <PersonalCover book={b} style={{...styles.cover, width:46, height:64}}/> : null}
+          {catalog ? <CoverImg url={catalog} style={{...styles.cover, width:46, height:64}}/> : null}
           {!personal && !catalog ? <div style={{...styles.cover, width:46, height:64, display:"grid", placeItems:"center", color:"#999"}}>—</div> : null}
         </div>
         <div>
-          <div style={{fontWeight:800}}>{(b.authorLast||"")}{b.authorFirst?`, ${b.authorFirst}`:""}</div>
-          <div style={{fontSize:16, fontWeight:800}}>{b.title}</div>
+          <People book={b} terms={terms} style={{fontWeight:800}}/>
+          <div style={{fontSize:16, fontWeight:800}}><Hl text={b.title} terms={terms} field="title"/></div>
           <div style={styles.meta}>
-            {b.isbn?`ISBN ${b.isbn} • `:""}{b.location?`📍 ${b.location}`:""}{b.archive?` • 🗂️ ${b.archive}`:""}
+            {imprint(b) ? <><Hl text={imprint(b)} terms={terms} field="publisher"/> • </> : null}
+            {b.isbn?`ISBN ${hyphenateISBN(b.isbn)} • `:""}
+            {b.location ? <>📍 <Hl text={b.location} terms={terms} field="location"/></> : null}
+            {b.archive ? <> • 🗂️ <Hl text={b.archive} terms={terms} field="archive"/></> : null}
           </div>
+          {notes ? <div style={styles.small}>📝 {marked(notes)}</div> : null}
+          {loan ? <div style={{marginTop:4}}><LoanBadge loan={loan}/></div> : null}
         </div>
       </div>
     </div>
   );
 }
 
+// First index whose row ends below `y` (tops are increasing).
+function rowAt(tops, y){
+  let lo = 0, hi = tops.length-1;
+  while(lo<hi){
+    const mid = (lo+hi+1)>>1;
+    if(tops[mid]<=y) lo = mid; else hi = mid-1;
+  }
+  return lo;
+}
+
+// Only the rows near the screen are mounted (the page itself scrolls). Heights are
+// measured once rendered; rows not seen yet count as `estimate`. `onEnd` fires when
+// the last row comes near the screen. Rows for which `isHeader` is true stay pinned at
+// the top while their section scrolls; `listRef.current.scrollTo(index)` jumps to a row.
+function VirtualList({ items, itemKey, renderItem, estimate=100, gap=10, onEnd, isHeader, listRef }){
+  const boxRef = useRef(null);
+  const heights = useRef(new Map());
+  const [range,setRange]=useState([0, 20]);
+  const [stuck,setStuck]=useState(-1);
+  const [,setMeasured]=useState(0);
+  const frameRef = useRef(0);
+  const jumpRef = useRef(null);
+
+  const tops = [];
+  let total = 0;
+  for(const it of items){
+    tops.push(total);
+    total += (heights.current.get(itemKey(it)) ?? estimate) + gap;
+  }
+
+  useEffect(()=>{
+    function update(){
+      if(!boxRef.current || !items.length) return;
+      const top = -boxRef.current.getBoundingClientRect().top;
+      const margin = window.innerHeight;
+      const from = rowAt(tops, top - margin);
+      const to = rowAt(tops, top + window.innerHeight + margin);
+      setRange(r=>r[0]===from && r[1]===to ? r : [from, to]);
+      let header = -1;
+      if(isHeader && top>0){
+        for(let i=rowAt(tops, top); i>=0; i--) if(isHeader(items[i])){ header = i; break; }
+      }
+      setStuck(header);
+      if(to>=items.length-1) onEnd?.();
+    }
+    update();
+    window.addEventListener("scroll", update, { passive:true });
+    window.addEventListener("resize", update);
+    return ()=>{
+      window.removeEventListener("scroll", update);
+      window.removeEventListener("resize", update);
+    };
+  });
+
+  useEffect(()=>()=>cancelAnimationFrame(frameRef.current),[]);
+
+  // Rows above the target may change height once measured: scroll again until it settles.
+  function scrollTo(index){
+    if(!boxRef.current || index<0 || index>=items.length) return;
+    jumpRef.current = { index, top: tops[index] };
+    window.scrollTo({ top: boxRef.current.getBoundingClientRect().top + window.scrollY + tops[index] });
+  }
+  useEffect(()=>{
+    const jump = jumpRef.current;
+    if(!jump) return;
+    if(tops[jump.index]===jump.top) jumpRef.current = null;
+    else scrollTo(jump.index);
+  });
+  if(listRef) listRef.current = { scrollTo };
+
+  function measure(key, el){
+    if(!el || heights.current.get(key)===el.offsetHeight) return;
+    heights.current.set(key, el.offsetHeight);
+    cancelAnimationFrame(frameRef.current);
+    frameRef.current = requestAnimationFrame(()=>setMeasured(n=>n+1));
+  }
+
+  const rows = [];
+  for(let i=range[0]; i<=Math.min(range[1], items.length-1); i++){
+    const key = itemKey(items[i]);
+    rows.push(
+      <div key={key} ref={el=>measure(key, el)} style={{position:"absolute", left:0, right:0, top:tops[i]}}>
+        {renderItem(items[i])}
+      </div>
+    );
+  }
+  return (
+    <div ref={boxRef} style={{position:"relative", height:Math.max(0, total-gap)}}>
+      {stuck>=0 && stuck<items.length ? (
+        <div style={{position:"sticky", top:0, height:0, zIndex:2}}>{renderItem(items[stuck])}</div>
+      ) : null}
+      {rows}
+    </div>
+  );
+}
+
+// A-Z index on the right edge of the screen; `present` (null = unknown) dims missing letters.
+function LetterBar({ present, onJump }){
+  return (
+    <div style={styles.letterBar}>
+      {LETTERS.map(l=>{
+        const off = present && !present.has(l);
+        return (
+          <span key={l} role="button" tabIndex={0} style={{...styles.letter, opacity:off?0.3:1}} onClick={()=>!off && onJump(l)}>{l}</span>
+        );
+      })}
+    </div>
+  );
+}
+
+// Library list pages from pageBooks(): the first page (and the count) when the filters
+// change, one more each time the list reaches its end. Loaded pages are read again
+// whenever `changed` does (the library was edited here or elsewhere).
+function useBookPages(filters, changed){
+  const [page,setPage]=useState({ key:null, books:[], next:null, total:null });
+  const loadingRef = useRef(false);
+  const key = JSON.stringify([filters.locationId, filters.archive]);
+  const current = page.key===key;
+
+  useEffect(()=>{
+    let active = true;
+    const size = current ? Math.max(page.books.length, BOOK_PAGE_SIZE) : BOOK_PAGE_SIZE;
+    Promise.all([pageBooks(filters, { limit:size }), countBooks(filters)])
+      .then(([r, total])=>{ if(active) setPage({ key, ...r, total }); })
+      .catch(e=>console.warn("Elenco non disponibile:", e));
+    return ()=>{ active = false; };
+    // eslint-disable-next-line
+  },[key, changed]);
+
+  async function loadMore(size=BOOK_PAGE_SIZE){
+    if(loadingRef.current || !current || !page.next) return;
+    loadingRef.current = true;
+    const after = page.next;
+    try{
+      const r = await pageBooks(filters, { after, limit:size });
+      setPage(p=>p.key===key && p.next===after ? { ...p, books:[...p.books, ...r.books], next:r.next } : p);
+    }catch(e){
+      console.warn("Pagina non disponibile:", e);
+    }finally{
+      loadingRef.current = false;
+    }
+  }
+
+  return { books: current ? page.books : [], total: current ? page.total : null, loading: !current, more: current && !!page.next, loadMore };
+}
+
+const NO_BOOKS = [];
+
+// Books from the replica matching `filters` (see listBooks), read again when `revision`
+// changes; nothing is read while `filters` is null.
+function useReplicaBooks(filters, revision){
+  const [state,setState]=useState({ key:null, books:NO_BOOKS });
+  const key = filters ? JSON.stringify([filters.locationId || "", filters.archive || ""]) : null;
+
+  useEffect(()=>{
+    if(key===null) return;
+    let active = true;
+    listBooks(filters)
+      .then(books=>{ if(active) setState({ key, books }); })
+      .catch(e=>console.warn("Elenco non disponibile:", e));
+    return ()=>{ active = false; };
+    // eslint-disable-next-line
+  },[key, revision]);
+
+  return key!==null && state.key===key ? state.books : NO_BOOKS;
+}
 
-function BookPick({ results, onPick, onCancel }){
+function BookPick({ results, errors, cachedAt, onRefresh, onPick, onCancel }){
   return (
     <div style={{...styles.card, display:"grid", gap:10}}>
-      <div style={{fontWeight:900, fontSize:16}}>Seleziona il libro (Google Books)</div>
+      <div style={{fontWeight:900, fontSize:16}}>Seleziona il libro</div>
+      {cachedAt ? (
+        <div style={{display:"flex", justifyContent:"space-between", alignItems:"center", gap:10, flexWrap:"wrap"}}>
+          <div style={styles.small}>Risultati salvati il {new Date(cachedAt).toLocaleDateString("it-IT")}.</div>
+          <button style={styles.btn} onClick={onRefresh}>🔄 Aggiorna dalla fonte</button>
+        </div>
+      ) : null}
+      {errors.length ? <div style={{...styles.small, color:"#b00020"}}>Fonti non disponibili: {describeProviderErrors(errors)}</div> : null}
       <div style={{display:"grid", gap:10}}>
         {results.map(r=>(
           <div key={r.id} style={{...styles.card, padding:12}} onClick={()=>onPick(r)} role="button" tabIndex={0}>
             <div style={styles.bookRow}>
-              <img alt="" src={r.coverUrl||""} style={styles.cover}/>
+              {r.coverUrl ? <CoverImg url={r.coverUrl} style={styles.cover}/> : <div style={styles.cover}/>}
               <div>
-                <div style={{fontWeight:800}}>{r.authorLast}{r.authorFirst?`, ${r.authorFirst}`:""}</div>
+                <People book={r} style={{fontWeight:800}}/>
                 <div style={{fontSize:16, fontWeight:800}}>{r.title}</div>
                 <div style={styles.small}>{r.publisher?`${r.publisher} • `:""}{r.publishedDate||""}</div>
-                <div style={styles.small}>{r.isbn?`ISBN: ${r.isbn}`:""}</div>
+                <div style={styles.small}>{r.isbn?`ISBN: ${hyphenateISBN(r.isbn)}`:""}</div>
+                <div style={{display:"flex", gap:4, flexWrap:"wrap", marginTop:4}}>
+                  {r.sources.map(s=><span key={s} style={styles.badge}>{providerLabel(s)}</span>)}
+                </div>
               </div>
             </div>
           </div>
@@ -475,19 +870,59 @@ function BookPick({ results, onPick, onCancel }){
     </div>
   );
 }
-function BookForm({ mode, locations, archives, initial, onCancel, onSave }){
-  const [authorLast,setAuthorLast]=useState(initial?.authorLast??"");
-  const [authorFirst,setAuthorFirst]=useState(initial?.authorFirst??"");
+function DuplicateWarning({ dupes, onOpenExisting, onAddCopy }){
+  return (
+    <div style={{...styles.card, padding:10, display:"grid", gap:8, borderColor:"#f0d48a", background:"#fff4d6"}}>
+      <div style={{fontWeight:800}}>Forse è già in biblioteca</div>
+      {dupes.map(({ book, reason })=>(
+        <div key={book.id} style={{display:"flex", justifyContent:"space-between", alignItems:"center", gap:10, flexWrap:"wrap"}}>
+          <div style={styles.small}>
+            <b>{book.title}</b>{book.authorLast?` • ${book.authorLast}`:""}{book.location?` • 📍 ${book.location}`:""}{book.archive?` • 🗂️ ${book.archive}`:""}
+            {reason==="isbn" ? " (stesso ISBN)" : " (autore e titolo simili)"}
+          </div>
+          <button style={styles.btn} onClick={()=>onOpenExisting(book)}>Apri esistente</button>
+        </div>
+      ))}
+      <div style={{display:"flex", justifyContent:"flex-end"}}>
+        <button style={styles.btn} onClick={onAddCopy}>Aggiungi un'altra copia</button>
+      </div>
+    </div>
+  );
+}
+
+function BookForm({ mode, books, locationNodes, archives, providerOrder, initial, deletedRemotely, onReload, onOpenExisting, onCancel, onSave }){
+  // A new book may start from presets (`initial`: ISBN, location) but has no stored version.
+  const [base]=useState(mode==="edit" ? initial : null);
+  const changedRemotely = mode==="edit" && !!initial && !!base && initial.updatedAt!==base.updatedAt;
+  const [people,setPeople]=useState(()=>{
+    const list = contributorsOf(initial);
+    return list.length ? list : [{ last:"", first:"", role:"author" }];
+  });
+  const filledPeople = people.map(c=>({ last:norm(c.last), first:norm(c.first), role:c.role })).filter(c=>c.last || c.first);
+  const main = mainAuthor(filledPeople);
   const [title,setTitle]=useState(initial?.title??"");
-  const [isbn,setIsbn]=useState(initial?.isbn??"");
+  const [isbn,setIsbn]=useState(initial?.isbn ? hyphenateISBN(initial.isbn) : (initial?.isbnRaw??""));
   const [scannerOpen,setScannerOpen]=useState(false);
   const [status,setStatus]=useState("");
-  const [location,setLocation]=useState(initial?.location??(locations[0]||""));
+  const [locationId,setLocationId]=useState(()=>{
+    if(!initial) return childrenOf(locationNodes)[0]?.id || "";
+    const known = pathTo(locationNodes, initial.locationId).length ? initial.locationId : "";
+    return known || findLocation(locationNodes, initial.location) || "";
+  });
   const [archive,setArchive]=useState(initial?.archive??"");
+  const [edition,setEdition]=useState(()=>editionFields(initial));
+  const publishers = useMemo(()=>textValues(books, "publisher"),[books]);
+  const seriesNames = useMemo(()=>textValues(books, "series"),[books]);
   const [notes,setNotes]=useState(initial?.notes??"");
-  const [personalCoverDataUrl,setPersonal]=useState(initial?.personalCoverDataUrl??"");
+  // Stored photo ({ full, thumb } or the old data URL) and a newly taken one, uploaded on save.
+  const [personalCover,setPersonalCover]=useState(initial?.personalCover??null);
+  const [personalCoverDataUrl,setPersonalDataUrl]=useState(initial?.personalCoverDataUrl??"");
+  const [personalPhoto,setPersonalPhoto]=useState(null);
+  const personalPhotoUrl = useObjectURL(personalPhoto);
   const [catalogCoverUrl,setCatalog]=useState(initial?.catalogCoverUrl??"");
   const [pickResults,setPickResults]=useState(null);
+  const [pickErrors,setPickErrors]=useState([]);
+  const [pickCachedAt,setPickCachedAt]=useState(null);
 
   const pickGalleryRef = useRef(null);
   const pickCameraRef = useRef(null);
@@ -495,9 +930,13 @@ function BookForm({ mode, locations, archives, initial, onCancel, onSave }){
   async function onPickPersonal(e){
     const file = e.target.files?.[0];
     if(!file) return;
-    const resized = await downscaleImage(file, 900, 0.78);
-    const dataUrl = await blobToDataURL(resized);
-    setPersonal(dataUrl);
+    setPersonalPhoto(file);
+  }
+
+  function clearPersonal(){
+    setPersonalPhoto(null);
+    setPersonalCover(null);
+    setPersonalDataUrl("");
   }
 
   async function pasteISBN(){
@@ -513,63 +952,109 @@ function BookForm({ mode, locations, archives, initial, onCancel, onSave }){
 
   
 
-async function onDetectedISBN(value) {
-  setScannerOpen(false);
-  const cleaned = cleanISBN(value);
-  if (cleaned) {
-    setIsbn(cleaned);
-    setStatus("ISBN letto. Cerco su Google Books…");
-    const author = [authorFirst, authorLast].filter(Boolean).join(" ");
-    const results = await googleBooksSearch({ isbn: cleaned, title, author });
-    if (!results.length) {
-      setStatus("ISBN letto, ma Google Books non ha trovato corrispondenze. Puoi riprovare o compilare a mano.");
+  async function lookup(isbn13, notFound, refresh=false){
+    const author = main ? contributorName(main) : "";
+    const { results, errors, cachedAt } = await cachedSearchMetadata({ isbn: isbn13, title, author }, { order: providerOrder, refresh });
+    if(!results.length){
+      setStatus(errors.length ? `${notFound} Fonti non disponibili: ${describeProviderErrors(errors)}` : notFound);
       return;
     }
+    setPickErrors(errors);
+    setPickCachedAt(cachedAt);
     setPickResults(results);
     setStatus("");
   }
+
+// A preset ISBN (from a scan) is looked up right away.
+useEffect(()=>{
+  if(mode==="add" && initial?.isbn) onDetectedISBN(initial.isbn);
+  // eslint-disable-next-line
+},[]);
+
+async function onDetectedISBN(value) {
+  setScannerOpen(false);
+  const cleaned = toISBN13(value);
+  if (cleaned) {
+    setIsbn(hyphenateISBN(cleaned));
+    setStatus("ISBN letto. Cerco nelle fonti…");
+    await lookup(cleaned, "ISBN letto, ma nessuna fonte ha trovato corrispondenze. Puoi riprovare o compilare a mano.");
+  }
 }
-async function searchGoogle(){
-    const cleaned = cleanISBN(isbn);
-    if (cleaned && cleaned !== isbn) setIsbn(cleaned);
-    setStatus("Cerco su Google Books…");
-    const author = [authorFirst, authorLast].filter(Boolean).join(" ");
-    const results = await googleBooksSearch({ isbn: cleaned || isbn, title, author });
-    if(!results.length){ setStatus("Nessun risultato."); return; }
-    setPickResults(results);
-    setStatus("");
+async function searchSources(refresh=false){
+    const problem = isbnProblem(isbn);
+    const cleaned = toISBN13(isbn);
+    if (cleaned) setIsbn(hyphenateISBN(cleaned));
+    if (problem && !norm(title) && !main) { setStatus(`ISBN non valido: ${problem}`); return; }
+    setStatus(problem ? `ISBN non valido (${problem}) Cerco per titolo/autore…` : "Cerco nelle fonti…");
+    await lookup(cleaned, "Nessun risultato.", refresh);
   }
 
   async function pick(r){
     setPickResults(null);
     setTitle(r.title||"");
-    setAuthorLast(r.authorLast||"");
-    setAuthorFirst(r.authorFirst||"");
-    if(r.isbn) setIsbn(cleanISBN(r.isbn));
+    // The source's authors replace ours; editors, translators etc. typed here stay.
+    const found = contributorsOf(r);
+    if(found.length) setPeople([...found, ...filledPeople.filter(c=>c.role!=="author")]);
+    if(r.isbn) setIsbn(hyphenateISBN(r.isbn));
+    // What the source knows of the edition replaces ours; binding, series etc. typed here stay.
+    setEdition({ ...edition, ...Object.fromEntries(Object.entries(editionFields(r)).filter(([,v])=>v)) });
     if (r.coverUrl) {
       setCatalog(r.coverUrl);
     }
-    setStatus("Dati compilati da Google Books.");
+    setStatus(`Dati compilati da ${r.sources.map(providerLabel).join(" + ")}.`);
   }
 
   const canSave = norm(title).length>0;
+  const isbnWarning = isbnProblem(isbn);
+  const [copyAck,setCopyAck]=useState(false);
+  const dupes = useMemo(()=>{
+    if(mode!=="add") return [];
+    return findDuplicates({ title, authorLast: main?.last || "", isbn: toISBN13(isbn) }, books).slice(0,3);
+  },[mode, books, title, main?.last, isbn]);
+
+  function setPerson(i, patch){
+    setPeople(people.map((c,j)=>j===i ? {...c, ...patch} : c));
+  }
+  function setEd(patch){
+    setEdition({ ...edition, ...patch });
+  }
+  function movePerson(i){
+    const next = [...people];
+    [next[i-1], next[i]] = [next[i], next[i-1]];
+    setPeople(next);
+  }
 
   return (
     <div style={{display:"grid", gap:10}}>
-      {pickResults ? <BookPick results={pickResults} onPick={pick} onCancel={()=>setPickResults(null)}/> : null}
+      {pickResults ? <BookPick results={pickResults} errors={pickErrors} cachedAt={pickCachedAt} onRefresh={()=>searchSources(true)} onPick={pick} onCancel={()=>setPickResults(null)}/> : null}
 
       <div style={{...styles.card, display:"grid", gap:10}}>
         <div style={{fontWeight:900, fontSize:16}}>{mode==="edit"?"Modifica libro":"Aggiungi libro"}</div>
-
-        <div style={{display:"grid", gridTemplateColumns:"1fr 1fr", gap:10}}>
-          <div>
-            <div style={styles.label}>Cognome autore</div>
-            <input style={styles.input} value={authorLast} onChange={e=>setAuthorLast(e.target.value)}/>
-          </div>
-          <div>
-            <div style={styles.label}>Nome autore</div>
-            <input style={styles.input} value={authorFirst} onChange={e=>setAuthorFirst(e.target.value)}/>
+        {deletedRemotely ? (
+          <div style={{...styles.small, color:"#b00020"}}>Questo libro è stato eliminato da un altro dispositivo. Salvando lo ricrei.</div>
+        ) : changedRemotely ? (
+          <div style={{display:"flex", justifyContent:"space-between", alignItems:"center", gap:10, flexWrap:"wrap"}}>
+            <div style={{...styles.small, color:"#8a5a00"}}>
+              Questo libro è stato modificato da un altro dispositivo mentre lo stavi modificando. Se salvi potrai confrontare le due versioni campo per campo.
+            </div>
+            <button style={styles.btn} onClick={onReload}>Ricarica (perdi le tue modifiche)</button>
           </div>
+        ) : null}
+
+        <div style={{display:"grid", gap:6}}>
+          <div style={styles.label}>Autori e collaboratori (il primo autore è quello usato per ordinare)</div>
+          {people.map((c,i)=>(
+            <div key={i} style={{display:"grid", gridTemplateColumns:"1fr 1fr auto auto auto", gap:6}}>
+              <input style={styles.input} value={c.last} placeholder="Cognome" onChange={e=>setPerson(i, { last:e.target.value })}/>
+              <input style={styles.input} value={c.first} placeholder="Nome" onChange={e=>setPerson(i, { first:e.target.value })}/>
+              <select style={styles.select} value={c.role} onChange={e=>setPerson(i, { role:e.target.value })}>
+                {Object.entries(ROLES).map(([id,r])=><option key={id} value={id}>{r.label}</option>)}
+              </select>
+              <button style={styles.btn} disabled={i===0} onClick={()=>movePerson(i)} title="Su">↑</button>
+              <button style={styles.btn} disabled={people.length===1} onClick={()=>setPeople(people.filter((_,j)=>j!==i))} title="Togli">✕</button>
+            </div>
+          ))}
+          <div><button style={styles.btn} onClick={()=>setPeople([...people, { last:"", first:"", role:"author" }])}>+ Persona</button></div>
         </div>
 
         <div>
@@ -577,9 +1062,13 @@ async function searchGoogle(){
           <input style={styles.input} value={title} onChange={e=>setTitle(e.target.value)}/>
         </div>
 
+        {dupes.length && !copyAck ? (
+          <DuplicateWarning dupes={dupes} onOpenExisting={onOpenExisting} onAddCopy={()=>setCopyAck(true)}/>
+        ) : null}
+
         <div>
           <div style={styles.label}>ISBN (opzionale)</div>
-          <input style={styles.input} value={isbn} onChange={e=>setIsbn(e.target.value)} onKeyDown={(e)=>{ if(e.key==="Enter"){ e.preventDefault(); searchGoogle(); } }} placeholder="978… (Invio per cercare)"/>
+          <input style={styles.input} value={isbn} onChange={e=>setIsbn(e.target.value)} onKeyDown={(e)=>{ if(e.key==="Enter"){ e.preventDefault(); searchSources(); } }} placeholder="978… (Invio per cercare)"/>
           <div style={{display:"flex", gap:10, flexWrap:"wrap", marginTop:8}}>
 <button style={styles.btn} onClick={()=>setScannerOpen(true)}>📷 Scanner ISBN</button>
 </div>
@@ -590,23 +1079,47 @@ async function searchGoogle(){
               </div>
             </div>
           ) : null}
+          {isbnWarning ? <div style={{...styles.small, color:"#b00020"}}>⚠️ {isbnWarning}</div> : null}
           {status ? <div style={styles.small}>Stato: {status}</div> : <div style={styles.small}>Puoi cercare anche da titolo/autore (se ISBN vuoto).</div>}
         </div>
 
-        <div style={{display:"grid", gridTemplateColumns:"1fr 1fr", gap:10}}>
-          <div>
-            <div style={styles.label}>Location</div>
-            <select style={styles.select} value={location} onChange={e=>setLocation(e.target.value)}>
-              {locations.map(l=><option key={l} value={l}>{l}</option>)}
+        <div style={{display:"grid", gap:6}}>
+          <div style={styles.label}>Edizione</div>
+          <div style={{display:"grid", gridTemplateColumns:"2fr 1fr", gap:6}}>
+            <input style={styles.input} value={edition.publisher} placeholder="Editore" list="publisher-sug" onChange={e=>setEd({ publisher:e.target.value })}/>
+            <input style={styles.input} value={edition.publishedDate} placeholder="Anno" onChange={e=>setEd({ publishedDate:e.target.value })}/>
+            <input style={styles.input} value={edition.series} placeholder="Collana" list="series-sug" onChange={e=>setEd({ series:e.target.value })}/>
+            <input style={styles.input} value={edition.seriesNumber} placeholder="N. nella collana" onChange={e=>setEd({ seriesNumber:e.target.value })}/>
+            <input style={styles.input} value={edition.edition} placeholder="Edizione (es. 2ª ed. riveduta)" onChange={e=>setEd({ edition:e.target.value })}/>
+            <input style={styles.input} type="number" min="1" value={edition.pages ?? ""} placeholder="Pagine" onChange={e=>setEd({ pages:e.target.value })}/>
+            <select style={styles.select} value={edition.language} onChange={e=>setEd({ language:e.target.value })}>
+              <option value="">Lingua non indicata</option>
+              {Object.entries(LANGUAGES).map(([code,label])=><option key={code} value={code}>{label}</option>)}
+              {edition.language && !LANGUAGES[edition.language] ? <option value={edition.language}>{edition.language}</option> : null}
+            </select>
+            <select style={styles.select} value={edition.format} onChange={e=>setEd({ format:e.target.value })}>
+              <option value="">Formato non indicato</option>
+              {Object.entries(FORMATS).map(([id,label])=><option key={id} value={id}>{label}</option>)}
             </select>
           </div>
-          <div>
-            <div style={styles.label}>Archivio / sub-location</div>
-            <input style={styles.input} value={archive} onChange={e=>setArchive(e.target.value)} list="arch-sug"/>
-            <datalist id="arch-sug">
-              {archives.map(a=><option key={a} value={a}/>)}
-            </datalist>
-          </div>
+          <datalist id="publisher-sug">
+            {publishers.map(p=><option key={p} value={p}/>)}
+          </datalist>
+          <datalist id="series-sug">
+            {seriesNames.map(s=><option key={s} value={s}/>)}
+          </datalist>
+        </div>
+
+        <LocationPicker nodes={locationNodes} value={locationId} onChange={setLocationId}/>
+        {initial?.location && !locationId ? (
+          <div style={{...styles.small, color:"#8a5a00"}}>La location "{initial.location}" non è più nell'elenco: scegline una.</div>
+        ) : null}
+        <div>
+          <div style={styles.label}>Archivio</div>
+          <input style={styles.input} value={archive} onChange={e=>setArchive(e.target.value)} list="arch-sug"/>
+          <datalist id="arch-sug">
+            {archives.map(a=><option key={a} value={a}/>)}
+          </datalist>
         </div>
 
         <div>
@@ -621,7 +1134,7 @@ async function searchGoogle(){
           <div style={{display:"flex", gap:10, flexWrap:"wrap"}}>
             <button style={styles.btnPrimary} onClick={()=>pickCameraRef.current?.click()}>📸 Scatta copertina</button>
             <button style={styles.btn} onClick={()=>pickGalleryRef.current?.click()}>🖼️ Scegli da galleria</button>
-            <button style={styles.btn} onClick={()=>setPersonal("")} disabled={!personalCoverDataUrl}>🗑️ Elimina foto personale</button>
+            <button style={styles.btn} onClick={clearPersonal} disabled={!personalPhoto && !personalCover && !personalCoverDataUrl}>🗑️ Elimina foto personale</button>
             <button style={styles.btn} onClick={()=>setCatalog("")} disabled={!catalogCoverUrl}>🗑️ Elimina copertina catalogo</button>
           </div>
 
@@ -629,11 +1142,15 @@ async function searchGoogle(){
           <input ref={pickGalleryRef} type="file" accept="image/*" onChange={onPickPersonal} style={{display:"none"}}/>
 <div style={{display:"grid", gridTemplateColumns:"1fr 1fr", gap:10, marginTop:10}}>
             <div style={{...styles.card, padding:10}}>
-{personalCoverDataUrl ? <img alt="" src={personalCoverDataUrl} style={{width:"100%", borderRadius:12, border:"1px solid #eee", marginTop:8}}/> : <div style={styles.small}>Nessuna.</div>}
+{personalPhotoUrl
+  ? <img alt="" src={personalPhotoUrl} style={{width:"100%", borderRadius:12, border:"1px solid #eee", marginTop:8}}/>
+  : personalCover || personalCoverDataUrl
+    ? <PersonalCover book={{personalCover, personalCoverDataUrl}} size="full" style={{width:"100%", minHeight:60, borderRadius:12, border:"1px solid #eee", marginTop:8}}/>
+    : <div style={styles.small}>Nessuna.</div>}
             </div>
             <div style={{...styles.card, padding:10}}>
               <div style={{fontWeight:800}}>Copertina catalogo</div>
-              {catalogCoverUrl ? <img alt="" src={catalogCoverUrl} style={{width:"100%", borderRadius:12, border:"1px solid #eee", marginTop:8}}/> : <div style={styles.small}>Nessuna (usa Cerca/Compila).</div>}
+              {catalogCoverUrl ? <CoverImg url={catalogCoverUrl} style={{width:"100%", borderRadius:12, border:"1px solid #eee", marginTop:8}}/> : <div style={styles.small}>Nessuna (usa Cerca/Compila).</div>}
             </div>
           </div>
         </div>
@@ -641,30 +1158,123 @@ async function searchGoogle(){
         <div style={{display:"flex", justifyContent:"flex-end", gap:10}}>
           <button style={styles.btn} onClick={onCancel}>Annulla</button>
           <button style={{...styles.btnPrimary, opacity:canSave?1:0.5}} disabled={!canSave} onClick={()=>{
+            if(dupes.length && !copyAck && !window.confirm("Sembra già in biblioteca. Aggiungere un'altra copia?")) return;
+            if(isbnWarning && !window.confirm(`ISBN non valido: ${isbnWarning}\nSalvare comunque? (l'ISBN resta solo come testo originale)`)) return;
             const now = Date.now();
+            const isbn13 = toISBN13(isbn);
+            const isbnRaw = isbn13 && isbn13===base?.isbn ? (base.isbnRaw ?? base.isbn) : norm(isbn);
             onSave({
-              ...initial,
-              authorLast:norm(authorLast),
-              authorFirst:norm(authorFirst),
+              ...base,
+              contributors:filledPeople,
+              authorLast:main?.last || "",
+              authorFirst:main?.first || "",
               title:norm(title),
-              isbn:cleanISBN(isbn),
-              location:norm(location),
+              isbn:isbn13,
+              isbnRaw,
+              ...editionFields(edition),
+              // Path copies are filled in from the tree on save; a place no longer in the
+              // tree keeps its old text until a new one is picked.
+              locationId,
+              locationPath: [],
+              location: locationId || !base ? "" : base.location || "",
               archive:norm(archive),
               notes:norm(notes),
-              personalCoverDataUrl: personalCoverDataUrl||"",
+              personalCover: personalPhoto ? null : personalCover,
+              personalCoverDataUrl: personalPhoto ? "" : personalCoverDataUrl||"",
+              personalPhoto,
               catalogCoverUrl: catalogCoverUrl||"",
-              createdAt: initial?.createdAt ?? now,
+              createdAt: base?.createdAt ?? now,
               updatedAt: now,
-            });
+            }, base);
           }}>Salva</button>
         </div>
       </div>
     </div>
   );
 }
-function Detail({ book, onBack, onEdit, onDelete }){
-  const personal = book.personalCoverDataUrl || "";
+function LoanForm({ borrowers, onCancel, onSave }){
+  const [borrower,setBorrower]=useState("");
+  const [lentAt,setLentAt]=useState(todayISO());
+  const [dueAt,setDueAt]=useState(addDaysISO(todayISO(), 30));
+  const [notes,setNotes]=useState("");
+  const canSave = norm(borrower).length>0 && !!lentAt && (!dueAt || dueAt>=lentAt);
+  return (
+    <div style={{...styles.card, padding:10, display:"grid", gap:10}}>
+      <div>
+        <div style={styles.label}>Prestato a *</div>
+        <input style={styles.input} value={borrower} onChange={e=>setBorrower(e.target.value)} list="borrower-sug"/>
+        <datalist id="borrower-sug">
+          {borrowers.map(x=><option key={x} value={x}/>)}
+        </datalist>
+      </div>
+      <div style={{display:"grid", gridTemplateColumns:"1fr 1fr", gap:10}}>
+        <div>
+          <div style={styles.label}>Data prestito</div>
+          <input type="date" style={styles.input} value={lentAt} onChange={e=>setLentAt(e.target.value)}/>
+        </div>
+        <div>
+          <div style={styles.label}>Da restituire entro</div>
+          <input type="date" style={styles.input} value={dueAt} min={lentAt} onChange={e=>setDueAt(e.target.value)}/>
+        </div>
+      </div>
+      <div>
+        <div style={styles.label}>Note</div>
+        <input style={styles.input} value={notes} onChange={e=>setNotes(e.target.value)}/>
+      </div>
+      <div style={{display:"flex", justifyContent:"flex-end", gap:10}}>
+        <button style={styles.btn} onClick={onCancel}>Annulla</button>
+        <button style={{...styles.btnPrimary, opacity:canSave?1:0.5}} disabled={!canSave} onClick={()=>onSave({
+          borrower:norm(borrower), lentAt, dueAt, notes:norm(notes),
+        })}>Presta</button>
+      </div>
+    </div>
+  );
+}
+
+function LoanSection({ loans, borrowers, onLend, onReturn }){
+  const [lending,setLending]=useState(false);
+  const active = loans.find(l=>!l.returnedAt) || null;
+  const history = loans.filter(l=>l.returnedAt);
+  return (
+    <div style={{...styles.card, padding:10, display:"grid", gap:8}}>
+      <div style={{display:"flex", justifyContent:"space-between", alignItems:"center", gap:10}}>
+        <div style={{fontWeight:800}}>Prestiti</div>
+        {!active && !lending ? <button style={styles.btn} onClick={()=>setLending(true)}>🤝 Presta</button> : null}
+      </div>
+      {active ? (
+        <div style={{display:"flex", justifyContent:"space-between", alignItems:"center", gap:10, flexWrap:"wrap"}}>
+          <div>
+            <LoanBadge loan={active}/>
+            <div style={styles.small}>
+              Dal {formatDate(active.lentAt)}{active.dueAt?` • entro il ${formatDate(active.dueAt)}`:""}{active.notes?` • ${active.notes}`:""}
+            </div>
+          </div>
+          <button style={styles.btnPrimary} onClick={()=>onReturn(active)}>Segna restituito</button>
+        </div>
+      ) : null}
+      {lending ? (
+        <LoanForm borrowers={borrowers} onCancel={()=>setLending(false)} onSave={async (data)=>{ await onLend(data); setLending(false); }}/>
+      ) : null}
+      {!active && !lending && !history.length ? <div style={styles.small}>Mai prestato.</div> : null}
+      {history.length ? (
+        <div style={{display:"grid", gap:4}}>
+          <div style={styles.label}>Storico</div>
+          {history.map(l=>(
+            <div key={l.id} style={styles.small}>
+              {l.borrower} • {formatDate(l.lentAt)} → {formatDate(l.returnedAt)}{l.notes?` • ${l.notes}`:""}
+            </div>
+          ))}
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+function Detail({ book, loans, borrowers, onBack, onEdit, onDelete, onLend, onReturn }){
+  const personal = hasPersonalCover(book);
   const catalog = book.catalogCoverUrl || "";
+  const activeLoan = loans.find(l=>!l.returnedAt) || null;
+  const details = EDITION_FIELDS.filter(k=>editionValue(book, k));
   return (
     <div style={{display:"grid", gap:10}}>
       <div style={styles.row}><span style={styles.link} onClick={onBack}>← Indietro</span></div>
@@ -673,133 +1283,1782 @@ function Detail({ book, onBack, onEdit, onDelete }){
           <div style={{display:"grid", gridTemplateColumns:"1fr 1fr", gap:10}}>
             <div style={{...styles.card, padding:10}}>
               <div style={{fontWeight:800}}>Foto personale</div>
-              {personal ? <img alt="" src={personal} style={{width:"100%", maxHeight:420, objectFit:"contain", borderRadius:12, border:"1px solid #eee", marginTop:8}}/> : <div style={styles.small}>Nessuna.</div>}
+              {personal ? <PersonalCover book={book} size="full" style={{width:"100%", minHeight:120, maxHeight:420, objectFit:"contain", borderRadius:12, border:"1px solid #eee", marginTop:8}}/> : <div style={styles.small}>Nessuna.</div>}
             </div>
             <div style={{...styles.card, padding:10}}>
               <div style={{fontWeight:800}}>Copertina catalogo</div>
-              {catalog ? <img alt="" src={catalog} style={{width:"100%", maxHeight:420, objectFit:"contain", borderRadius:12, border:"1px solid #eee", marginTop:8}}/> : <div style={styles.small}>Nessuna.</div>}
+              {catalog ? <CoverImg url={catalog} style={{width:"100%", maxHeight:420, objectFit:"contain", borderRadius:12, border:"1px solid #eee", marginTop:8}}/> : <div style={styles.small}>Nessuna.</div>}
             </div>
           </div>
         ) : null}
-        <div style={{fontSize:20, fontWeight:900}}>{book.authorLast}{book.authorFirst?`, ${book.authorFirst}`:""}</div>
+        <People book={book} style={{fontSize:20, fontWeight:900}} otherStyle={styles.meta}/>
         <div style={{fontSize:18, fontWeight:800}}>{book.title}</div>
-        <div style={styles.meta}>{book.isbn?`ISBN: ${book.isbn} • `:""}{book.location?`📍 ${book.location}`:""}{book.archive?` • 🗂️ ${book.archive}`:""}</div>
+        <div style={styles.meta}>{book.isbn?`ISBN: ${hyphenateISBN(book.isbn)} • `:""}{book.location?`📍 ${book.location}`:""}{book.archive?` • 🗂️ ${book.archive}`:""}</div>
+        {details.length ? (
+          <div style={{display:"grid", gap:2}}>
+            {details.map(k=><div key={k} style={styles.meta}><span style={styles.small}>{BOOK_FIELD_LABELS[k]}:</span> {editionValue(book, k)}</div>)}
+          </div>
+        ) : null}
+        {activeLoan ? <div><LoanBadge loan={activeLoan}/></div> : null}
         {book.notes ? <div style={{whiteSpace:"pre-wrap"}}>{book.notes}</div> : <div style={styles.small}>Nessuna nota.</div>}
         <div style={{display:"flex", gap:10}}>
           <button style={styles.btnPrimary} onClick={onEdit}>Modifica</button>
           <button style={styles.btn} onClick={onDelete}>Elimina</button>
         </div>
       </div>
+      <LoanSection loans={loans} borrowers={borrowers} onLend={onLend} onReturn={onReturn}/>
     </div>
   );
 }
 
-function LocationsManager({ locations, onClose, onSave }){
-  const [items,setItems]=useState(locations);
-  const [newLoc,setNewLoc]=useState("");
-  function add(){
-    const v = norm(newLoc);
-    if(!v || items.includes(v)) return;
-    setItems([...items, v]); setNewLoc("");
-  }
-  function remove(loc){ setItems(items.filter(x=>x!==loc)); }
+function LoansView({ books, loans, onOpen, onReturn, onClose }){
+  const [onlyOverdue,setOnlyOverdue]=useState(false);
+  const byId = useMemo(()=>new Map(books.map(b=>[b.id,b])),[books]);
+  const current = loans
+    .filter(l=>!l.returnedAt)
+    .filter(l=>onlyOverdue ? isOverdue(l) : true)
+    .sort((a,b)=>(a.dueAt||"9999").localeCompare(b.dueAt||"9999"));
+  const overdueCount = loans.filter(isOverdue).length;
   return (
     <div style={{display:"grid", gap:10}}>
       <div style={styles.row}><span style={styles.link} onClick={onClose}>← Indietro</span></div>
       <div style={{...styles.card, display:"grid", gap:10}}>
-        <div style={{fontWeight:900, fontSize:16}}>Gestione Location</div>
+        <div style={{fontWeight:900, fontSize:16}}>Prestiti in corso</div>
         <div style={{display:"flex", gap:10}}>
-          <input style={styles.input} value={newLoc} onChange={e=>setNewLoc(e.target.value)} placeholder="Nuova location"/>
-          <button style={styles.btnPrimary} onClick={add}>Aggiungi</button>
+          <button style={!onlyOverdue?styles.btnPrimary:styles.btn} onClick={()=>setOnlyOverdue(false)}>Tutti</button>
+          <button style={onlyOverdue?styles.btnPrimary:styles.btn} onClick={()=>setOnlyOverdue(true)}>In ritardo ({overdueCount})</button>
         </div>
         <div style={styles.divider}/>
-        <div style={{display:"grid", gap:8}}>
-          {items.map(loc=>(
-            <div key={loc} style={{display:"flex", justifyContent:"space-between", alignItems:"center", gap:10}}>
-              <div style={{fontWeight:700}}>{loc}</div>
-              <button style={styles.btn} onClick={()=>remove(loc)}>Rimuovi</button>
-            </div>
-          ))}
-        </div>
-        <div style={{display:"flex", justifyContent:"flex-end", gap:10}}>
-          <button style={styles.btn} onClick={onClose}>Annulla</button>
-          <button style={styles.btnPrimary} onClick={()=>onSave(items)}>Salva</button>
-        </div>
+        {current.length ? (
+          <div style={{display:"grid", gap:8}}>
+            {current.map(l=>{
+              const b = byId.get(l.bookId);
+              return (
+                <div key={l.id} style={{display:"flex", justifyContent:"space-between", alignItems:"center", gap:10, flexWrap:"wrap"}}>
+                  <div style={{flex:1, minWidth:200}}>
+                    <div style={{fontWeight:800, cursor:b?"pointer":"default"}} onClick={()=>b && onOpen(b)}>
+                      {b ? b.title : "(libro eliminato)"}
+                    </div>
+                    <div style={styles.small}>
+                      {b && b.authorLast ? `${b.authorLast} • ` : ""}{l.borrower} • dal {formatDate(l.lentAt)}{l.dueAt?` • entro il ${formatDate(l.dueAt)}`:""}
+                    </div>
+                    {isOverdue(l) ? <LoanBadge loan={l}/> : null}
+                  </div>
+                  <button style={styles.btn} onClick={()=>onReturn(l)}>Restituito</button>
+                </div>
+              );
+            })}
+          </div>
+        ) : (
+          <div style={styles.small}>{onlyOverdue ? "Nessun prestito in ritardo." : "Nessun libro in prestito."}</div>
+        )}
       </div>
     </div>
   );
 }
 
-function BackupManager({ onClose, onDone }){
-  const fileRef = useRef(null);
-  const [status,setStatus]=useState("");
-  async function doExport(){
-    setStatus("Creo backup…");
-    const payload = await exportBackupJSON();
-    const blob = new Blob([JSON.stringify(payload,null,2)], {type:"application/json"});
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    const ts = new Date().toISOString().slice(0,19).replaceAll(":","-");
-    a.href = url;
-    a.download = `biblioteca-scott-backup-${ts}.json`;
-    document.body.appendChild(a); a.click(); a.remove();
-    URL.revokeObjectURL(url);
-    setStatus("Backup esportato.");
+// Cascading choice of a place: a room, then optionally bookcase, shelf and position.
+function LocationPicker({ nodes, value, onChange, emptyLabel="Nessuna" }){
+  const path = pathTo(nodes, value);
+  const levels = [];
+  for(let d=0; d<LEVELS.length; d++){
+    const parentId = d ? path[d-1]?.id : null;
+    if(d && !parentId) break;
+    const options = childrenOf(nodes, parentId);
+    if(d && !options.length) break;
+    levels.push({ depth:d, parentId, options, selected:path[d]?.id || "" });
   }
-  async function doImport(file){
-    setStatus("Import in corso…");
-    const txt = await file.text();
-    const data = JSON.parse(txt);
-    await importBackupJSON(data, {mode:"merge"});
-    setStatus("Import completato.");
-    onDone?.();
+  return (
+    <div style={{display:"flex", gap:8, flexWrap:"wrap"}}>
+      {levels.map(l=>(
+        <div key={l.depth} style={{flex:"1 1 130px"}}>
+          <div style={styles.label}>{LEVELS[l.depth].label}</div>
+          <select style={styles.select} value={l.selected} onChange={e=>onChange(e.target.value || l.parentId || "")}>
+            <option value="">{l.depth ? "—" : emptyLabel}</option>
+            {l.options.map(n=><option key={n.id} value={n.id}>{n.name}</option>)}
+          </select>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Places as an indented list of <option>s, for filters.
+function LocationOptions({ nodes }){
+  return flattenTree(nodes).map(({ node, depth })=>(
+    <option key={node.id} value={node.id}>{"\u00a0\u00a0".repeat(depth)}{node.name}</option>
+  ));
+}
+
+function bookCount(n){
+  return n===1 ? "1 libro" : `${n} libri`;
+}
+
+// Editor of the location tree: rooms, bookcases in them, shelves, positions.
+// Renamed places keep their books; a place with books is removed only after choosing
+// where they go. Books are updated on save (`moves`: removed node id -> target id).
+function LocationTree({ nodes, books, onClose, onSave, onReload }){
+  const [items,setItems]=useState(nodes);
+  const [base]=useState(nodes);
+  const changedRemotely = JSON.stringify(base)!==JSON.stringify(nodes);
+  const [adding,setAdding]=useState(null); // parent id ("" = new room) while typing a name
+  const [name,setName]=useState("");
+  const [renaming,setRenaming]=useState(null); // { id, name }
+  const [removing,setRemoving]=useState(null); // { id, target }
+  const [moves,setMoves]=useState({});
+  const [busy,setBusy]=useState(false);
+  const counts = useMemo(()=>countByNode(items, books, moves),[items, books, moves]);
+
+  function nameTaken(parentId, v, exceptId){
+    return childrenOf(items, parentId).some(n=>n.id!==exceptId && normKey(n.name)===normKey(v));
   }
-  async function doReset(){
-    const ok = window.confirm("ATTENZIONE: cancello TUTTO. Continuare?");
-    if(!ok) return;
-    await clearAllData();
-    setStatus("Archivio svuotato.");
-    onDone?.();
+  function add(){
+    const v = norm(name);
+    if(!v) return;
+    const parentId = adding || null;
+    if(nameTaken(parentId, v)) return;
+    setItems(addNode(items, parentId, v).nodes);
+    setName("");
+  }
+  function rename(){
+    if(!renaming) return;
+    const v = norm(renaming.name);
+    const node = items.find(n=>n.id===renaming.id);
+    if(v && !nameTaken(node.parentId || null, v, node.id)) setItems(renameNode(items, node.id, v));
+    setRenaming(null);
   }
+  function remove(id, target){
+    const gone = subtreeIds(items, id);
+    if(target){
+      // Earlier moves into the removed branch follow its books to the new target.
+      const next = {};
+      Object.entries(moves).forEach(([from, to])=>{ next[from] = gone.has(to) ? target : to; });
+      gone.forEach(g=>{ next[g] = target; });
+      setMoves(next);
+    }
+    setItems(items.filter(n=>!gone.has(n.id)));
+    setRemoving(null);
+  }
+  function askRemove(id){
+    if(counts.get(id)) setRemoving({ id, target:"" });
+    else remove(id, "");
+  }
+  async function save(){
+    setBusy(true);
+    try{ await onSave(items, moves); }finally{ setBusy(false); }
+  }
+  function move(id, delta){
+    const node = items.find(n=>n.id===id);
+    const siblings = childrenOf(items, node.parentId || null);
+    const j = siblings.indexOf(node) + delta;
+    if(j<0 || j>=siblings.length) return;
+    const other = siblings[j];
+    setItems(items.map(n=>n.id===id ? other : n.id===other.id ? node : n));
+  }
+
+  const addRow = (parentId, depth)=>(
+    <div style={{display:"flex", gap:8, paddingLeft:depth*18}}>
+      <input style={styles.input} autoFocus value={name} onChange={e=>setName(e.target.value)} placeholder={`Nuova ${LEVELS[depth].label.toLowerCase()}`}
+        onKeyDown={e=>{ if(e.key==="Enter") add(); if(e.key==="Escape") setAdding(null); }}/>
+      <button style={styles.btnPrimary} onClick={add}>Aggiungi</button>
+      <button style={styles.btn} onClick={()=>setAdding(null)}>Fine</button>
+    </div>
+  );
+
   return (
     <div style={{display:"grid", gap:10}}>
       <div style={styles.row}><span style={styles.link} onClick={onClose}>← Indietro</span></div>
       <div style={{...styles.card, display:"grid", gap:10}}>
-        <div style={{fontWeight:900, fontSize:16}}>Backup</div>
-        <div style={{display:"flex", gap:10, flexWrap:"wrap"}}>
-          <button style={styles.btnPrimary} onClick={doExport}>⬇️ Export JSON</button>
-          <button style={styles.btn} onClick={()=>fileRef.current?.click()}>⬆️ Import JSON</button>
-          <button style={styles.btn} onClick={doReset}>🧹 Reset</button>
-          <input ref={fileRef} type="file" accept="application/json" style={{display:"none"}} onChange={e=>{
-            const f = e.target.files?.[0];
-            if(f) doImport(f);
-            e.target.value="";
-          }}/>
+        <div style={{fontWeight:900, fontSize:16}}>Gestione Location</div>
+        <div style={styles.small}>Stanze, librerie, ripiani e (se serve) la posizione sul ripiano.</div>
+        {changedRemotely ? (
+          <div style={{display:"flex", justifyContent:"space-between", alignItems:"center", gap:10, flexWrap:"wrap"}}>
+            <div style={{...styles.small, color:"#8a5a00"}}>Le location sono state modificate da un altro dispositivo.</div>
+            <button style={styles.btn} onClick={onReload}>Ricarica</button>
+          </div>
+        ) : null}
+        <div style={styles.divider}/>
+        <div style={{display:"grid", gap:6}}>
+          {flattenTree(items).map(({ node, depth })=>(
+            <div key={node.id} style={{display:"grid", gap:6}}>
+              <div style={{display:"flex", alignItems:"center", gap:6, paddingLeft:depth*18}}>
+                {renaming?.id===node.id ? (
+                  <input style={{...styles.input, flex:1}} autoFocus value={renaming.name} onChange={e=>setRenaming({...renaming, name:e.target.value})}
+                    onBlur={rename} onKeyDown={e=>{ if(e.key==="Enter") rename(); if(e.key==="Escape") setRenaming(null); }}/>
+                ) : (
+                  <div style={{flex:1, fontWeight:depth ? 600 : 800}}>
+                    {node.name} <span style={styles.small}>{LEVELS[depth].label} • {bookCount(counts.get(node.id) || 0)}</span>
+                  </div>
+                )}
+                <button style={styles.btn} onClick={()=>move(node.id, -1)} title="Su">↑</button>
+                <button style={styles.btn} onClick={()=>move(node.id, 1)} title="Giù">↓</button>
+                {depth<LEVELS.length-1 ? (
+                  <button style={styles.btn} onClick={()=>{ setAdding(node.id); setName(""); }}>+ {LEVELS[depth+1].label}</button>
+                ) : null}
+                <button style={styles.btn} onClick={()=>setRenaming({ id:node.id, name:node.name })}>Rinomina</button>
+                <button style={styles.btn} onClick={()=>askRemove(node.id)}>Rimuovi</button>
+              </div>
+              {removing?.id===node.id ? (
+                <RemoveTarget count={counts.get(node.id)} onCancel={()=>setRemoving(null)} onConfirm={()=>remove(node.id, removing.target)}
+                  target={removing.target} depth={depth}>
+                  {(()=>{
+                    const gone = subtreeIds(items, node.id);
+                    const rest = items.filter(n=>!gone.has(n.id));
+                    return rest.length ? (
+                      <select style={styles.select} value={removing.target} onChange={e=>setRemoving({...removing, target:e.target.value})}>
+                        <option value="">Sposta i libri in…</option>
+                        <LocationOptions nodes={rest}/>
+                      </select>
+                    ) : null;
+                  })()}
+                </RemoveTarget>
+              ) : null}
+              {adding===node.id ? addRow(node.id, depth+1) : null}
+            </div>
+          ))}
+          {adding==="" ? addRow("", 0) : (
+            <div><button style={styles.btn} onClick={()=>{ setAdding(""); setName(""); }}>+ Stanza</button></div>
+          )}
+        </div>
+        <div style={{display:"flex", justifyContent:"flex-end", gap:10}}>
+          <button style={styles.btn} onClick={onClose}>Annulla</button>
+          <button style={styles.btnPrimary} disabled={busy} onClick={save}>{busy ? "Salvataggio…" : "Salva"}</button>
         </div>
-        {status ? <div style={styles.small}>Stato: {status}</div> : null}
       </div>
+      <ArchiveManager books={books}/>
     </div>
   );
 }
 
-export default function App(){
-  const [authChecked,setAuthChecked]=useState(false);
-  const [authed,setAuthed]=useState(false);
-  const [userEmail,setUserEmail]=useState("");
+// Confirmation row for removing a place or an archive that still has books: `children`
+// is the target picker (null when there is nowhere else to put them).
+function RemoveTarget({ count, target, depth=0, onCancel, onConfirm, children }){
+  return (
+    <div style={{display:"grid", gap:6, paddingLeft:depth*18}}>
+      <div style={styles.small}>
+        {children ? `${bookCount(count)} da spostare prima di rimuovere:` : `${bookCount(count)}: non c'è un altro posto dove spostarli, aggiungine uno prima.`}
+      </div>
+      <div style={{display:"flex", gap:8, flexWrap:"wrap"}}>
+        {children}
+        <button style={styles.btn} onClick={onCancel}>Annulla</button>
+        {children ? <button style={{...styles.btnPrimary, opacity:target?1:0.5}} disabled={!target} onClick={onConfirm}>Sposta e rimuovi</button> : null}
+      </div>
+    </div>
+  );
+}
+
+// Books a location or archive edit left alone because another device had just changed them.
+function cascadeConflicts(n){
+  return n ? ` ${n===1 ? "Un libro era appena stato modificato" : `${n} libri erano appena stati modificati`} su un altro dispositivo: confronta le versioni con "Risolvi".` : "";
+}
+
+// Archive values live on the books: renaming or removing one updates every book that has it.
+function ArchiveManager({ books }){
+  const counts = useMemo(()=>{
+    const m = new Map();
+    books.forEach(b=>{ const a=(b.archive||"").trim(); if(a) m.set(a, (m.get(a)||0)+1); });
+    return m;
+  },[books]);
+  const archives = Array.from(counts.keys()).sort((a,b)=>a.localeCompare(b,"it"));
+  const [renaming,setRenaming]=useState(null); // { from, name }
+  const [removing,setRemoving]=useState(null); // { from, target }
+  const [busy,setBusy]=useState(false);
+  const [status,setStatus]=useState("");
+
+  async function run(from, to){
+    setBusy(true);
+    try{
+      const { changed:n, conflicts } = await renameArchive(from, to);
+      setStatus(`${bookCount(n)} aggiornat${n===1?"o":"i"}.${cascadeConflicts(conflicts)}`);
+      setRenaming(null);
+      setRemoving(null);
+    }catch(e){
+      setStatus(e?.message || String(e));
+    }finally{
+      setBusy(false);
+    }
+  }
+  function rename(){
+    const v = norm(renaming.name);
+    if(!v || v===renaming.from) return setRenaming(null);
+    const into = archives.find(a=>a!==renaming.from && normKey(a)===normKey(v));
+    if(into && !window.confirm(`L'archivio "${into}" esiste già: unire "${renaming.from}" a "${into}"?`)) return;
+    return run(renaming.from, into || v);
+  }
+
+  return (
+    <div style={{...styles.card, display:"grid", gap:10}}>
+      <div style={{fontWeight:900, fontSize:16}}>Archivi</div>
+      <div style={styles.small}>Rinominare un archivio aggiorna tutti i suoi libri; con il nome di un altro archivio i due vengono uniti.</div>
+      {archives.length ? archives.map(a=>(
+        <div key={a} style={{display:"grid", gap:6}}>
+          <div style={{display:"flex", alignItems:"center", gap:6}}>
+            {renaming?.from===a ? (
+              <input style={{...styles.input, flex:1}} autoFocus value={renaming.name} disabled={busy} onChange={e=>setRenaming({...renaming, name:e.target.value})}
+                onKeyDown={e=>{ if(e.key==="Enter") rename(); if(e.key==="Escape") setRenaming(null); }}/>
+            ) : (
+              <div style={{flex:1, fontWeight:700}}>{a} <span style={styles.small}>{bookCount(counts.get(a))}</span></div>
+            )}
+            {renaming?.from===a ? (
+              <button style={styles.btnPrimary} disabled={busy} onClick={rename}>OK</button>
+            ) : (
+              <button style={styles.btn} disabled={busy} onClick={()=>setRenaming({ from:a, name:a })}>Rinomina</button>
+            )}
+            <button style={styles.btn} disabled={busy} onClick={()=>setRemoving({ from:a, target:"" })}>Rimuovi</button>
+          </div>
+          {removing?.from===a ? (
+            <RemoveTarget count={counts.get(a)} target={removing.target} onCancel={()=>setRemoving(null)} onConfirm={()=>run(a, removing.target)}>
+              {archives.length>1 ? (
+                <select style={styles.select} value={removing.target} disabled={busy} onChange={e=>setRemoving({...removing, target:e.target.value})}>
+                  <option value="">Sposta i libri in…</option>
+                  {archives.filter(x=>x!==a).map(x=><option key={x} value={x}>{x}</option>)}
+                </select>
+              ) : null}
+            </RemoveTarget>
+          ) : null}
+        </div>
+      )) : <div style={styles.small}>Nessun archivio.</div>}
+      {status ? <div style={styles.small}>{status}</div> : null}
+    </div>
+  );
+}
+
+function ProviderSettings({ order, onSave }){
+  const [items,setItems]=useState(()=>[
+    ...order.map(id=>({ id, enabled:true })),
+    ...PROVIDERS.filter(p=>!order.includes(p.id)).map(p=>({ id:p.id, enabled:false })),
+  ]);
+  const [status,setStatus]=useState("");
+  function move(i, delta){
+    const j = i+delta;
+    if(j<0 || j>=items.length) return;
+    const next = [...items];
+    [next[i], next[j]] = [next[j], next[i]];
+    setItems(next);
+  }
+  const enabled = items.filter(x=>x.enabled).map(x=>x.id);
+  return (
+    <div style={{...styles.card, display:"grid", gap:10}}>
+      <div style={{fontWeight:900, fontSize:16}}>Fonti dei dati</div>
+      <div style={styles.small}>Le fonti attive vengono interrogate insieme; a parità di libro valgono i dati della prima in elenco.</div>
+      {items.map((x,i)=>(
+        <div key={x.id} style={{display:"flex", alignItems:"center", gap:10}}>
+          <input type="checkbox" checked={x.enabled} onChange={e=>setItems(items.map(y=>y.id===x.id ? {...y, enabled:e.target.checked} : y))}/>
+          <div style={{flex:1, fontWeight:700, opacity:x.enabled?1:0.5}}>{providerLabel(x.id)}</div>
+          <button style={styles.btn} onClick={()=>move(i,-1)} disabled={i===0}>↑</button>
+          <button style={styles.btn} onClick={()=>move(i,1)} disabled={i===items.length-1}>↓</button>
+        </div>
+      ))}
+      <div style={{display:"flex", justifyContent:"flex-end"}}>
+        <button style={{...styles.btnPrimary, opacity:enabled.length?1:0.5}} disabled={!enabled.length} onClick={async ()=>{
+          await onSave(enabled);
+          setStatus("Salvato.");
+        }}>Salva</button>
+      </div>
+      {status ? <div style={styles.small}>Stato: {status}</div> : null}
+    </div>
+  );
+}
+
+function CacheSettings(){
+  const [stats,setStats]=useState(null);
+  async function load(){ setStats(await cacheStats().catch(()=>null)); }
+  useEffect(()=>{ load(); },[]);
+  return (
+    <div style={{...styles.card, display:"grid", gap:10}}>
+      <div style={{fontWeight:900, fontSize:16}}>Cache su questo dispositivo</div>
+      <div style={styles.small}>
+        Ricerche e copertine già scaricate restano in memoria (ricerche 30 giorni, copertine 90 giorni).
+        {stats ? ` Ora: ${stats.lookups} ricerche, ${stats.covers} copertine (${(stats.coverBytes/1048576).toFixed(1)} MB).` : ""}
+      </div>
+      <div style={{display:"flex", justifyContent:"flex-end"}}>
+        <button style={styles.btn} onClick={async ()=>{ await clearCache(); await load(); }}>Svuota cache</button>
+      </div>
+    </div>
+  );
+}
+
+// Old books keep their photo inline in the Firestore document; this moves them to Storage once.
+function CoverMigration({ books }){
+  const legacy = books.filter(b=>b.personalCoverDataUrl).length;
+  const [status,setStatus]=useState("");
+  const [busy,setBusy]=useState(false);
+  async function run(){
+    setBusy(true);
+    try{
+      const n = await migrateDataUrlCovers((done, total)=>setStatus(`Sposto le foto… ${done}/${total}`));
+      setStatus(`Fatto: ${n} foto spostate.`);
+    }catch(e){
+      setStatus(`Spostamento interrotto: ${e?.message || e}. Puoi riprendere da dove si è fermato.`);
+    }finally{
+      setBusy(false);
+    }
+  }
+  if(!legacy && !status) return null;
+  return (
+    <div style={{...styles.card, display:"grid", gap:10}}>
+      <div style={{fontWeight:900, fontSize:16}}>Foto personali</div>
+      <div style={styles.small}>
+        {legacy} libri hanno ancora la foto salvata dentro la scheda (formato vecchio, rende lenta la sincronizzazione).
+        Spostale in Firebase Storage: serve la connessione.
+      </div>
+      {status ? <div style={styles.small}>{status}</div> : null}
+      <div style={{display:"flex", justifyContent:"flex-end"}}>
+        <button style={styles.btnPrimary} disabled={busy || !legacy} onClick={run}>Sposta foto</button>
+      </div>
+    </div>
+  );
+}
+
+function SettingsView({ books, providerOrder, onSaveProviders, onClose }){
+  return (
+    <div style={{display:"grid", gap:10}}>
+      <div style={styles.row}><span style={styles.link} onClick={onClose}>← Indietro</span></div>
+      <ProviderSettings order={providerOrder} onSave={onSaveProviders}/>
+      <CoverMigration books={books}/>
+      <CacheSettings/>
+    </div>
+  );
+}
+
+function downloadFile(name, content, type){
+  const blob = new Blob([content], {type});
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a); a.click(); a.remove();
+  URL.revokeObjectURL(url);
+}
+
+function fileStamp(){
+  return new Date().toISOString().slice(0,19).replaceAll(":","-");
+}
+
+function CsvExport({ books }){
+  const [fields,setFields]=useState(DEFAULT_EXPORT_FIELDS);
+  const [delimiter,setDelimiter]=useState(";");
+  function toggle(key){
+    setFields(fields.includes(key) ? fields.filter(k=>k!==key) : EXPORT_FIELDS.map(f=>f.key).filter(k=>k===key || fields.includes(k)));
+  }
+  return (
+    <div style={{...styles.card, display:"grid", gap:10}}>
+      <div style={{fontWeight:900, fontSize:16}}>Esporta CSV</div>
+      <div style={styles.small}>Per Excel, LibreOffice o Google Fogli (UTF-8). Scegli le colonne:</div>
+      <div style={{display:"flex", gap:12, flexWrap:"wrap"}}>
+        {EXPORT_FIELDS.map(f=>(
+          <label key={f.key} style={{display:"flex", gap:6, alignItems:"center", fontSize:14}}>
+            <input type="checkbox" checked={fields.includes(f.key)} onChange={()=>toggle(f.key)}/>{f.label}
+          </label>
+        ))}
+      </div>
+      <div style={{display:"flex", gap:10, alignItems:"center", justifyContent:"flex-end"}}>
+        <select style={{...styles.select, width:"auto"}} value={delimiter} onChange={e=>setDelimiter(e.target.value)}>
+          <option value=";">Separatore ; (Excel italiano)</option>
+          <option value=",">Separatore , (internazionale)</option>
+        </select>
+        <button style={styles.btnPrimary} disabled={!fields.length || !books.length} onClick={()=>{
+          downloadFile(`biblioteca-scott-${fileStamp()}.csv`, booksToCSV(books, fields, { delimiter }), "text/csv;charset=utf-8");
+        }}>⬇️ Export CSV ({books.length})</button>
+      </div>
+    </div>
+  );
+}
+
+const CSV_ACTIONS = { add:"Aggiungi", update:"Aggiorna esistente", skip:"Salta" };
+
+// Import wizard: file -> preset/column mapping (CSV only) -> row report -> write.
+// RIS and MARCXML records are already structured and skip the mapping step.
+// Nothing is saved until "Importa"; rows are re-planned whenever the mapping changes.
+function BookFileImport({ books, locationNodes, locations, archives, onImport }){
+  const fileRef = useRef(null);
+  const [file,setFile]=useState(null);
+  const [preset,setPreset]=useState("");
+  const [mapping,setMapping]=useState({});
+  const [defaults,setDefaults]=useState({ location:"", archive:"" });
+  const [onDuplicate,setOnDuplicate]=useState("skip");
+  const [overrides,setOverrides]=useState({});
+  const [status,setStatus]=useState("");
+  const [busy,setBusy]=useState(false);
+
+  async function load(f){
+    setStatus("");
+    try{
+      const text = await f.text();
+      const format = detectCitationFormat(f.name, text);
+      if(format){
+        const forms = parseCitations(text, format);
+        if(!forms.length) throw new Error("nessun record trovato");
+        setFile({ name:f.name, format, forms, count:forms.length });
+        setOverrides({});
+        return;
+      }
+      const parsed = parseCSV(text);
+      if(!parsed.headers.length) throw new Error("file vuoto");
+      const detected = detectPreset(parsed.headers) || "";
+      setFile({ name:f.name, format:"csv", ...parsed, count:parsed.rows.length });
+      setPreset(detected);
+      setMapping(presetMapping(detected, parsed.headers));
+      setOverrides({});
+    }catch(e){
+      setFile(null);
+      setStatus(`File non leggibile: ${e?.message || e}`);
+    }
+  }
+
+  // Duplicates are looked up once per file and mapping; defaults and row actions only re-plan.
+  const matched = useMemo(()=>{
+    if(!file) return [];
+    return file.format==="csv" ? matchImport(file.rows, mapping, books) : matchForms(file.forms, books);
+  },[file, mapping, books]);
+  const plan = useMemo(()=>planMatched(matched, { locationNodes, defaults, onDuplicate })
+    .map(r=>overrides[r.line] ? { ...r, action:overrides[r.line] } : r),[matched, locationNodes, defaults, onDuplicate, overrides]);
+
+  const counts = plan.reduce((c,r)=>({ ...c, [r.action]:(c[r.action]||0)+1 }), {});
+  const flagged = plan.filter(r=>r.errors.length || r.warnings.length || r.duplicates.length);
+
+  async function run(){
+    const rows = plan.filter(r=>r.action!=="skip");
+    if(!window.confirm(`Importo ${rows.length} righe (${counts.add||0} nuove, ${counts.update||0} aggiornamenti)?`)) return;
+    setBusy(true);
+    try{
+      await onImport(rows, (done, total)=>setStatus(`Salvo ${done}/${total}…`));
+      setStatus(`Import completato: ${rows.length} righe.`);
+      setFile(null);
+    }catch(e){
+      setStatus(`Import interrotto: ${e?.message || e}`);
+    }finally{
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div style={{...styles.card, display:"grid", gap:10}}>
+      <div style={{fontWeight:900, fontSize:16}}>Importa CSV, RIS o MARCXML</div>
+      <div style={styles.small}>Da un foglio di calcolo, dagli export di Goodreads, LibraryThing e Calibre, o da Zotero/cataloghi di biblioteca (RIS, MARCXML).</div>
+      <div style={{display:"flex", gap:10, alignItems:"center"}}>
+        <button style={styles.btn} disabled={busy} onClick={()=>fileRef.current?.click()}>⬆️ Scegli file</button>
+        {file ? <span style={styles.small}>{file.name}: {file.count} {file.format==="csv" ? "righe" : "record"}</span> : null}
+        <input ref={fileRef} type="file" accept=".csv,.ris,.xml,text/csv,text/plain,application/xml" style={{display:"none"}} onChange={e=>{
+          const f = e.target.files?.[0];
+          if(f) load(f);
+          e.target.value="";
+        }}/>
+      </div>
+
+      {file ? (
+        <>
+          {file.format==="csv" ? (
+            <>
+              <div>
+                <div style={styles.label}>Formato</div>
+                <select style={styles.select} value={preset} onChange={e=>{ setPreset(e.target.value); setMapping(presetMapping(e.target.value, file.headers)); }}>
+                  <option value="">Altro (colonne per nome)</option>
+                  {Object.entries(CSV_PRESETS).map(([id,p])=><option key={id} value={id}>{p.label}</option>)}
+                </select>
+              </div>
+              <div style={{display:"grid", gridTemplateColumns:"1fr 1fr", gap:10}}>
+                {IMPORT_FIELDS.map(f=>(
+                  <div key={f.key}>
+                    <div style={styles.label}>{f.label}{f.required?" *":""}</div>
+                    <select style={styles.select} value={mapping[f.key] ?? -1} onChange={e=>setMapping({ ...mapping, [f.key]:Number(e.target.value) })}>
+                      <option value={-1}>—</option>
+                      {file.headers.map((h,i)=><option key={i} value={i}>{h || `Colonna ${i+1}`}</option>)}
+                    </select>
+                  </div>
+                ))}
+              </div>
+            </>
+          ) : <div style={styles.small}>Formato: {CITATION_FORMATS[file.format].label}</div>}
+          <div style={{display:"grid", gridTemplateColumns:"1fr 1fr 1fr", gap:10}}>
+            <div>
+              <div style={styles.label}>Location (se manca nel file)</div>
+              <select style={styles.select} value={defaults.location} onChange={e=>setDefaults({ ...defaults, location:e.target.value })}>
+                <option value="">—</option>
+                {locations.map(l=><option key={l} value={l}>{l}</option>)}
+              </select>
+            </div>
+            <div>
+              <div style={styles.label}>Archivio (se manca nel file)</div>
+              <input style={styles.input} value={defaults.archive} onChange={e=>setDefaults({ ...defaults, archive:e.target.value })} list="csv-arch-sug"/>
+              <datalist id="csv-arch-sug">
+                {archives.map(a=><option key={a} value={a}/>)}
+              </datalist>
+            </div>
+            <div>
+              <div style={styles.label}>Libri già presenti</div>
+              <select style={styles.select} value={onDuplicate} onChange={e=>{ setOnDuplicate(e.target.value); setOverrides({}); }}>
+                <option value="skip">Salta</option>
+                <option value="update">Aggiorna esistente</option>
+                <option value="add">Aggiungi un'altra copia</option>
+              </select>
+            </div>
+          </div>
+
+          <div style={styles.small}>
+            Nuovi: {counts.add||0} • Aggiornati: {counts.update||0} • Saltati: {counts.skip||0}
+            {flagged.length ? ` • Righe da controllare: ${flagged.length}` : ""}
+          </div>
+          {flagged.length ? (
+            <div style={{display:"grid", gap:6, maxHeight:360, overflowY:"auto"}}>
+              {flagged.slice(0, 300).map(r=>(
+                <div key={r.line} style={{...styles.card, padding:8, display:"grid", gridTemplateColumns:"1fr auto", gap:8, alignItems:"center"}}>
+                  <div style={{display:"grid", gap:2}}>
+                    <div style={{fontSize:14}}><b>{file.format==="csv" ? "Riga" : "Record"} {r.line}</b>: {r.form.title || "—"}{r.form.authorLast?` • ${r.form.authorLast}`:""}</div>
+                    {r.errors.map(x=><div key={x} style={{...styles.small, color:"#b00020"}}>{x}</div>)}
+                    {r.warnings.map(x=><div key={x} style={styles.small}>{x}</div>)}
+                    {r.duplicates.length ? <div style={styles.small}>Già in biblioteca: "{r.duplicates[0].book.title}"{r.duplicates[0].book.location?` (📍 ${r.duplicates[0].book.location})`:""}</div> : null}
+                  </div>
+                  <select style={{...styles.select, width:"auto"}} value={r.action} disabled={!!r.errors.length}
+                    onChange={e=>setOverrides({ ...overrides, [r.line]:e.target.value })}>
+                    {(r.errors.length ? ["skip"] : r.duplicates.length ? ["skip","update","add"] : ["add","skip"]).map(a=><option key={a} value={a}>{CSV_ACTIONS[a]}</option>)}
+                  </select>
+                </div>
+              ))}
+              {flagged.length>300 ? <div style={styles.small}>…e altre {flagged.length-300} righe.</div> : null}
+            </div>
+          ) : null}
+          <div style={{display:"flex", justifyContent:"flex-end", gap:10}}>
+            <button style={styles.btn} disabled={busy} onClick={()=>setFile(null)}>Annulla</button>
+            <button style={styles.btnPrimary} disabled={busy || !((counts.add||0)+(counts.update||0))} onClick={run}>Importa</button>
+          </div>
+        </>
+      ) : null}
+      {status ? <div style={styles.small}>Stato: {status}</div> : null}
+    </div>
+  );
+}
+
+function CitationExport({ books, onClose }){
+  const [format,setFormat]=useState("bibtex");
+  const [status,setStatus]=useState("");
+  const text = useMemo(()=>formatCitations(books, format),[books, format]);
+  const info = CITATION_FORMATS[format];
+  async function copy(){
+    try{ await navigator.clipboard.writeText(text); setStatus("Copiato negli appunti."); }
+    catch{ setStatus("Copia non riuscita: usa Scarica."); }
+  }
+  return (
+    <div style={{display:"grid", gap:10}}>
+      <div style={styles.row}><span style={styles.link} onClick={onClose}>← Indietro</span></div>
+      <div style={{...styles.card, display:"grid", gap:10}}>
+        <div style={{fontWeight:900, fontSize:16}}>Citazioni ({books.length} libri)</div>
+        <select style={styles.select} value={format} onChange={e=>{ setFormat(e.target.value); setStatus(""); }}>
+          {Object.entries(CITATION_FORMATS).map(([id,f])=><option key={id} value={id}>{f.label}</option>)}
+        </select>
+        <textarea readOnly style={{...styles.input, height:260, fontFamily:"monospace", fontSize:12, resize:"vertical"}} value={text}/>
+        {status ? <div style={styles.small}>{status}</div> : null}
+        <div style={{display:"flex", justifyContent:"flex-end", gap:10}}>
+          <button style={styles.btn} onClick={copy}>📋 Copia</button>
+          <button style={styles.btnPrimary} onClick={()=>downloadFile(`biblioteca-scott-${fileStamp()}.${info.ext}`, text, `${info.mime};charset=utf-8`)}>⬇️ Scarica .{info.ext}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// The quiet zone around the symbol is the 4 modules the QR spec asks for.
+function QrCode({ text, size }){
+  const m = useMemo(()=>qrMatrix(text),[text]);
+  const quiet = 4;
+  const d = m.flatMap((row,y)=>row.map((dark,x)=>dark ? `M${x+quiet} ${y+quiet}h1v1h-1z` : "")).join("");
+  return (
+    <svg viewBox={`0 0 ${m.length+quiet*2} ${m.length+quiet*2}`} style={{width:size, height:size, flex:"none"}} shapeRendering="crispEdges">
+      <path d={d} fill="#000"/>
+    </svg>
+  );
+}
+
+function Code128({ text, width, height }){
+  const widths = useMemo(()=>code128(text),[text]);
+  const quiet = CODE128_QUIET;
+  const bars = [];
+  let x = quiet;
+  widths.forEach((w,i)=>{
+    if(i%2===0) bars.push(<rect key={i} x={x} y={0} width={w} height={1}/>);
+    x += w;
+  });
+  return (
+    <svg viewBox={`0 0 ${x+quiet} 1`} preserveAspectRatio="none" style={{width, height, display:"block"}} shapeRendering="crispEdges">
+      {bars}
+    </svg>
+  );
+}
+
+// One label: the code on the left (QR) or at the bottom (Code 128), text in the rest.
+function PrintLabel({ item, sheet, codeKind }){
+  const [w, h] = sheet.size;
+  const pad = LABEL_PAD;
+  const lines = (
+    <div style={{display:"grid", gap:"0.5mm", minWidth:0, overflow:"hidden"}}>
+      <div style={{fontWeight:900, fontSize:`${Math.min(4.2, h/5)}mm`, lineHeight:1.1}}>{item.mark}</div>
+      {item.lines.map((l,i)=><div key={i} style={{fontSize:`${Math.min(3, h/8)}mm`, lineHeight:1.15, overflow:"hidden", whiteSpace:"nowrap", textOverflow:"ellipsis"}}>{l}</div>)}
+    </div>
+  );
+  return codeKind==="qr" ? (
+    <div style={{display:"flex", gap:"2mm", alignItems:"center", height:"100%", padding:`${pad}mm`, boxSizing:"border-box"}}>
+      <QrCode text={item.code} size={`${Math.min(h, w/2)-pad*2}mm`}/>
+      {lines}
+    </div>
+  ) : (
+    <div style={{display:"grid", gridTemplateRows:"1fr auto", height:"100%", padding:`${pad}mm`, boxSizing:"border-box"}}>
+      {lines}
+      <Code128 text={item.code} width="100%" height={`${Math.max(5, h*0.35)}mm`}/>
+    </div>
+  );
+}
+
+function LabelSheets({ pages, sheet, codeKind }){
+  const [pw, ph] = sheet.page;
+  return pages.map((cells,p)=>(
+    <div key={p} style={{position:"relative", width:`${pw}mm`, height:`${ph}mm`, background:"#fff", color:"#000", overflow:"hidden", breakAfter:p<pages.length-1 ? "page" : "auto"}}>
+      {cells.map((item,i)=>item ? (
+        <div key={i} style={{position:"absolute", overflow:"hidden",
+          left:`${sheet.left + (i % sheet.cols)*sheet.pitch[0]}mm`, top:`${sheet.top + Math.floor(i / sheet.cols)*sheet.pitch[1]}mm`,
+          width:`${sheet.size[0]}mm`, height:`${sheet.size[1]}mm`}}>
+          <PrintLabel item={item} sheet={sheet} codeKind={codeKind}/>
+        </div>
+      ) : null)}
+    </div>
+  ));
+}
+
+// Shelf list of a place: its books by archive, with the place's code to stick on the shelf
+// and one per archive, whose scan opens the list of that archive there.
+function ShelfSheet({ nodes, locationId, books }){
+  const groups = groupBooks(sortBooks(books, "author"), "archive");
+  const cell = { borderBottom:"0.2mm solid #ccc", padding:"1mm 2mm", textAlign:"left", verticalAlign:"top" };
+  return (
+    <div style={{width:"186mm", background:"#fff", color:"#000", fontSize:"3.2mm"}}>
+      <div style={{display:"flex", gap:"4mm", alignItems:"center", marginBottom:"4mm"}}>
+        <QrCode text={locationCode(locationId)} size="22mm"/>
+        <div>
+          <div style={{fontWeight:900, fontSize:"6mm"}}>{locationLabel(nodes, locationId)}</div>
+          <div>{bookCount(books.length)} • {new Date().toLocaleDateString("it-IT")}</div>
+        </div>
+      </div>
+      {groups.map(g=>(
+        <div key={g.key} style={{breakInside:"avoid-page", marginBottom:"4mm"}}>
+          {groups.length>1 || g.key ? (
+            <div style={{display:"flex", gap:"3mm", alignItems:"center", margin:"2mm 0"}}>
+              {g.key ? <QrCode text={locationCode(locationId, g.key)} size="14mm"/> : null}
+              <div style={{fontWeight:800, fontSize:"4mm"}}>{g.label} ({g.books.length})</div>
+            </div>
+          ) : null}
+          <table style={{width:"100%", borderCollapse:"collapse"}}>
+            <tbody>
+              {g.books.map(b=>(
+                <tr key={b.id}>
+                  <td style={{...cell, width:"20mm", fontWeight:700}}>{shelfMark(b)}</td>
+                  <td style={{...cell, width:"45mm"}}>{[b.authorLast, b.authorFirst].filter(Boolean).join(", ")}</td>
+                  <td style={cell}>{b.title}</td>
+                  <td style={{...cell, width:"34mm"}}>{b.isbn ? hyphenateISBN(b.isbn) : ""}</td>
+                  <td style={{...cell, width:"28mm"}}>{pathTo(nodes, b.locationId).slice(pathTo(nodes, locationId).length).map(n=>n.name).join(PATH_SEPARATOR)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Print view: label sheets for the chosen books or for places, and shelf lists.
+// The printed copy is rendered outside #root, which print CSS hides.
+function PrintView({ books, allBooks, locationNodes, onClose }){
+  const [mode,setMode]=useState("labels"); // labels | places | shelf
+  const [sheetId,setSheetId]=useState("a4_3x8");
+  const [codeKind,setCodeKind]=useState("qr");
+  const [skip,setSkip]=useState(0);
+  const [locationId,setLocationId]=useState(childrenOf(locationNodes)[0]?.id || "");
+  const sheet = LABEL_SHEETS[sheetId];
+
+  const items = useMemo(()=>{
+    if(mode==="places"){
+      const under = locationId ? subtreeIds(locationNodes, locationId) : null;
+      return flattenTree(locationNodes).filter(({ node })=>!under || under.has(node.id)).map(({ node, depth })=>({
+        code:locationCode(node.id),
+        mark:node.name,
+        lines:[LEVELS[depth].label, pathTo(locationNodes, node.parentId).map(n=>n.name).join(PATH_SEPARATOR)].filter(Boolean),
+      }));
+    }
+    return books.map(b=>({
+      code:bookCode(b.id),
+      mark:shelfMark(b) || "—",
+      lines:[shortTitle(b.title), pathTo(locationNodes, b.locationId).slice(-2).map(n=>n.name).join(PATH_SEPARATOR)].filter(Boolean),
+    }));
+  },[mode, books, locationNodes, locationId]);
+  const shelfBooks = useMemo(()=>allBooks.filter(b=>(b.locationPath || []).includes(locationId)),[allBooks, locationId]);
+  const pages = useMemo(()=>paginate(items, sheet, skip),[items, sheet, skip]);
+  // Long codes on narrow labels would need bars too thin to scan: QR code instead.
+  const barsFit = useMemo(()=>code128Fits(items.map(i=>i.code), sheet),[items, sheet]);
+  const kind = codeKind==="code128" && !barsFit ? "qr" : codeKind;
+
+  const printed = mode==="shelf"
+    ? (locationId ? <ShelfSheet nodes={locationNodes} locationId={locationId} books={shelfBooks}/> : null)
+    : <LabelSheets pages={pages} sheet={sheet} codeKind={kind}/>;
+  const page = mode==="shelf" ? "A4 portrait; margin: 12mm" : `${sheet.page[0]}mm ${sheet.page[1]}mm; margin: 0`;
+  const empty = mode==="shelf" ? !locationId : !items.length;
+
+  return (
+    <div style={{display:"grid", gap:10}}>
+      <style>{`
+        .print-copy { display: none; }
+        @media print {
+          @page { size: ${page}; }
+          #root { display: none; }
+          .print-copy { display: block; }
+        }
+      `}</style>
+      {createPortal(<div className="print-copy">{printed}</div>, document.body)}
+      <div style={styles.row}><span style={styles.link} onClick={onClose}>← Indietro</span></div>
+      <div style={{...styles.card, display:"grid", gap:10}}>
+        <div style={{fontWeight:900, fontSize:16}}>Stampa</div>
+        <select style={styles.select} value={mode} onChange={e=>setMode(e.target.value)}>
+          <option value="labels">Etichette libri ({books.length})</option>
+          <option value="places">Etichette location</option>
+          <option value="shelf">Elenco dello scaffale</option>
+        </select>
+        {mode!=="labels" ? <LocationPicker nodes={locationNodes} value={locationId} onChange={setLocationId} emptyLabel={mode==="places" ? "Tutte" : "—"}/> : null}
+        {mode!=="shelf" ? (
+          <div style={{display:"flex", gap:8, flexWrap:"wrap"}}>
+            <div style={{flex:"2 1 200px"}}>
+              <div style={styles.label}>Foglio</div>
+              <select style={styles.select} value={sheetId} onChange={e=>{ setSheetId(e.target.value); setSkip(0); }}>
+                {Object.entries(LABEL_SHEETS).map(([id,s])=><option key={id} value={id}>{s.label}</option>)}
+              </select>
+            </div>
+            <div style={{flex:"1 1 120px"}}>
+              <div style={styles.label}>Codice</div>
+              <select style={styles.select} value={kind} onChange={e=>setCodeKind(e.target.value)}>
+                {Object.entries(CODE_KINDS).map(([id,label])=>(
+                  <option key={id} value={id} disabled={id==="code128" && !barsFit}>{label}{id==="code128" && !barsFit ? " (non per questo foglio)" : ""}</option>
+                ))}
+              </select>
+            </div>
+            <div style={{flex:"1 1 120px"}}>
+              <div style={styles.label}>Etichette già usate</div>
+              <input style={styles.input} type="number" min={0} max={sheet.cols*sheet.rows-1} value={skip}
+                onChange={e=>setSkip(Math.max(0, Math.min(sheet.cols*sheet.rows-1, Number(e.target.value) || 0)))}/>
+            </div>
+          </div>
+        ) : null}
+        {mode!=="shelf" && codeKind==="code128" && !barsFit ? (
+          <div style={styles.small}>
+            ⚠️ Con questi codici e questo foglio le barre del Code 128 sarebbero più sottili di {String(MIN_MODULE_MM).replace(".", ",")} mm e non si leggerebbero: stampo il QR code.
+          </div>
+        ) : null}
+        <div style={styles.small}>
+          {mode==="shelf"
+            ? `${bookCount(shelfBooks.length)}, raggruppati per archivio.`
+            : `${items.length} etichette su ${pages.length} fogli. Stampa al 100% (senza adattare alla pagina) o salva come PDF.`}
+        </div>
+        <div style={{display:"flex", justifyContent:"flex-end", gap:10}}>
+          <button style={styles.btn} onClick={onClose}>Chiudi</button>
+          <button style={{...styles.btnPrimary, opacity:empty?0.5:1}} disabled={empty} onClick={()=>window.print()}>🖨️ Stampa</button>
+        </div>
+      </div>
+      {!empty ? (
+        <div style={{...styles.card, overflow:"auto", maxHeight:"70vh", background:"#eee"}}>
+          <div style={{display:"grid", gap:12, width:"max-content", zoom:0.5}}>
+            {mode==="shelf" ? <div style={{padding:"12mm", background:"#fff"}}>{printed}</div> : printed}
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+// Dry run of a backup import: counts per outcome, and for each changed book the
+// differing fields with a local/incoming choice. Nothing is written before "Importa".
+function ImportPreview({ backup, books, loans, locationNodes, onCancel, onRun }){
+  const { payload, from, warnings } = backup;
+  const [mode,setMode]=useState("merge");
+  const [choices,setChoices]=useState({});
+  const [open,setOpen]=useState(null);
+  const plan = useMemo(()=>planBackupImport(payload, { books, loans, locationNodes }, mode),[payload, books, loans, locationNodes, mode]);
+
+  function choose(id, fields, side){
+    setChoices(c=>({ ...c, [id]:{ ...c[id], ...Object.fromEntries(fields.map(k=>[k, side])) } }));
+  }
+
+  function run(){
+    if(mode==="replace" && plan.deleted.length && !window.confirm(`Verranno eliminati ${plan.deleted.length} libri che non sono nel file. Continuare?`)) return;
+    onRun(
+      (options)=>applyBackupImport(plan, choices, options),
+      `Import completato: ${plan.added.length} aggiunti, ${plan.updated.length} aggiornati, ${plan.deleted.length} eliminati.`
+    );
+  }
+
+  const loanChanges = plan.loans.added.length + plan.loans.updated.length + plan.loans.deleted.length;
+  return (
+    <div style={{...styles.card, display:"grid", gap:10}}>
+      <div style={{fontWeight:900, fontSize:16}}>Anteprima import</div>
+      <div style={styles.small}>
+        {payload.books.length} libri e {payload.loans.length} prestiti nel file{from<payload.version ? ` (formato v${from}, convertito)` : ""}.
+      </div>
+      <div>
+        <div style={styles.label}>Modalità</div>
+        <select style={styles.select} value={mode} onChange={e=>setMode(e.target.value)}>
+          {Object.entries(IMPORT_MODES).map(([id,label])=><option key={id} value={id}>{label}</option>)}
+        </select>
+      </div>
+      <div style={{display:"flex", gap:8, flexWrap:"wrap"}}>
+        <span style={styles.badge}>Nuovi: {plan.added.length}</span>
+        <span style={styles.badge}>Modificati: {plan.updated.length}</span>
+        <span style={styles.badge}>Invariati: {plan.unchanged.length}</span>
+        {plan.skipped.length ? <span style={styles.badge}>Modificati ma ignorati: {plan.skipped.length}</span> : null}
+        <span style={plan.deleted.length?styles.badgeDanger:styles.badge}>Eliminati: {plan.deleted.length}</span>
+      </div>
+      {loanChanges ? (
+        <div style={styles.small}>
+          Prestiti: {plan.loans.added.length} nuovi, {plan.loans.updated.length} aggiornati{plan.loans.deleted.length ? `, ${plan.loans.deleted.length} eliminati` : ""}.
+        </div>
+      ) : null}
+      {warnings.length ? (
+        <ul style={{...styles.small, margin:0, paddingLeft:18, maxHeight:120, overflowY:"auto"}}>
+          {warnings.map((w,i)=><li key={i}>{w}</li>)}
+        </ul>
+      ) : null}
+
+      {plan.updated.length ? (
+        <div style={{display:"grid", gap:6, maxHeight:420, overflowY:"auto"}}>
+          <div style={styles.label}>Libri modificati: per ogni campo scegli se tenere il valore attuale o quello del file.</div>
+          {plan.updated.slice(0, 200).map(u=>{
+            const picked = choices[u.id] || {};
+            const keptLocal = u.fields.filter(k=>picked[k]==="local").length;
+            return (
+              <div key={u.id} style={{...styles.card, padding:8, display:"grid", gap:6}}>
+                <div style={{display:"flex", gap:8, alignItems:"center"}}>
+                  <span style={{...styles.link, flex:1}} onClick={()=>setOpen(open===u.id ? null : u.id)}>
+                    {u.local.title || "—"}{u.local.authorLast?` • ${u.local.authorLast}`:""}
+                  </span>
+                  <span style={styles.small}>{u.fields.length} campi{keptLocal ? ` • ${keptLocal} tenuti` : ""}</span>
+                  <button style={styles.btn} onClick={()=>choose(u.id, u.fields, "local")}>Tieni attuale</button>
+                  <button style={styles.btn} onClick={()=>choose(u.id, u.fields, "incoming")}>Usa file</button>
+                </div>
+                {open===u.id ? u.fields.map(k=>(
+                  <div key={k} style={{display:"grid", gridTemplateColumns:"120px 1fr 1fr", gap:8, alignItems:"center"}}>
+                    <div style={styles.small}>{BOOK_FIELD_LABELS[k] || k}</div>
+                    {["local","incoming"].map(side=>{
+                      const active = (picked[k] || "incoming")===side;
+                      return (
+                        <div key={side} role="button" tabIndex={0} onClick={()=>choose(u.id, [k], side)}
+                          style={{...styles.card, padding:8, cursor:"pointer", borderColor:active?"#111":"#e5e5e5", borderWidth:active?2:1}}>
+                          <div style={styles.small}>{side==="local" ? "Attuale" : "Nel file"}</div>
+                          <FieldValue value={side==="local" ? u.local[k] : u.incoming[k]}/>
+                        </div>
+                      );
+                    })}
+                  </div>
+                )) : null}
+              </div>
+            );
+          })}
+          {plan.updated.length>200 ? <div style={styles.small}>…e altri {plan.updated.length-200} (useranno i valori del file).</div> : null}
+        </div>
+      ) : null}
+
+      <div style={{display:"flex", justifyContent:"flex-end", gap:10}}>
+        <button style={styles.btn} onClick={onCancel}>Annulla</button>
+        <button style={styles.btnPrimary} disabled={!(plan.added.length + plan.updated.length + plan.deleted.length + loanChanges)} onClick={run}>Importa</button>
+      </div>
+    </div>
+  );
+}
+
+// How an interrupted bulk job (see data.js) is named when it waits to be resumed.
+const BULK_LABELS = { import:"Un import", reset:"Un reset", locations:"Il salvataggio delle location", archive:"La modifica di un archivio", migrations:"L'aggiornamento dei libri" };
+
+function BackupManager({ books, loans, locationNodes, locations, archives, onImportRows, onClose, onDone }){
+  const fileRef = useRef(null);
+  const [status,setStatus]=useState("");
+  const [problems,setProblems]=useState([]);
+  const [backup,setBackup]=useState(null);
+  const [job,setJob]=useState(null);
+  const [progress,setProgress]=useState(null);
+  const abortRef = useRef(null);
+
+  useEffect(()=>{ pendingBulkJob().then(setJob).catch(()=>{}); },[]);
+
+  // Import and reset write in batches; a cancelled or failed run stays resumable.
+  async function runBulk(task, doneMsg){
+    const ctrl = new AbortController();
+    abortRef.current = ctrl;
+    setProgress({ done:0, total:0 });
+    setStatus("");
+    try{
+      const r = await task({ onProgress:(done,total)=>setProgress({ done, total }), signal:ctrl.signal });
+      const changed = r.conflicts ? ` ${r.conflicts===1 ? "Un libro era stato modificato" : `${r.conflicts} libri erano stati modificati`} su un altro dispositivo dopo l'anteprima: confronta le versioni con "Risolvi".` : "";
+      if(r.cancelled) setStatus(`Operazione sospesa a ${r.done}/${r.total}: puoi riprenderla.${changed}`);
+      else{
+        setStatus(doneMsg + changed);
+        onDone?.();
+      }
+    }catch(e){
+      setStatus(`Operazione interrotta: ${e?.message || e}`);
+    }finally{
+      abortRef.current = null;
+      setProgress(null);
+      setJob(await pendingBulkJob().catch(()=>null));
+    }
+  }
+  async function doDiscard(){
+    if(!window.confirm("Annullo l'operazione interrotta? Quanto già scritto resta com'è.")) return;
+    await discardBulkJob();
+    setJob(null);
+    setStatus("Operazione interrotta scartata.");
+  }
+  async function doExport(){
+    setStatus("Creo backup…");
+    const payload = await exportBackupJSON();
+    downloadFile(`biblioteca-scott-backup-${fileStamp()}.json`, JSON.stringify(payload,null,2), "application/json");
+    setStatus("Backup esportato.");
+  }
+  async function doImport(file){
+    setProblems([]);
+    setStatus("");
+    try{
+      setBackup(readBackup(await file.text()));
+    }catch(e){
+      setStatus(e?.message || String(e));
+      setProblems(e?.problems || []);
+    }
+  }
+  async function doReset(){
+    const ok = window.confirm("ATTENZIONE: cancello TUTTO. Continuare?");
+    if(!ok) return;
+    await runBulk(clearAllData, "Archivio svuotato.");
+  }
+  const blocked = !!(backup || job || progress);
+  return (
+    <div style={{display:"grid", gap:10}}>
+      <div style={styles.row}><span style={styles.link} onClick={onClose}>← Indietro</span></div>
+      <div style={{...styles.card, display:"grid", gap:10}}>
+        <div style={{fontWeight:900, fontSize:16}}>Backup</div>
+        <div style={{display:"flex", gap:10, flexWrap:"wrap"}}>
+          <button style={styles.btnPrimary} onClick={doExport}>⬇️ Export JSON</button>
+          <button style={styles.btn} disabled={blocked} onClick={()=>fileRef.current?.click()}>⬆️ Import JSON</button>
+          <button style={styles.btn} disabled={blocked} onClick={doReset}>🧹 Reset</button>
+          <input ref={fileRef} type="file" accept="application/json" style={{display:"none"}} onChange={e=>{
+            const f = e.target.files?.[0];
+            if(f) doImport(f);
+            e.target.value="";
+          }}/>
+        </div>
+        {progress ? (
+          <div style={{display:"flex", gap:10, alignItems:"center"}}>
+            <progress style={{flex:1}} value={progress.done} max={progress.total || 1}/>
+            <span style={styles.small}>{progress.done}/{progress.total}</span>
+            <button style={styles.btn} onClick={()=>abortRef.current?.abort()}>Annulla</button>
+          </div>
+        ) : job ? (
+          <div style={{display:"flex", gap:10, alignItems:"center", flexWrap:"wrap"}}>
+            <span style={{...styles.small, flex:1}}>
+              {BULK_LABELS[job.label] || "Un import"} si è fermato a {job.done}/{job.ops.length} scritture.
+            </span>
+            <button style={styles.btnPrimary} onClick={()=>runBulk(resumeBulkJob, "Operazione completata.")}>Riprendi</button>
+            <button style={styles.btn} onClick={doDiscard}>Scarta</button>
+          </div>
+        ) : null}
+        {status ? <div style={styles.small}>Stato: {status}</div> : null}
+        {problems.length ? (
+          <ul style={{...styles.small, margin:0, paddingLeft:18, maxHeight:200, overflowY:"auto"}}>
+            {problems.map((p,i)=><li key={i}>{p}</li>)}
+          </ul>
+        ) : null}
+      </div>
+      {backup ? (
+        <ImportPreview backup={backup} books={books} loans={loans} locationNodes={locationNodes}
+          onCancel={()=>setBackup(null)}
+          onRun={(task, msg)=>{ setBackup(null); runBulk(task, msg); }}/>
+      ) : null}
+      <CsvExport books={books}/>
+      <BookFileImport books={books} locationNodes={locationNodes} locations={locations} archives={archives} onImport={onImportRows}/>
+    </div>
+  );
+}
+
+const BOOK_FIELD_LABELS = {
+  contributors: "Autori e collaboratori",
+  authorLast: "Cognome autore",
+  authorFirst: "Nome autore",
+  title: "Titolo",
+  isbn: "ISBN",
+  isbnRaw: "ISBN (originale)",
+  publisher: "Editore",
+  publishedDate: "Anno",
+  language: "Lingua",
+  pages: "Pagine",
+  edition: "Edizione",
+  format: "Formato",
+  series: "Collana",
+  seriesNumber: "Numero nella collana",
+  location: "Location",
+  archive: "Archivio",
+  notes: "Note",
+  personalCover: "Foto personale",
+  personalCoverDataUrl: "Foto personale (vecchio formato)",
+  catalogCoverUrl: "Copertina catalogo",
+};
+const VERSION_FIELDS = ["id", "createdAt", "updatedAt", "sortKey", "syncedAt"];
+
+// Fields offered for a choice: copies travel with the field they come from
+// (location ids with `location`, the main author with `contributors`).
+const LINKED_FIELDS = { location: LOCATION_FIELDS, contributors: AUTHOR_FIELDS };
+const LINKED_COPIES = Object.values(LINKED_FIELDS).flat();
+
+function choiceFields(keys){
+  const all = new Set(keys);
+  Object.entries(LINKED_FIELDS).forEach(([k, copies])=>{ if(copies.some(f=>all.has(f))) all.add(k); });
+  return Array.from(all).filter(k=>!VERSION_FIELDS.includes(k) && !LINKED_COPIES.includes(k));
+}
+
+function copyField(to, from, k){
+  [k, ...(LINKED_FIELDS[k] || [])].forEach(f=>{ to[f] = from[f]; });
+}
+
+function sameValue(a, b){
+  return JSON.stringify(a ?? "")===JSON.stringify(b ?? "");
+}
+
+function FieldValue({ value }){
+  if(Array.isArray(value) && value.every(c=>c?.role)) return <People book={{ contributors:value }}/>;
+  if(value?.thumb) return <StoredImg path={value.thumb} style={{...styles.cover, width:46, height:64}}/>;
+  if(typeof value==="string" && /^(data:image|https?:)/.test(value)){
+    return <img alt="" src={value} style={{...styles.cover, width:46, height:64}}/>;
+  }
+  const text = value==null || value==="" ? "—" : typeof value==="string" ? value : JSON.stringify(value);
+  return <span style={{whiteSpace:"pre-wrap"}}>{text}</span>;
+}
+
+// Field-by-field merge of an edit that lost the race against another device.
+// Defaults: keep whichever side actually changed a field since the common base.
+function ConflictResolver({ conflicts, onResolve, onDiscard, onClose }){
+  const conflict = conflicts[0] || null;
+  // Books saved before `contributors` existed get the list from their author fields,
+  // so its absence does not show up as a difference.
+  const [mine, theirs, base] = conflict ? [conflict.mine, conflict.theirs, conflict.base].map(b=>b && withAuthorFields(b)) : [];
+  // Conflicts are re-read on every library change: key on identity, not on the object.
+  const conflictKey = conflict ? `${conflict.id}:${conflict.detectedAt}` : "";
+  const fields = useMemo(()=>{
+    if(!conflict || !theirs) return [];
+    const keys = new Set([...Object.keys(mine), ...Object.keys(theirs)]);
+    return choiceFields(keys).filter(k=>!sameValue(mine[k], theirs[k]));
+    // eslint-disable-next-line
+  },[conflictKey]);
+  const [choice,setChoice]=useState({});
+  const [busy,setBusy]=useState(false);
+
+  useEffect(()=>{
+    const c = {};
+    fields.forEach(k=>{
+      const iChanged = !base || !sameValue(mine[k], base[k]);
+      const theyChanged = !base || !sameValue(theirs[k], base[k]);
+      c[k] = theyChanged && !iChanged ? "theirs" : "mine";
+    });
+    setChoice(c);
+    // eslint-disable-next-line
+  },[fields]);
+
+  if(!conflict){
+    return (
+      <div style={{display:"grid", gap:10}}>
+        <div style={styles.row}><span style={styles.link} onClick={onClose}>← Indietro</span></div>
+        <div style={{...styles.card, ...styles.small}}>Nessun conflitto da risolvere.</div>
+      </div>
+    );
+  }
+
+  async function run(fn){
+    setBusy(true);
+    try{ await fn(); }finally{ setBusy(false); }
+  }
+
+  function save(){
+    const merged = { ...theirs };
+    fields.forEach(k=>copyField(merged, choice[k]==="mine" ? mine : theirs, k));
+    return run(()=>onResolve(conflict, merged));
+  }
+
+  return (
+    <div style={{display:"grid", gap:10}}>
+      <div style={styles.row}><span style={styles.link} onClick={onClose}>← Indietro</span></div>
+      <div style={{...styles.card, display:"grid", gap:10}}>
+        <div style={{fontWeight:900, fontSize:16}}>
+          Conflitto: {mine.title || theirs?.title}{conflicts.length>1 ? ` (1 di ${conflicts.length})` : ""}
+        </div>
+        {!theirs ? (
+          <>
+            <div style={styles.small}>Mentre lo modificavi, il libro è stato eliminato da un altro dispositivo.</div>
+            <div style={{display:"flex", justifyContent:"flex-end", gap:10}}>
+              <button style={styles.btn} disabled={busy} onClick={()=>run(()=>onDiscard(conflict))}>Accetta l'eliminazione</button>
+              <button style={styles.btnPrimary} disabled={busy} onClick={()=>run(()=>onResolve(conflict, mine))}>Ricrea con le mie modifiche</button>
+            </div>
+          </>
+        ) : (
+          <>
+            <div style={styles.small}>
+              Il libro è stato salvato da un altro dispositivo mentre lo modificavi. Scegli per ogni campo quale valore tenere.
+            </div>
+            {fields.length ? (
+              <div style={{display:"grid", gap:8}}>
+                {fields.map(k=>{
+                  const both = base && !sameValue(mine[k], base[k]) && !sameValue(theirs[k], base[k]);
+                  return (
+                    <div key={k} style={{display:"grid", gap:6}}>
+                      <div style={{...styles.label, fontWeight:both?800:400}}>{BOOK_FIELD_LABELS[k] || k}{both?" • modificato da entrambi":""}</div>
+                      <div style={{display:"grid", gridTemplateColumns:"1fr 1fr", gap:8}}>
+                        {["mine","theirs"].map(side=>(
+                          <div key={side} role="button" tabIndex={0} onClick={()=>setChoice({...choice, [k]:side})}
+                            style={{...styles.card, padding:10, cursor:"pointer", borderColor:choice[k]===side?"#111":"#e5e5e5", borderWidth:choice[k]===side?2:1}}>
+                            <div style={styles.small}>{side==="mine" ? "La mia versione" : "Altro dispositivo"}</div>
+                            <FieldValue value={side==="mine" ? mine[k] : theirs[k]}/>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            ) : (
+              <div style={styles.small}>Le due versioni coincidono.</div>
+            )}
+            <div style={{display:"flex", justifyContent:"flex-end", gap:10}}>
+              <button style={styles.btn} disabled={busy} onClick={()=>run(()=>onDiscard(conflict))}>Tieni l'altra versione</button>
+              <button style={styles.btnPrimary} disabled={busy} onClick={save}>Salva scelta</button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function distinctValues(books, k){
+  const out = [];
+  books.forEach(b=>{ if(!out.some(v=>sameValue(v, b[k]))) out.push(b[k]); });
+  return out;
+}
+
+// Merge of a duplicate group: the oldest copy is kept, every differing field is
+// picked from one of the copies, notes are combined.
+function MergeTool({ group, onMerge, onDismiss, onBack }){
+  const [ids,setIds]=useState(group.map(b=>b.id));
+  const chosen = group.filter(b=>ids.includes(b.id));
+  const fields = useMemo(()=>{
+    const keys = new Set(group.flatMap(b=>Object.keys(b)));
+    return choiceFields(keys).filter(k=>k!=="notes" && distinctValues(group, k).length>1);
+  },[group]);
+  const [choice,setChoice]=useState(()=>{
+    const c = {};
+    fields.forEach(k=>{
+      const filled = group.find(b=>norm(b[k]));
+      c[k] = (filled || group[0]).id;
+    });
+    return c;
+  });
+  const [notes,setNotes]=useState(combineNotes(group));
+  const [busy,setBusy]=useState(false);
+
+  async function merge(){
+    const merged = { notes:norm(notes) };
+    fields.forEach(k=>{
+      copyField(merged, chosen.find(b=>b.id===choice[k]) || chosen[0], k);
+    });
+    setBusy(true);
+    try{ await onMerge(chosen, merged); }finally{ setBusy(false); }
+  }
+
+  return (
+    <div style={{...styles.card, display:"grid", gap:10}}>
+      <div style={styles.row}><span style={styles.link} onClick={onBack}>← Tutti i doppioni</span></div>
+      <div style={{fontWeight:900, fontSize:16}}>Unisci copie</div>
+      <div style={{display:"grid", gap:6}}>
+        {group.map((b,i)=>(
+          <label key={b.id} style={{display:"flex", gap:8, alignItems:"center"}}>
+            <input type="checkbox" checked={ids.includes(b.id)} disabled={i===0}
+              onChange={e=>setIds(e.target.checked ? [...ids, b.id] : ids.filter(x=>x!==b.id))}/>
+            <span style={styles.small}>
+              <b>{b.title}</b>{b.authorLast?` • ${b.authorLast}`:""}{b.isbn?` • ${hyphenateISBN(b.isbn)}`:""}{b.location?` • 📍 ${b.location}`:""}
+              {i===0 ? " (viene mantenuto)" : ""}
+            </span>
+          </label>
+        ))}
+      </div>
+      <div style={styles.divider}/>
+      {fields.map(k=>(
+        <div key={k} style={{display:"grid", gap:6}}>
+          <div style={styles.label}>{BOOK_FIELD_LABELS[k] || k}</div>
+          <div style={{display:"grid", gridTemplateColumns:`repeat(${Math.min(chosen.length, 3)}, 1fr)`, gap:8}}>
+            {chosen.map(b=>(
+              <div key={b.id} role="button" tabIndex={0} onClick={()=>setChoice({...choice, [k]:b.id})}
+                style={{...styles.card, padding:10, cursor:"pointer", borderColor:choice[k]===b.id?"#111":"#e5e5e5", borderWidth:choice[k]===b.id?2:1}}>
+                <FieldValue value={b[k]}/>
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+      <div>
+        <div style={styles.label}>Note (unite)</div>
+        <textarea style={{...styles.input, height:90, resize:"vertical"}} value={notes} onChange={e=>setNotes(e.target.value)}/>
+      </div>
+      <div style={{display:"flex", justifyContent:"flex-end", gap:10, flexWrap:"wrap"}}>
+        <button style={styles.btn} disabled={busy} onClick={()=>onDismiss(group)}>Non sono doppioni</button>
+        <button style={{...styles.btnPrimary, opacity:chosen.length>1?1:0.5}} disabled={busy || chosen.length<2} onClick={merge}>
+          Unisci {chosen.length} copie
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function DuplicatesView({ books, dismissed, onMerge, onDismiss, onClose }){
+  const groups = useMemo(()=>groupDuplicates(books, dismissed),[books, dismissed]);
+  const [openKey,setOpenKey]=useState("");
+  const open = groups.find(g=>g[0].id===openKey) || null;
+  return (
+    <div style={{display:"grid", gap:10}}>
+      <div style={styles.row}><span style={styles.link} onClick={onClose}>← Indietro</span></div>
+      {open ? (
+        <MergeTool key={open.map(b=>b.id).join("|")} group={open} onBack={()=>setOpenKey("")}
+          onMerge={async (chosen, merged)=>{ await onMerge(chosen, merged); setOpenKey(""); }}
+          onDismiss={async (g)=>{ await onDismiss(g); setOpenKey(""); }}/>
+      ) : (
+        <div style={{...styles.card, display:"grid", gap:10}}>
+          <div style={{fontWeight:900, fontSize:16}}>Doppioni</div>
+          <div style={styles.small}>Libri con lo stesso ISBN o con autore e titolo molto simili.</div>
+          {groups.length ? groups.map(g=>(
+            <div key={g[0].id} style={{display:"flex", justifyContent:"space-between", alignItems:"center", gap:10}}>
+              <div>
+                <div style={{fontWeight:800}}>{g[0].title}</div>
+                <div style={styles.small}>{g[0].authorLast}{g[0].authorLast?" • ":""}{g.length} copie</div>
+              </div>
+              <button style={styles.btn} onClick={()=>setOpenKey(g[0].id)}>Confronta</button>
+            </div>
+          )) : <div style={styles.small}>Nessun doppione trovato.</div>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const SCAN_STATUS = {
+  pending: "In attesa",
+  resolving: "Cerco…",
+  found: "Trovato",
+  notfound: "Non trovato",
+  error: "Fonti non disponibili",
+};
+
+// `start` ({ locationId, archive, isbns }) opens the session with ISBNs already queued,
+// e.g. the unknown ones of an inventory.
+function ScanSession({ books, locationNodes, archives, providerOrder, start, onClose, onCommit }){
+  const [locationId,setLocationId]=useState(start?.locationId || childrenOf(locationNodes)[0]?.id || "");
+  const [archive,setArchive]=useState(start?.archive || "");
+  const [queue,setQueue]=useState(()=>(start?.isbns || []).map(x=>(
+    { isbn:x.isbn, isbnRaw:x.isbnRaw, status:"pending", include:true, owned:0, similar:"", title:"", authorLast:"", authorFirst:"", catalogCoverUrl:"" }
+  )));
+  const [cameraOpen,setCameraOpen]=useState(true);
+  const [reviewing,setReviewing]=useState(false);
+  const [manual,setManual]=useState("");
+  const [status,setStatus]=useState("");
+  const [saving,setSaving]=useState(false);
+  const workingRef = useRef(false);
+  const seenRef = useRef(new Set(queue.map(x=>x.isbn)));
+  const booksRef = useRef(books);
+  booksRef.current = books;
+
+  function enqueue(value){
+    const cleaned = cleanISBN(value);
+    if(!isValidISBN(cleaned)){ scanFeedback("warn"); setStatus(`Codice ${value} non valido: ${isbnProblem(cleaned) || "vuoto."}`); return; }
+    const isbn13 = toISBN13(cleaned);
+    if(seenRef.current.has(isbn13)){ scanFeedback("warn"); setStatus(`${hyphenateISBN(isbn13)} è già in coda.`); return; }
+    seenRef.current.add(isbn13);
+    // Copies already on the shelves are queued but left out of the save unless re-ticked.
+    const owned = books.filter(b=>b.isbn===isbn13).length;
+    setQueue(q=>[...q, { isbn:isbn13, isbnRaw:cleaned, status:"pending", include:!owned, owned, similar:"", title:"", authorLast:"", authorFirst:"", catalogCoverUrl:"" }]);
+    scanFeedback(owned ? "warn" : "ok");
+    setStatus(owned ? `${hyphenateISBN(isbn13)} è già in biblioteca: non verrà aggiunto se non lo spunti.` : `Aggiunto ${hyphenateISBN(isbn13)}.`);
+  }
+
+  function drop(isbn){
+    seenRef.current.delete(isbn);
+    setQueue(q=>q.filter(x=>x.isbn!==isbn));
+  }
+
+  function patch(isbn, data){
+    setQueue(q=>q.map(x=>x.isbn===isbn ? {...x, ...data} : x));
+  }
+
+  // Resolve metadata one ISBN at a time while scanning continues.
+  useEffect(()=>{
+    if(workingRef.current) return;
+    const next = queue.find(x=>x.status==="pending");
+    if(!next) return;
+    workingRef.current = true;
+    patch(next.isbn, { status:"resolving" });
+    (async ()=>{
+      let data;
+      try{
+        const { results:[r], errors } = await cachedSearchMetadata({ isbn: next.isbn }, { order: providerOrder, refresh: next.refresh });
+        data = r
+          ? { status:"found", title:r.title||"", authorLast:r.authorLast||"", authorFirst:r.authorFirst||"", contributors:r.contributors||[], ...editionFields(r), catalogCoverUrl:r.coverUrl||"" }
+          : { status: errors.length ? "error" : "notfound", error: describeProviderErrors(errors) };
+        if(r && !next.owned){
+          const [similar] = findDuplicates({ title:r.title, authorLast:r.authorLast }, booksRef.current);
+          if(similar) data.similar = similar.book.title;
+        }
+      }catch{
+        data = { status:"error" };
+      }
+      workingRef.current = false;
+      patch(next.isbn, { ...data, refresh:false });
+    })();
+  },[queue]);
+
+  const pending = queue.filter(x=>x.status==="pending" || x.status==="resolving").length;
+  const accepted = queue.filter(x=>x.include && norm(x.title));
+
+  async function commit(){
+    setSaving(true);
+    try{
+      await onCommit(accepted.map(x=>({
+        // Co-authors from the source stay; the first author is the one edited here.
+        contributors:replaceMainAuthor(x.contributors || [], { last:x.authorLast, first:x.authorFirst }),
+        authorLast:norm(x.authorLast),
+        authorFirst:norm(x.authorFirst),
+        title:norm(x.title),
+        isbn:x.isbn,
+        isbnRaw:x.isbnRaw,
+        ...editionFields(x),
+        locationId,
+        archive:norm(archive),
+        catalogCoverUrl:x.catalogCoverUrl||"",
+      })), (done, total)=>setStatus(`Salvo ${done}/${total}…`));
+    }catch{
+      setStatus("Salvataggio interrotto: riprova.");
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div style={{display:"grid", gap:10}}>
+      <div style={styles.row}><span style={styles.link} onClick={onClose}>← Indietro</span></div>
+      <div style={{...styles.card, display:"grid", gap:10}}>
+        <div style={{fontWeight:900, fontSize:16}}>Scansione in serie</div>
+        <div style={styles.small}>La location e l'archivio scelti valgono per tutti i libri della sessione.</div>
+        <LocationPicker nodes={locationNodes} value={locationId} onChange={setLocationId}/>
+        <div>
+          <div style={styles.label}>Archivio</div>
+          <input style={styles.input} value={archive} onChange={e=>setArchive(e.target.value)} list="scan-arch-sug"/>
+          <datalist id="scan-arch-sug">
+            {archives.map(a=><option key={a} value={a}/>)}
+          </datalist>
+        </div>
+        <div style={{display:"flex", gap:10}}>
+          <input style={styles.input} value={manual} onChange={e=>setManual(e.target.value)} placeholder="ISBN a mano (Invio)"
+            onKeyDown={(e)=>{ if(e.key==="Enter"){ e.preventDefault(); enqueue(manual); setManual(""); } }}/>
+          {!reviewing ? (
+            <button style={styles.btn} onClick={()=>setCameraOpen(!cameraOpen)}>{cameraOpen?"Pausa camera":"📷 Riprendi"}</button>
+          ) : null}
+        </div>
+        {cameraOpen && !reviewing ? (
+          <CameraISBNScanner continuous title="Scansione in serie" onDetected={enqueue} onClose={()=>setCameraOpen(false)}/>
+        ) : null}
+        {status ? <div style={styles.small}>Stato: {status}</div> : null}
+        <div style={styles.small}>
+          In coda: {queue.length}{pending?` • da risolvere: ${pending}`:""}
+        </div>
+        {!reviewing ? (
+          <div style={{display:"flex", justifyContent:"flex-end", gap:10}}>
+            <button style={styles.btn} onClick={onClose}>Annulla</button>
+            <button style={{...styles.btnPrimary, opacity:queue.length?1:0.5}} disabled={!queue.length} onClick={()=>{ setCameraOpen(false); setReviewing(true); }}>
+              Rivedi ({queue.length})
+            </button>
+          </div>
+        ) : null}
+      </div>
+
+      {queue.length ? (
+        <div style={{...styles.card, display:"grid", gap:8}}>
+          <div style={{fontWeight:800}}>{reviewing ? "Revisione" : "Coda"}</div>
+          {queue.map(x=>(
+            <div key={x.isbn} style={{display:"grid", gridTemplateColumns:reviewing?"auto 46px 1fr auto":"46px 1fr", gap:10, alignItems:"center", opacity:x.include?1:0.45}}>
+              {reviewing ? <input type="checkbox" checked={x.include} onChange={e=>patch(x.isbn, { include:e.target.checked })}/> : null}
+              {x.catalogCoverUrl
+                ? <CoverImg url={x.catalogCoverUrl} style={{...styles.cover, width:46, height:64}}/>
+                : <div style={{...styles.cover, width:46, height:64, display:"grid", placeItems:"center", color:"#999"}}>—</div>}
+              <div style={{display:"grid", gap:4}}>
+                <div style={styles.small}>ISBN {hyphenateISBN(x.isbn)} • {SCAN_STATUS[x.status]}{x.status==="error" && x.error ? ` (${x.error})` : ""}</div>
+                {x.owned ? <div><span style={styles.badge}>Già in biblioteca ({x.owned})</span></div> : null}
+                {x.similar ? <div><span style={styles.badge}>Simile a "{x.similar}"</span></div> : null}
+                {reviewing ? (
+                  <>
+                    <input style={styles.input} value={x.title} placeholder="Titolo *" onChange={e=>patch(x.isbn, { title:e.target.value })}/>
+                    <div style={{display:"grid", gridTemplateColumns:"1fr 1fr", gap:6}}>
+                      <input style={styles.input} value={x.authorLast} placeholder="Cognome autore" onChange={e=>patch(x.isbn, { authorLast:e.target.value })}/>
+                      <input style={styles.input} value={x.authorFirst} placeholder="Nome autore" onChange={e=>patch(x.isbn, { authorFirst:e.target.value })}/>
+                    </div>
+                  </>
+                ) : (
+                  <div style={{fontWeight:700}}>{x.title || "—"}{x.authorLast?` • ${x.authorLast}`:""}</div>
+                )}
+              </div>
+              {reviewing ? (
+                <div style={{display:"grid", gap:6}}>
+                  {x.status==="notfound" || x.status==="error"
+                    ? <button style={styles.btn} onClick={()=>patch(x.isbn, { status:"pending", refresh:true })}>Riprova</button>
+                    : null}
+                  <button style={styles.btn} onClick={()=>drop(x.isbn)}>Scarta</button>
+                </div>
+              ) : null}
+            </div>
+          ))}
+          {reviewing ? (
+            <div style={{display:"flex", justifyContent:"flex-end", gap:10}}>
+              <button style={styles.btn} disabled={saving} onClick={()=>{ setReviewing(false); setCameraOpen(true); }}>Continua a scansionare</button>
+              <button style={{...styles.btnPrimary, opacity:accepted.length && !saving?1:0.5}} disabled={!accepted.length || saving} onClick={commit}>
+                Salva {accepted.length} libri
+              </button>
+            </div>
+          ) : null}
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+const AUDIT_MARK = { scan:"📷", tick:"✓" };
+
+// Shelf inventory of a place: count what is there, then compare with what is recorded.
+// `audits` are the saved results per place (settings.audits, see audit.js).
+function AuditView({ books, locationNodes, archives, audits, onClose, onFinish, onRelocate, onCatalogue }){
+  const [locationId,setLocationId]=useState("");
+  const [archive,setArchive]=useState("");
+  const [step,setStep]=useState("setup"); // setup | count | report
+  const [found,setFound]=useState(()=>new Map()); // book id -> "scan" | "tick"
+  const [unknown,setUnknown]=useState([]); // [{ isbn, isbnRaw }]
+  const [cameraOpen,setCameraOpen]=useState(false);
+  const [manual,setManual]=useState("");
+  const [status,setStatus]=useState("");
+  const [busy,setBusy]=useState(false);
+  const scope = { locationId, archive };
+  const place = [locationLabel(locationNodes, locationId), archive].filter(Boolean).join(" • ");
+  const last = audits?.[auditKey(scope)];
+  const expected = useMemo(()=>expectedBooks(books, scope),[books, locationId, archive]);
+  const report = useMemo(()=>auditReport(books, scope, found),[books, locationId, archive, found]);
+
+  function count(book, how){
+    setFound(f=>new Map(f).set(book.id, how));
+  }
+  function uncount(id){
+    setFound(f=>{ const next = new Map(f); next.delete(id); return next; });
+  }
+
+  function scan(value){
+    const cleaned = cleanISBN(value);
+    if(!isValidISBN(cleaned)){ scanFeedback("warn"); setStatus(`Codice ${value} non valido: ${isbnProblem(cleaned) || "vuoto."}`); return; }
+    const isbn = toISBN13(cleaned);
+    const m = matchScan(isbn, books, scope, found);
+    if(m.kind==="expected"){
+      count(m.book, "scan");
+      scanFeedback("ok");
+      setStatus(`✓ ${m.book.title}`);
+    }else if(m.kind==="misplaced"){
+      count(m.book, "scan");
+      scanFeedback("warn");
+      setStatus(`${m.book.title}: risulta ${m.book.location ? `in ${m.book.location}` : "senza location"}${m.book.archive ? ` • ${m.book.archive}` : ""}.`);
+    }else if(m.kind==="repeat"){
+      scanFeedback("warn");
+      setStatus(`${hyphenateISBN(isbn)} è già stato contato.`);
+    }else{
+      scanFeedback("warn");
+      if(!unknown.some(x=>x.isbn===isbn)) setUnknown(u=>[...u, { isbn, isbnRaw:cleaned }]);
+      setStatus(`${hyphenateISBN(isbn)} non è in biblioteca: da catalogare.`);
+    }
+  }
+
+  async function finish(){
+    setBusy(true);
+    try{
+      await onFinish(scope, {
+        expected:expected.length,
+        present:report.present.length,
+        missing:report.missing.length,
+        misplaced:report.misplaced.length,
+        unknown:unknown.length,
+      });
+      setCameraOpen(false);
+      setStep("report");
+    }catch(e){
+      setStatus(e?.message || String(e));
+    }finally{
+      setBusy(false);
+    }
+  }
+
+  async function relocate(list){
+    setBusy(true);
+    try{ for (const b of list) await onRelocate(b, scope); }finally{ setBusy(false); }
+  }
+
+  const line = (b)=>`${b.title}${b.authorLast?` • ${b.authorLast}`:""}`;
+
+  if(step==="setup"){
+    return (
+      <div style={{display:"grid", gap:10}}>
+        <div style={styles.row}><span style={styles.link} onClick={onClose}>← Indietro</span></div>
+        <div style={{...styles.card, display:"grid", gap:10}}>
+          <div style={{fontWeight:900, fontSize:16}}>Inventario</div>
+          <div style={styles.small}>Scegli il posto da controllare, poi scansiona (o spunta) i libri che ci sono davvero.</div>
+          <LocationPicker nodes={locationNodes} value={locationId} onChange={setLocationId} emptyLabel="Tutte"/>
+          <div>
+            <div style={styles.label}>Archivio</div>
+            <select style={styles.select} value={archive} onChange={e=>setArchive(e.target.value)}>
+              <option value="">Tutti</option>
+              {archives.map(a=><option key={a} value={a}>{a}</option>)}
+            </select>
+          </div>
+          {locationId || archive ? (
+            <div style={styles.small}>
+              {bookCount(expected.length)} registrat{expected.length===1?"o":"i"} qui.{" "}
+              {last
+                ? `Ultimo inventario: ${new Date(last.at).toLocaleDateString("it-IT")} (${last.present} presenti, ${last.missing} mancanti, ${last.misplaced} fuori posto).`
+                : "Mai inventariato."}
+            </div>
+          ) : null}
+          <div style={{display:"flex", justifyContent:"flex-end", gap:10}}>
+            <button style={styles.btn} onClick={onClose}>Annulla</button>
+            <button style={{...styles.btnPrimary, opacity:locationId || archive?1:0.5}} disabled={!locationId && !archive}
+              onClick={()=>{ setStep("count"); setCameraOpen(true); }}>Inizia</button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if(step==="count"){
+    return (
+      <div style={{display:"grid", gap:10}}>
+        <div style={styles.row}><span style={styles.link} onClick={onClose}>← Indietro</span></div>
+        <div style={{...styles.card, display:"grid", gap:10}}>
+          <div style={{fontWeight:900, fontSize:16}}>Inventario: {place}</div>
+          <div style={{display:"flex", gap:10}}>
+            <input style={styles.input} value={manual} onChange={e=>setManual(e.target.value)} placeholder="ISBN a mano (Invio)"
+              onKeyDown={(e)=>{ if(e.key==="Enter"){ e.preventDefault(); scan(manual); setManual(""); } }}/>
+            <button style={styles.btn} onClick={()=>setCameraOpen(!cameraOpen)}>{cameraOpen?"Pausa camera":"📷 Riprendi"}</button>
+          </div>
+          {cameraOpen ? <CameraISBNScanner continuous title="Inventario" onDetected={scan} onClose={()=>setCameraOpen(false)}/> : null}
+          {status ? <div style={styles.small}>Stato: {status}</div> : null}
+          <div style={styles.small}>
+            Contati {report.present.length} di {expected.length}
+            {report.misplaced.length ? ` • fuori posto: ${report.misplaced.length}` : ""}
+            {unknown.length ? ` • sconosciuti: ${unknown.length}` : ""}
+          </div>
+          <div style={{display:"flex", justifyContent:"flex-end", gap:10}}>
+            <button style={styles.btn} onClick={onClose}>Annulla</button>
+            <button style={styles.btnPrimary} disabled={busy} onClick={finish}>Termina</button>
+          </div>
+        </div>
+        <div style={{...styles.card, display:"grid", gap:6}}>
+          <div style={{fontWeight:800}}>Registrati qui</div>
+          <div style={styles.small}>Spunta i libri senza codice o che non si riescono a scansionare.</div>
+          {expected.map(b=>(
+            <label key={b.id} style={{display:"flex", gap:8, alignItems:"center"}}>
+              <input type="checkbox" checked={found.has(b.id)} onChange={e=>e.target.checked ? count(b, "tick") : uncount(b.id)}/>
+              <span style={{...styles.small, opacity:found.has(b.id)?0.6:1}}>{line(b)}{found.has(b.id) ? ` ${AUDIT_MARK[found.get(b.id)]}` : ""}</span>
+            </label>
+          ))}
+          {report.misplaced.map(b=>(
+            <div key={b.id} style={{display:"flex", gap:8, alignItems:"center"}}>
+              <span style={{...styles.small, flex:1}}>{line(b)} <span style={styles.badge}>fuori posto</span></span>
+              <button style={styles.btn} onClick={()=>uncount(b.id)}>Togli</button>
+            </div>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div style={{display:"grid", gap:10}}>
+      <div style={styles.row}><span style={styles.link} onClick={onClose}>← Indietro</span></div>
+      <div style={{...styles.card, display:"grid", gap:10}}>
+        <div style={{fontWeight:900, fontSize:16}}>Inventario: {place}</div>
+        <div style={styles.small}>
+          Salvato il {new Date().toLocaleDateString("it-IT")}: {report.present.length} presenti su {expected.length}, {report.missing.length} mancanti,{" "}
+          {report.misplaced.length} fuori posto, {unknown.length} da catalogare.
+        </div>
+      </div>
+      <div style={{...styles.card, display:"grid", gap:6}}>
+        <div style={{fontWeight:800}}>Mancanti ({report.missing.length})</div>
+        <div style={styles.small}>Registrati qui ma non trovati.</div>
+        {report.missing.map(b=><div key={b.id} style={styles.small}>{line(b)}{b.location ? ` • 📍 ${b.location}` : ""}</div>)}
+      </div>
+      <div style={{...styles.card, display:"grid", gap:6}}>
+        <div style={{display:"flex", justifyContent:"space-between", alignItems:"center", gap:10}}>
+          <div style={{fontWeight:800}}>Fuori posto ({report.misplaced.length})</div>
+          {report.misplaced.length>1 ? <button style={styles.btn} disabled={busy} onClick={()=>relocate(report.misplaced)}>Sposta tutti qui</button> : null}
+        </div>
+        <div style={styles.small}>Trovati qui ma registrati altrove.</div>
+        {report.misplaced.map(b=>(
+          <div key={b.id} style={{display:"flex", gap:8, alignItems:"center"}}>
+            <span style={{...styles.small, flex:1}}>
+              {line(b)} • risulta {b.location ? `in ${b.location}` : "senza location"}{b.archive ? ` • ${b.archive}` : ""}
+            </span>
+            <button style={styles.btn} disabled={busy} onClick={()=>relocate([b])}>Sposta qui</button>
+          </div>
+        ))}
+      </div>
+      <div style={{...styles.card, display:"grid", gap:6}}>
+        <div style={{display:"flex", justifyContent:"space-between", alignItems:"center", gap:10}}>
+          <div style={{fontWeight:800}}>Da catalogare ({unknown.length})</div>
+          {unknown.length ? <button style={styles.btnPrimary} onClick={()=>onCatalogue(scope, unknown)}>Cataloga</button> : null}
+        </div>
+        <div style={styles.small}>ISBN trovati qui che non sono in biblioteca.</div>
+        {unknown.map(x=><div key={x.isbn} style={styles.small}>ISBN {hyphenateISBN(x.isbn)}</div>)}
+      </div>
+    </div>
+  );
+}
+
+export default function App(){
+  const [authChecked,setAuthChecked]=useState(false);
+  const [authed,setAuthed]=useState(false);
+  const [userEmail,setUserEmail]=useState("");
 
   const [view,setView]=useState("library");
   const [locations,setLocationsState]=useState([]);
-  const [books,setBooks]=useState([]);
+  const [locationNodes,setLocationNodesState]=useState([]);
+  // Bumped by every change to the library; books are read from the replica where needed.
+  const [revision,setRevision]=useState(0);
+  const [archives,setArchives]=useState([]);
+  const [loans,setLoans]=useState([]);
+  const [conflicts,setConflicts]=useState([]);
+  const [settings,setSettings]=useState({});
   const [selected,setSelected]=useState(null);
   const [query,setQuery]=useState("");
   const [filterLocation,setFilterLocation]=useState("");
   const [filterArchive,setFilterArchive]=useState("");
-
-  async function refresh(){
-    const locs = await getLocations();
-    setLocationsState(locs);
-    const b = await listBooks();
-    setBooks(b);
+  const [filterEdition,setFilterEdition]=useState(NO_EDITION_FILTER);
+  const [editionFiltersOpen,setEditionFiltersOpen]=useState(false);
+  // Ids ticked in the library list for citations (null when not selecting).
+  const [picked,setPicked]=useState(null);
+  const [sync,setSync]=useState(null);
+  const [notice,setNotice]=useState("");
+  const [selectedDeleted,setSelectedDeleted]=useState(false);
+  const [formKey,setFormKey]=useState(0);
+  const [scanStart,setScanStart]=useState(null);
+  const [addInitial,setAddInitial]=useState(null);
+  const selectedSeenRef = useRef(false);
+
+  function select(b){
+    selectedSeenRef.current = false;
+    setSelectedDeleted(false);
+    setSelected(b);
   }
 
   useEffect(()=>{
@@ -809,59 +3068,309 @@ export default function App(){
       if(!u){ setAuthed(false); setUserEmail(""); return; }
       if(!allowed(u.email)){ await signOut(auth); setAuthed(false); setUserEmail(""); return; }
       setAuthed(true); setUserEmail(u.email||"");
-      await refresh();
     });
     return ()=>unsub();
     // eslint-disable-next-line
   },[]);
 
-  const archives = useMemo(()=>{
-    const s = new Set();
-    books.forEach(b=>{ const a=(b.archive||"").trim(); if(a) s.add(a); });
+  useEffect(()=>onSyncState(setSync),[]);
+
+  useEffect(()=>{
+    if(!authed) return;
+    const stopSync = startSync();
+    const unsub = subscribeLibrary(({ revision, loans, locationNodes, locations, conflicts, settings })=>{
+      setSettings(settings);
+      setRevision(revision);
+      setLoans(loans);
+      setLocationNodesState(locationNodes);
+      setLocationsState(locations);
+      setConflicts(conflicts);
+    });
+    return ()=>{ unsub(); stopSync(); };
+  },[authed]);
+
+  // Keep the open book in step with changes made on other devices.
+  useEffect(()=>{
+    if(!selected) return;
+    let active = true;
+    getBook(selected.id).then(fresh=>{
+      if(!active) return;
+      if(fresh){
+        selectedSeenRef.current = true;
+        if(fresh.updatedAt!==selected.updatedAt) setSelected(fresh);
+        return;
+      }
+      if(!selectedSeenRef.current) return;
+      selectedSeenRef.current = false;
+      if(view==="detail"){
+        setNotice(`"${selected.title}" è stato eliminato da un altro dispositivo.`);
+        setSelected(null);
+        setView("library");
+      }else if(view==="edit"){
+        setSelectedDeleted(true);
+      }
+    });
+    return ()=>{ active = false; };
+    // eslint-disable-next-line
+  },[revision]);
+
+  useEffect(()=>{
+    if(!revision) return;
+    let active = true;
+    listArchives().then(a=>{ if(active) setArchives(a); });
+    return ()=>{ active = false; };
+  },[revision]);
+
+  // The whole library, only for the views that work on all of it (and the edition filter choices).
+  const wholeLibrary = ["add","edit","duplicates","scan","audit","loans","locations","settings","print","backup"].includes(view) || (view==="library" && editionFiltersOpen);
+  const books = useReplicaBooks(wholeLibrary ? {} : null, revision);
+  const editionOptions = useMemo(()=>({
+    publisher: textValues(books, "publisher"),
+    series: textValues(books, "series"),
+    language: textValues(books, "language"),
+  }),[books]);
+
+  const activeLoans = useMemo(()=>{
+    const m = new Map();
+    loans.forEach(l=>{ if(!l.returnedAt) m.set(l.bookId, l); });
+    return m;
+  },[loans]);
+
+  const borrowers = useMemo(()=>{
+    const s = new Set(loans.map(l=>norm(l.borrower)).filter(Boolean));
     return Array.from(s).sort((a,b)=>a.localeCompare(b,"it"));
-  },[books]);
+  },[loans]);
+
+  const overdueCount = useMemo(()=>loans.filter(isOverdue).length,[loans]);
+
+  const providerOrder = settings.providerOrder?.length ? settings.providerOrder : DEFAULT_PROVIDER_ORDER;
 
+  // Sort order and grouping of the list, saved per user in the shared settings.
+  const viewKey = userEmail.toLowerCase() || "default";
+  const listView = { order:"author", group:"none", ...settings.listViews?.[viewKey] };
+  function saveListView(patch){
+    updateSettings({ listViews:{ ...settings.listViews, [viewKey]:{ ...listView, ...patch } } });
+  }
+
+  // What the list shows: in author order without a search, pages filtered by the query
+  // itself (see pageBooks); other orders, groupings and edition filters need every book, so the replica.
+  const paged = !query.trim() && listView.order==="author" && ["none","initial"].includes(listView.group) && !hasEditionFilter(filterEdition);
+  const pages = useBookPages({ locationId:filterLocation, archive:filterArchive }, revision);
+  // Every match in the replica, only when the list is not paged or for actions on the whole
+  // result (select all, citations, labels): the place and archive through the replica's
+  // indexes, the rest here. Ranked by relevance when searching (see search.js).
+  const needAll = !paged || !!picked || view==="cite" || view==="print";
+  const matching = useReplicaBooks(needAll ? { locationId:filterLocation, archive:filterArchive } : null, revision);
   const visible = useMemo(()=>{
-    return books
-      .filter(b=>matches(b,query))
-      .filter(b=>filterLocation ? b.location===filterLocation : true)
-      .filter(b=>filterArchive ? b.archive===filterArchive : true);
-  },[books,query,filterLocation,filterArchive]);
-
-  async function saveBook(form){
-    const now = Date.now();
-    const book = {
+    if(!needAll) return [];
+    const filtered = matching.filter(b=>matchesEdition(b, filterEdition));
+    return query.trim() ? searchBooks(filtered, query) : sortBooks(filtered, listView.order);
+  },[needAll,matching,query,filterEdition,listView.order]);
+  const total = needAll ? visible.length : pages.total;
+  const terms = useMemo(()=>parseQuery(query),[query]);
+
+  const listed = paged ? pages.books : visible;
+  const rows = useMemo(()=>{
+    const groups = groupBooks(listed, listView.group);
+    return groups.flatMap(g=>[
+      ...(g.label ? [{ key:`group:${g.key}`, header:g.label, count:g.books.length }] : []),
+      ...g.books.map(b=>({ key:b.id, book:b })),
+    ]);
+  },[listed, listView.group]);
+
+  // A-Z bar: jump to the first row at or after a letter, loading pages until there.
+  const listRef = useRef(null);
+  const [jump,setJump]=useState(null);
+  const showIndex = !query.trim() && hasIndex(listView.order);
+  useEffect(()=>{
+    if(!jump) return;
+    const want = LETTERS.indexOf(jump);
+    const i = rows.findIndex(r=>r.book && LETTERS.indexOf(indexLetter(r.book, listView.order))>=want);
+    if(i<0 && paged && pages.more){ pages.loadMore(500); return; }
+    const target = i<0 ? rows.length-1 : rows[i-1]?.header ? i-1 : i;
+    listRef.current?.scrollTo(target);
+    setJump(null);
+    // eslint-disable-next-line
+  },[jump, rows]);
+
+  function buildBook(form, now){
+    return {
       id: form.id || makeId(),
+      contributors: form.contributors || [],
       authorLast: form.authorLast,
       authorFirst: form.authorFirst,
       title: form.title,
-      isbn: form.isbn || "",
+      isbn: toISBN13(form.isbn),
+      isbnRaw: form.isbnRaw ?? form.isbn ?? "",
+      ...editionFields(form),
+      locationId: form.locationId || "",
+      locationPath: form.locationPath || [],
       location: form.location || "",
       archive: form.archive || "",
       notes: form.notes || "",
+      personalCover: form.personalCover || null,
       personalCoverDataUrl: form.personalCoverDataUrl || "",
       catalogCoverUrl: form.catalogCoverUrl || "",
       createdAt: form.createdAt ?? now,
       updatedAt: now,
     };
-    await upsertBook(book);
-    await refresh();
-    setSelected(book);
+  }
+
+  async function saveBook(form, base=null){
+    const book = buildBook(form, Date.now());
+    let files = [];
+    if(form.personalPhoto){
+      const photo = await makePersonalCover(book.id, form.personalPhoto);
+      book.personalCover = photo.cover;
+      files = photo.files;
+    }
+    // The old photo goes only once the edit is written without a conflict.
+    await upsertBook(book, { base: selectedDeleted ? null : base, files, release: coverPaths(base).filter(p=>!coverPaths(book).includes(p)) });
+    select(book);
     setView("detail");
   }
 
+  async function saveScanned(forms, onProgress){
+    for (let i=0; i<forms.length; i++){
+      await upsertBook(buildBook(forms[i], Date.now()));
+      onProgress?.(i+1, forms.length);
+    }
+    setView("library");
+  }
+
+  // The first book of `group` is kept; loans of the others move to it.
+  async function mergeDuplicates(group, merged){
+    const [keep, ...rest] = group;
+    await upsertBook({ ...keep, ...merged, id:keep.id, createdAt:keep.createdAt, updatedAt:Date.now() }, { base:keep, release:coverPaths(keep) });
+    for (const b of rest){
+      for (const l of loans.filter(x=>x.bookId===b.id)) await upsertLoan({ ...l, bookId:keep.id, updatedAt:Date.now() });
+      await deleteBook(b.id);
+    }
+    await releaseCoverFiles(rest.flatMap(coverPaths));
+  }
+
+  async function dismissDuplicates(group){
+    const pairs = new Set(settings.notDuplicates || []);
+    group.forEach((a,i)=>group.slice(i+1).forEach(b=>pairs.add(pairKey(a.id, b.id))));
+    await updateSettings({ notDuplicates: Array.from(pairs) });
+  }
+
   async function removeSelected(){
     if(!selected) return;
-    if(!window.confirm("Eliminare questo libro?")) return;
+    const lent = activeLoans.has(selected.id);
+    if(!window.confirm(lent ? "Il libro risulta in prestito. Eliminarlo comunque (con lo storico prestiti)?" : "Eliminare questo libro?")) return;
     await deleteBook(selected.id);
+    await releaseCoverFiles(coverPaths(selected));
+    for (const l of loans.filter(x=>x.bookId===selected.id)) await deleteLoan(l.id);
     setSelected(null);
-    await refresh();
     setView("library");
   }
 
-  async function saveLocs(locs){
-    await setLocations(locs);
-    await refresh();
+  async function lend(data){
+    if(!selected) return;
+    await lendBook({ bookId: selected.id, ...data });
+  }
+
+  async function markReturned(loan){
+    await returnLoan(loan, todayISO());
+  }
+
+  // Rows planned by CsvImport: "add" creates a book, "update" fills the matched book
+  // with the non-empty values from the file (the wizard's default location/archive do
+  // not move it). Typed locations ("studio › libreria A") are matched to the tree, missing places added.
+  async function importCsvRows(rows, onProgress){
+    let nodes = locationNodes;
+    const placeOf = new Map();
+    for (const { form } of rows){
+      if(!form.location || placeOf.has(form.location)) continue;
+      let id;
+      ({ nodes, id } = ensurePath(nodes, splitLocationText(form.location)));
+      placeOf.set(form.location, id);
+    }
+    if(nodes!==locationNodes) await setLocationNodes(nodes);
+    for (let i=0; i<rows.length; i++){
+      const { defaulted, action, duplicates } = rows[i];
+      const form = rows[i].form.location ? { ...rows[i].form, locationId:placeOf.get(rows[i].form.location) } : rows[i].form;
+      const now = Date.now();
+      if(action==="update"){
+        const existing = duplicates[0].book;
+        const kept = defaulted.includes("location") ? [...defaulted, ...LOCATION_FIELDS] : defaulted;
+        const filled = Object.fromEntries(Object.entries(form).filter(([k,v])=>v && !kept.includes(k)));
+        // Author columns replace the main author only, other people on the book stay.
+        if(!filled.contributors && (filled.authorLast || filled.authorFirst)){
+          filled.contributors = replaceMainAuthor(contributorsOf(existing), {
+            last:filled.authorLast || existing.authorLast,
+            first:filled.authorFirst || existing.authorFirst,
+          });
+        }
+        await upsertBook(buildBook({ ...existing, ...filled }, now), { base: existing });
+      }else{
+        await upsertBook(buildBook(form, now));
+      }
+      onProgress?.(i+1, rows.length);
+    }
+  }
+
+  function togglePicked(b){
+    const next = new Set(picked);
+    if(next.has(b.id)) next.delete(b.id); else next.add(b.id);
+    setPicked(next);
+  }
+
+  // New book, in the place the list is filtered on (e.g. after scanning a shelf label).
+  function startAdd(isbn){
+    const preset = { ...(isbn ? { isbn, isbnRaw:isbn } : null), ...(filterLocation ? { locationId:filterLocation } : null) };
+    setAddInitial(Object.keys(preset).length ? preset : null);
+    select(null);
+    setView("add");
+  }
+
+  // A code from the global scanner: a book or shelf label (labels.js) or an ISBN.
+  // Shelf codes open the list of the place, or of one archive there.
+  // Owned ISBNs open the book, new ones start an entry.
+  async function openCode(value){
+    const label = parseLabelCode(value);
+    if(label?.kind==="book"){
+      const book = await getBook(label.id);
+      if(book){ select(book); setView("detail"); return; }
+      setNotice("L'etichetta è di un libro che non è più in biblioteca.");
+    }else if(label?.kind==="location"){
+      if(pathTo(locationNodes, label.id).length){
+        setFilterLocation(label.id);
+        setFilterArchive(label.archive);
+        setQuery("");
+      }else{
+        setNotice("L'etichetta è di una location che non esiste più.");
+      }
+    }else{
+      const isbn = toISBN13(value);
+      const owned = await booksWithIsbn(isbn);
+      if(owned.length===1){ select(owned[0]); setView("detail"); return; }
+      if(!owned.length) return startAdd(isbn);
+      setQuery(`isbn:${isbn}`);
+      setFilterLocation("");
+      setFilterArchive("");
+    }
+    setView("library");
+  }
+
+  // Inventory results, one per place (see audit.js).
+  async function saveAudit(scope, summary){
+    await updateSettings({ audits:{ ...settings.audits, [auditKey(scope)]:{ ...summary, at:Date.now(), by:userEmail } } });
+  }
+
+  // A book found during an inventory where it was not recorded: it is now there.
+  async function relocateBook(book, { locationId, archive }){
+    await upsertBook({ ...book, locationId:locationId || book.locationId, archive:archive || book.archive, updatedAt:Date.now() }, { base:book });
+  }
+
+  async function saveLocs(nodes, moves){
+    try{
+      const { conflicts } = await saveLocationTree(nodes, moves);
+      setNotice(cascadeConflicts(conflicts).trim());
+    }catch(e){
+      setNotice(`Location salvate solo in parte (${e?.message || e}): riprendi da Backup.`);
+    }
     setView("library");
   }
 
@@ -880,20 +3389,43 @@ export default function App(){
         <>
           <TopBar
             userEmail={userEmail}
-            onAdd={()=>{ setSelected(null); setView("add"); }}
+            sync={sync}
+            loansCount={activeLoans.size}
+            overdueCount={overdueCount}
+            onAdd={()=>startAdd(null)}
+            onScanCode={()=>setView("code")}
+            onLoans={()=>setView("loans")}
+            onDuplicates={()=>setView("duplicates")}
+            onScan={()=>{ setScanStart(null); setView("scan"); }}
             onLocations={()=>setView("locations")}
+            onAudit={()=>setView("audit")}
             onBackup={()=>setView("backup")}
+            onSettings={()=>setView("settings")}
             onLogout={logout}
           />
           <div style={{display:"grid", gap:10}}>
+            {conflicts.length ? (
+              <div style={{...styles.card, display:"flex", justifyContent:"space-between", alignItems:"center", gap:10, borderColor:"#f0d48a", background:"#fff4d6"}}>
+                <div style={styles.small}>
+                  {conflicts.length===1 ? "Una modifica è in conflitto" : `${conflicts.length} modifiche sono in conflitto`} con quelle di un altro dispositivo.
+                </div>
+                <button style={styles.btnPrimary} onClick={()=>setView("conflicts")}>Risolvi</button>
+              </div>
+            ) : null}
+            {notice ? (
+              <div style={{...styles.card, display:"flex", justifyContent:"space-between", alignItems:"center", gap:10}}>
+                <div style={styles.small}>{notice}</div>
+                <button style={styles.btn} onClick={()=>setNotice("")}>OK</button>
+              </div>
+            ) : null}
             <div style={{...styles.card, display:"grid", gap:10}}>
-              <input style={styles.input} placeholder="Cerca…" value={query} onChange={e=>setQuery(e.target.value)}/>
+              <input style={styles.input} placeholder="Cerca… (es. calvino barone, autore:levi, editore:einaudi, loc:studio, isbn:978…)" value={query} onChange={e=>setQuery(e.target.value)}/>
               <div style={{display:"grid", gridTemplateColumns:"1fr 1fr", gap:10}}>
                 <div>
                   <div style={styles.label}>Location</div>
                   <select style={styles.select} value={filterLocation} onChange={e=>setFilterLocation(e.target.value)}>
                     <option value="">Tutte</option>
-                    {locations.map(l=><option key={l} value={l}>{l}</option>)}
+                    <LocationOptions nodes={locationNodes}/>
                   </select>
                 </div>
                 <div>
@@ -903,15 +3435,101 @@ export default function App(){
                     {archives.map(a=><option key={a} value={a}>{a}</option>)}
                   </select>
                 </div>
+                <div>
+                  <div style={styles.label}>Ordina per{query.trim() ? " (cercando: pertinenza)" : ""}</div>
+                  <select style={styles.select} value={listView.order} onChange={e=>saveListView({ order:e.target.value })}>
+                    {Object.entries(SORT_ORDERS).map(([id,o])=><option key={id} value={id}>{o.label}</option>)}
+                  </select>
+                </div>
+                <div>
+                  <div style={styles.label}>Raggruppa</div>
+                  <select style={styles.select} value={listView.group} onChange={e=>saveListView({ group:e.target.value })}>
+                    {Object.entries(GROUPINGS).map(([id,g])=><option key={id} value={id}>{g.label}</option>)}
+                  </select>
+                </div>
+              </div>
+              <div style={{display:"flex", gap:10, alignItems:"center"}}>
+                <span style={styles.link} onClick={()=>setEditionFiltersOpen(!editionFiltersOpen)}>
+                  {editionFiltersOpen ? "▾" : "▸"} Editore, anno, lingua…{hasEditionFilter(filterEdition) ? " (filtri attivi)" : ""}
+                </span>
+                {hasEditionFilter(filterEdition) ? <button style={styles.btn} onClick={()=>setFilterEdition(NO_EDITION_FILTER)}>Azzera</button> : null}
               </div>
+              {editionFiltersOpen ? (
+                <div style={{display:"grid", gridTemplateColumns:"1fr 1fr", gap:10}}>
+                  <div>
+                    <div style={styles.label}>Editore</div>
+                    <select style={styles.select} value={filterEdition.publisher} onChange={e=>setFilterEdition({ ...filterEdition, publisher:e.target.value })}>
+                      <option value="">Tutti</option>
+                      {editionOptions.publisher.map(p=><option key={p} value={p}>{p}</option>)}
+                    </select>
+                  </div>
+                  <div>
+                    <div style={styles.label}>Collana</div>
+                    <select style={styles.select} value={filterEdition.series} onChange={e=>setFilterEdition({ ...filterEdition, series:e.target.value })}>
+                      <option value="">Tutte</option>
+                      {editionOptions.series.map(s=><option key={s} value={s}>{s}</option>)}
+                    </select>
+                  </div>
+                  <div>
+                    <div style={styles.label}>Lingua</div>
+                    <select style={styles.select} value={filterEdition.language} onChange={e=>setFilterEdition({ ...filterEdition, language:e.target.value })}>
+                      <option value="">Tutte</option>
+                      {editionOptions.language.map(code=><option key={code} value={code}>{languageLabel(code)}</option>)}
+                    </select>
+                  </div>
+                  <div>
+                    <div style={styles.label}>Formato</div>
+                    <select style={styles.select} value={filterEdition.format} onChange={e=>setFilterEdition({ ...filterEdition, format:e.target.value })}>
+                      <option value="">Tutti</option>
+                      {Object.entries(FORMATS).map(([id,label])=><option key={id} value={id}>{label}</option>)}
+                    </select>
+                  </div>
+                  <div>
+                    <div style={styles.label}>Pubblicato dal</div>
+                    <input style={styles.input} type="number" value={filterEdition.yearFrom} placeholder="anno" onChange={e=>setFilterEdition({ ...filterEdition, yearFrom:e.target.value })}/>
+                  </div>
+                  <div>
+                    <div style={styles.label}>al</div>
+                    <input style={styles.input} type="number" value={filterEdition.yearTo} placeholder="anno" onChange={e=>setFilterEdition({ ...filterEdition, yearTo:e.target.value })}/>
+                  </div>
+                </div>
+              ) : null}
             </div>
 
-            {visible.length ? (
-              <div style={styles.list}>
-                {visible.map(b=><BookCard key={b.id} b={b} onOpen={(x)=>{ setSelected(x); setView("detail"); }}/>)}
-              </div>
+            <div style={{display:"flex", gap:10, alignItems:"center", flexWrap:"wrap"}}>
+              <span style={{...styles.small, flex:1}}>
+                {picked ? `${picked.size} selezionati su ${total}` : `${total ?? "…"} libri`}
+              </span>
+              {picked ? (
+                <>
+                  <button style={styles.btn} onClick={()=>setPicked(new Set(visible.map(b=>b.id)))}>Tutti</button>
+                  <button style={styles.btn} onClick={()=>setPicked(null)}>Fine selezione</button>
+                </>
+              ) : (
+                <button style={styles.btn} onClick={()=>setPicked(new Set())}>☑️ Seleziona</button>
+              )}
+              <button style={styles.btn} disabled={!total} onClick={()=>setView("cite")}>
+                📑 Citazioni{picked?.size ? ` (${picked.size})` : ""}
+              </button>
+              <button style={styles.btn} disabled={!total} onClick={()=>setView("print")}>
+                🏷️ Etichette{picked?.size ? ` (${picked.size})` : ""}
+              </button>
+            </div>
+
+            {showIndex && rows.length ? <LetterBar present={paged && pages.more ? null : new Set(listed.map(b=>indexLetter(b, listView.order)))} onJump={setJump}/> : null}
+            {rows.length ? (
+              <VirtualList items={rows} itemKey={r=>r.key} onEnd={paged ? ()=>pages.loadMore() : null}
+                isHeader={listView.group==="none" ? null : r=>!!r.header} listRef={listRef}
+                renderItem={r=>r.header ? (
+                  <div style={styles.groupHeader}>
+                    {r.header}{paged && pages.more ? "" : <span style={styles.small}> • {r.count}</span>}
+                  </div>
+                ) : (
+                  <BookCard b={r.book} loan={activeLoans.get(r.book.id)} onOpen={(x)=>{ select(x); setView("detail"); }}
+                    picked={picked?.has(r.book.id)} onPick={picked ? togglePicked : null} terms={terms}/>
+                )}/>
             ) : (
-              <div style={{...styles.card, ...styles.small}}>Nessun libro.</div>
+              <div style={{...styles.card, ...styles.small}}>{!query.trim() && pages.loading ? "Carico…" : "Nessun libro."}</div>
             )}
           </div>
         </>
@@ -921,28 +3539,130 @@ export default function App(){
         <>
           <div style={styles.row}><span style={styles.link} onClick={()=>setView("library")}>← Indietro</span></div>
           <div style={{height:10}}/>
-          <BookForm mode="add" locations={locations} archives={archives} initial={null} onCancel={()=>setView("library")} onSave={saveBook}/>
+          <BookForm
+            mode="add"
+            books={books}
+            locationNodes={locationNodes}
+            archives={archives}
+            providerOrder={providerOrder}
+            initial={addInitial}
+            onOpenExisting={(b)=>{ select(b); setView("detail"); }}
+            onCancel={()=>setView("library")}
+            onSave={saveBook}
+          />
         </>
       )}
 
       {view==="detail" && selected && (
-        <Detail book={selected} onBack={()=>setView("library")} onEdit={()=>setView("edit")} onDelete={removeSelected}/>
+        <Detail
+          book={selected}
+          loans={loans.filter(l=>l.bookId===selected.id)}
+          borrowers={borrowers}
+          onBack={()=>setView("library")}
+          onEdit={()=>setView("edit")}
+          onDelete={removeSelected}
+          onLend={lend}
+          onReturn={markReturned}
+        />
       )}
 
       {view==="edit" && selected && (
         <>
           <div style={styles.row}><span style={styles.link} onClick={()=>setView("detail")}>← Indietro</span></div>
           <div style={{height:10}}/>
-          <BookForm mode="edit" locations={locations} archives={archives} initial={selected} onCancel={()=>setView("detail")} onSave={saveBook}/>
+          <BookForm
+            key={formKey}
+            mode="edit"
+            books={books}
+            locationNodes={locationNodes}
+            archives={archives}
+            providerOrder={providerOrder}
+            initial={selected}
+            deletedRemotely={selectedDeleted}
+            onReload={()=>setFormKey(k=>k+1)}
+            onCancel={()=>setView(selectedDeleted?"library":"detail")}
+            onSave={saveBook}
+          />
         </>
       )}
 
+      {view==="conflicts" && (
+        <ConflictResolver
+          conflicts={conflicts}
+          onResolve={resolveConflict}
+          onDiscard={discardConflict}
+          onClose={()=>setView("library")}
+        />
+      )}
+
+      {view==="duplicates" && (
+        <DuplicatesView
+          books={books}
+          dismissed={settings.notDuplicates || []}
+          onMerge={mergeDuplicates}
+          onDismiss={dismissDuplicates}
+          onClose={()=>setView("library")}
+        />
+      )}
+
+      {view==="scan" && (
+        <ScanSession books={books} providerOrder={providerOrder} locationNodes={locationNodes} archives={archives} start={scanStart}
+          onClose={()=>setView("library")} onCommit={saveScanned}/>
+      )}
+
+      {view==="code" && (
+        <div style={{display:"grid", gap:10}}>
+          <div style={styles.row}><span style={styles.link} onClick={()=>setView("library")}>← Indietro</span></div>
+          <CameraISBNScanner labels title="Scansiona etichetta o ISBN" onDetected={openCode} onClose={()=>setView("library")}/>
+        </div>
+      )}
+
+      {view==="audit" && (
+        <AuditView
+          books={books}
+          locationNodes={locationNodes}
+          archives={archives}
+          audits={settings.audits}
+          onFinish={saveAudit}
+          onRelocate={relocateBook}
+          onCatalogue={(scope, isbns)=>{ setScanStart({ ...scope, isbns }); setView("scan"); }}
+          onClose={()=>setView("library")}
+        />
+      )}
+
+      {view==="loans" && (
+        <LoansView
+          books={books}
+          loans={loans}
+          onOpen={(b)=>{ select(b); setView("detail"); }}
+          onReturn={markReturned}
+          onClose={()=>setView("library")}
+        />
+      )}
+
       {view==="locations" && (
-        <LocationsManager locations={locations} onClose={()=>setView("library")} onSave={saveLocs}/>
+        <LocationTree key={formKey} nodes={locationNodes} books={books} onClose={()=>setView("library")} onSave={saveLocs} onReload={()=>setFormKey(k=>k+1)}/>
+      )}
+
+      {view==="settings" && (
+        <SettingsView
+          books={books}
+          providerOrder={providerOrder}
+          onSaveProviders={(order)=>updateSettings({ providerOrder: order })}
+          onClose={()=>setView("library")}
+        />
+      )}
+
+      {view==="cite" && (
+        <CitationExport books={picked?.size ? visible.filter(b=>picked.has(b.id)) : visible} onClose={()=>setView("library")}/>
+      )}
+
+      {view==="print" && (
+        <PrintView books={picked?.size ? visible.filter(b=>picked.has(b.id)) : visible} allBooks={books} locationNodes={locationNodes} onClose={()=>setView("library")}/>
       )}
 
       {view==="backup" && (
-        <BackupManager onClose={()=>setView("library")} onDone={refresh}/>
+        <BackupManager books={books} loans={loans} locationNodes={locationNodes} locations={locations} archives={archives} onImportRows={importCsvRows} onClose={()=>setView("library")}/>
       )}
     </div>
   );
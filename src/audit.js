@@ -0,0 +1,41 @@
+// Shelf inventory: the books recorded at a place (a location node and everything below
+// it, optionally one archive) are checked against what is physically there, scanned by
+// ISBN or ticked off. The result lists books missing from the place, books found there
+// but recorded elsewhere, and ISBNs the library does not have yet.
+
+// Key of an audited place in settings.audits: "<nodeId>|<archive>".
+export function auditKey({ locationId = "", archive = "" }) {
+  return `${locationId}|${archive}`;
+}
+
+export function inScope(book, { locationId = "", archive = "" }) {
+  return (!locationId || (book.locationPath || []).includes(locationId)) && (!archive || (book.archive || "").trim() === archive);
+}
+
+export function expectedBooks(books, scope) {
+  return books.filter((b) => inScope(b, scope));
+}
+
+// What a scanned ISBN-13 means for an audit where `found` (Set of book ids) are already
+// counted: { kind: "expected" | "misplaced", book } for the first copy not counted yet
+// (copies recorded here first), { kind: "repeat" } when every copy is already counted,
+// { kind: "unknown" } when no book has that ISBN.
+export function matchScan(isbn, books, scope, found) {
+  const copies = books.filter((b) => b.isbn === isbn);
+  if (!copies.length) return { kind: "unknown" };
+  const here = copies.find((b) => inScope(b, scope) && !found.has(b.id));
+  if (here) return { kind: "expected", book: here };
+  const elsewhere = copies.find((b) => !found.has(b.id));
+  return elsewhere ? { kind: "misplaced", book: elsewhere } : { kind: "repeat" };
+}
+
+// { present, missing, misplaced } books for the counted ids, in the order of `books`.
+export function auditReport(books, scope, found) {
+  const report = { present: [], missing: [], misplaced: [] };
+  for (const b of books) {
+    const here = inScope(b, scope);
+    if (found.has(b.id)) (here ? report.present : report.misplaced).push(b);
+    else if (here) report.missing.push(b);
+  }
+  return report;
+}
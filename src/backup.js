@@ -0,0 +1,355 @@
+// Backup files: reading, validation and migration between format versions.
+//
+//   v1  old local app (db.js): { app, schemaVersion: 1, exportedAt: ISO, locations, books[].coverDataUrl }
+//   v2  Firestore app: { version: 2, exportedAt: ms, libraryId, locations, books, loans }
+//   v3  books carry the canonical ISBN-13 plus `isbnRaw`, and personal photos as
+//       Storage paths (`personalCover`); inline data URLs are moved to Storage on import.
+//   v4  the flat `locations` list becomes the location tree (`locationNodes`) and books
+//       point at a node (`locationId`, `locationPath`), see locations.js.
+//   v5  books list their people with roles (`contributors`, see contributors.js).
+//
+// Each migration takes a payload of version N and returns version N+1, so a new
+// format only needs one more step in MIGRATIONS (and BACKUP_VERSION in data.js).
+
+import { BACKUP_VERSION, LIBRARY_ID, applyImport } from "./data.js";
+import { makePersonalCover } from "./covers.js";
+import { toISBN13 } from "./isbn.js";
+import { LOCATION_FIELDS, placeBook, treeFromFlat } from "./locations.js";
+import { AUTHOR_FIELDS, ROLES, contributorsOf, withAuthorFields } from "./contributors.js";
+import { EDITION_FIELDS } from "./edition.js";
+
+export class BackupError extends Error {
+  constructor(message, { problems = [], cause } = {}) {
+    super(message);
+    this.name = "BackupError";
+    this.problems = problems;
+    this.cause = cause;
+  }
+}
+
+function toMillis(v) {
+  if (typeof v === "number") return v;
+  const t = Date.parse(v || "");
+  return Number.isNaN(t) ? 0 : t;
+}
+
+// Malformed lists are passed through untouched for validateBackup() to report.
+function mapList(list, fn) {
+  return Array.isArray(list) ? list.map((x) => (x && typeof x === "object" ? fn(x) : x)) : list;
+}
+
+const MIGRATIONS = {
+  1: (p) => ({
+    version: 2,
+    exportedAt: toMillis(p.exportedAt),
+    libraryId: LIBRARY_ID,
+    locations: p.locations || [],
+    books: mapList(p.books, (b) => {
+      const { coverDataUrl, coverBlob, ...rest } = b;
+      return {
+        ...rest,
+        personalCoverDataUrl: coverDataUrl || "",
+        createdAt: toMillis(rest.createdAt),
+        updatedAt: toMillis(rest.updatedAt),
+      };
+    }),
+    loans: [],
+  }),
+  2: (p) => ({
+    ...p,
+    version: 3,
+    books: mapList(p.books, (b) => (b.isbnRaw !== undefined ? b : { ...b, isbn: toISBN13(b.isbn), isbnRaw: b.isbn || "" })),
+    loans: p.loans ?? [],
+  }),
+  3: ({ locations, ...p }) => {
+    const books = Array.isArray(p.books) ? p.books.filter((b) => b && typeof b === "object") : [];
+    const { nodes, assign } = treeFromFlat(Array.isArray(locations) ? locations.filter((l) => typeof l === "string") : [], books);
+    return {
+      ...p,
+      version: 4,
+      locationNodes: nodes,
+      books: mapList(p.books, (b) => (b.locationId || !b.location ? b : placeBook(b, nodes, assign(b)))),
+    };
+  },
+  4: (p) => ({
+    ...p,
+    version: 5,
+    books: mapList(p.books, (b) => (b.contributors !== undefined ? b : withAuthorFields(b))),
+  }),
+};
+
+function detectVersion(p) {
+  if (p.schemaVersion === 1) return 1;
+  if (Number.isInteger(p.version)) return p.version;
+  return null;
+}
+
+// Brings any known version up to BACKUP_VERSION. Returns { payload, from }.
+export function migrateBackup(payload) {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    throw new BackupError("Il file non contiene un backup (manca l'oggetto principale).");
+  }
+  const from = detectVersion(payload);
+  if (from === null) throw new BackupError("Il file non è un backup di Biblioteca Scott (manca la versione).");
+  if (from > BACKUP_VERSION) {
+    throw new BackupError(`Backup creato da una versione più recente dell'app (v${from}): aggiorna l'app prima di importarlo.`);
+  }
+  let p = payload;
+  for (let v = from; v < BACKUP_VERSION; v++) {
+    if (!MIGRATIONS[v]) throw new BackupError(`Versione di backup non supportata (v${v}).`);
+    p = MIGRATIONS[v](p);
+  }
+  return { payload: p, from };
+}
+
+const BOOK_STRINGS = [
+  "title",
+  "authorLast",
+  "authorFirst",
+  "isbn",
+  "isbnRaw",
+  ...EDITION_FIELDS.filter((k) => k !== "pages"),
+  "location",
+  "locationId",
+  "archive",
+  "notes",
+  "catalogCoverUrl",
+  "personalCoverDataUrl",
+];
+const LOAN_STRINGS = ["borrower", "lentAt", "dueAt", "returnedAt", "notes"];
+const MAX_PROBLEMS = 20;
+
+function isText(v) {
+  return v === undefined || v === null || typeof v === "string";
+}
+
+// Checks a current-version payload. Returns warnings; throws BackupError listing
+// the first problems (with their position in the file) when it cannot be imported.
+export function validateBackup(p) {
+  const problems = [];
+  const warnings = [];
+  const add = (msg) => problems.length < MAX_PROBLEMS && problems.push(msg);
+
+  if (!Array.isArray(p.books)) add("books: deve essere un elenco di libri");
+  const nodeIds = new Set();
+  if (!Array.isArray(p.locationNodes)) add("locationNodes: deve essere un elenco di location");
+  else {
+    p.locationNodes.forEach((n, i) => {
+      const at = `locationNodes[${i}]`;
+      if (!n || typeof n !== "object") return add(`${at}: non è una location`);
+      if (typeof n.id !== "string" || !n.id) add(`${at}.id: mancante`);
+      else if (nodeIds.has(n.id)) add(`${at}.id: "${n.id}" ripetuto`);
+      else nodeIds.add(n.id);
+      if (typeof n.name !== "string" || !n.name.trim()) add(`${at}.name: mancante`);
+      if (n.parentId != null && typeof n.parentId !== "string") add(`${at}.parentId: deve essere testo`);
+    });
+  }
+  if (!Array.isArray(p.loans)) add("loans: deve essere un elenco di prestiti");
+
+  const ids = new Set();
+  (Array.isArray(p.books) ? p.books : []).forEach((b, i) => {
+    const at = `books[${i}]`;
+    if (!b || typeof b !== "object") return add(`${at}: non è un libro`);
+    if (typeof b.id !== "string" || !b.id) add(`${at}.id: mancante`);
+    else if (ids.has(b.id)) add(`${at}.id: "${b.id}" ripetuto`);
+    else ids.add(b.id);
+    for (const k of BOOK_STRINGS) if (!isText(b[k])) add(`${at}.${k}: deve essere testo`);
+    if (b.locationPath !== undefined && (!Array.isArray(b.locationPath) || b.locationPath.some((x) => typeof x !== "string"))) {
+      add(`${at}.locationPath: deve essere un elenco di id`);
+    }
+    if (b.contributors !== undefined) {
+      const people = Array.isArray(b.contributors) ? b.contributors : null;
+      if (!people || people.some((c) => !c || typeof c !== "object" || !isText(c.last) || !isText(c.first))) {
+        add(`${at}.contributors: deve essere un elenco di persone { last, first, role }`);
+      } else if (people.some((c) => c.role !== undefined && !ROLES[c.role])) {
+        warnings.push(`${at}: ruolo sconosciuto tra i contributori (diventa "autore")`);
+      }
+    }
+    if (b.locationId && nodeIds.size && !nodeIds.has(b.locationId)) warnings.push(`${at}: location "${b.location || b.locationId}" non presente nel backup`);
+    if (b.pages != null && (!Number.isInteger(b.pages) || b.pages < 1)) add(`${at}.pages: deve essere un numero di pagine`);
+    for (const k of ["createdAt", "updatedAt"]) if (b[k] !== undefined && typeof b[k] !== "number") add(`${at}.${k}: deve essere una data in millisecondi`);
+    if (b.personalCover != null && (typeof b.personalCover !== "object" || typeof b.personalCover.full !== "string")) {
+      add(`${at}.personalCover: riferimento alla foto non valido`);
+    }
+    if (!b.title) warnings.push(`${at}: libro senza titolo`);
+  });
+
+  (Array.isArray(p.loans) ? p.loans : []).forEach((l, i) => {
+    const at = `loans[${i}]`;
+    if (!l || typeof l !== "object") return add(`${at}: non è un prestito`);
+    if (typeof l.id !== "string" || !l.id) add(`${at}.id: mancante`);
+    if (typeof l.bookId !== "string" || !l.bookId) add(`${at}.bookId: mancante`);
+    else if (!ids.has(l.bookId)) warnings.push(`${at}: libro "${l.bookId}" non presente nel backup`);
+    for (const k of LOAN_STRINGS) if (!isText(l[k])) add(`${at}.${k}: deve essere testo`);
+  });
+
+  if (problems.length) {
+    throw new BackupError(`Backup non valido (${problems.length >= MAX_PROBLEMS ? `almeno ${MAX_PROBLEMS}` : problems.length} problemi).`, { problems });
+  }
+  return warnings;
+}
+
+// Line/column of a JSON syntax error, when the browser says where: Chrome reports
+// "at position 1234", Firefox "at line 2 column 7".
+function jsonErrorMessage(text, e) {
+  const lc = e.message.match(/line (\d+) column (\d+)/);
+  if (lc) return `Il file non è JSON valido: errore alla riga ${lc[1]}, colonna ${lc[2]}.`;
+  const pos = Number((e.message.match(/position (\d+)/) || [])[1]);
+  if (!Number.isFinite(pos)) return `Il file non è JSON valido (${e.message}).`;
+  const before = text.slice(0, pos).split("\n");
+  return `Il file non è JSON valido: errore alla riga ${before.length}, colonna ${before[before.length - 1].length + 1}.`;
+}
+
+// Parses, migrates and validates a backup file's text.
+// Returns { payload (current version), from, warnings }; throws BackupError.
+export function readBackup(text) {
+  if (!(text || "").trim()) throw new BackupError("Il file è vuoto.");
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (e) {
+    throw new BackupError(jsonErrorMessage(text, e), { cause: e });
+  }
+  const { payload, from } = migrateBackup(raw);
+  const warnings = validateBackup(payload);
+  return { payload, from, warnings };
+}
+
+// --- Import preview ---
+// A dry run against the current library, by document id:
+//   merge    adds new books and updates changed ones, keeps books missing from the file
+//   replace  makes the library equal to the file (books missing from it are deleted)
+//   onlyNew  adds books not in the library, touches nothing else
+// Changed books carry the differing fields; the user picks local or incoming per field.
+
+export const IMPORT_MODES = {
+  merge: "Unisci (aggiorna e aggiungi)",
+  replace: "Sostituisci tutto",
+  onlyNew: "Solo libri nuovi",
+};
+
+// Not compared: bookkeeping, and `sortKey` which data.js derives from author and title.
+const VERSION_FIELDS = ["id", "createdAt", "updatedAt", "sortKey", "syncedAt"];
+
+function sameField(a, b) {
+  const norm = (v) => (v === undefined || v === null ? "" : v);
+  return JSON.stringify(norm(a)) === JSON.stringify(norm(b));
+}
+
+// Fields that are copies of another move with it: `location` stands for LOCATION_FIELDS,
+// `contributors` for the main author fields.
+const LINKED_FIELDS = { location: LOCATION_FIELDS, contributors: AUTHOR_FIELDS };
+const COPIES = Object.values(LINKED_FIELDS).flat();
+
+function withCopies(k) {
+  return [k, ...(LINKED_FIELDS[k] || [])];
+}
+
+// Books saved before `contributors` existed have the same people in the author fields.
+function fieldValue(doc, f) {
+  return f === "contributors" ? contributorsOf(doc) : doc[f];
+}
+
+export function diffFields(local, incoming) {
+  const keys = new Set([...Object.keys(local), ...Object.keys(incoming)]);
+  for (const [k, copies] of Object.entries(LINKED_FIELDS)) if (copies.some((f) => keys.has(f))) keys.add(k);
+  const differs = (k) => withCopies(k).some((f) => !sameField(fieldValue(local, f), fieldValue(incoming, f)));
+  return Array.from(keys).filter((k) => !VERSION_FIELDS.includes(k) && !COPIES.includes(k) && differs(k));
+}
+
+function diffDocs(current, incoming) {
+  const byId = new Map(current.map((x) => [x.id, x]));
+  const ids = new Set(incoming.map((x) => x.id));
+  const added = [];
+  const updated = [];
+  const unchanged = [];
+  for (const x of incoming) {
+    const local = byId.get(x.id);
+    if (!local) added.push(x);
+    else {
+      const fields = diffFields(local, x);
+      if (fields.length) updated.push({ id: x.id, local, incoming: x, fields });
+      else unchanged.push(x);
+    }
+  }
+  return { added, updated, unchanged, missing: current.filter((x) => !ids.has(x.id)) };
+}
+
+// Location trees are merged by node id: ids come from the names (see locations.js),
+// so the same place in both has the same id.
+function mergeNodes(current, incoming) {
+  const ids = new Set(current.map((n) => n.id));
+  return [...current, ...incoming.filter((n) => !ids.has(n.id))];
+}
+
+// `current` is { books, loans, locationNodes } of the library now.
+export function planBackupImport(payload, current, mode = "merge") {
+  const books = diffDocs(current.books, payload.books);
+  const loans = diffDocs(current.loans, payload.loans);
+  const incomingNodes = payload.locationNodes || [];
+  return {
+    mode,
+    added: books.added,
+    updated: mode === "onlyNew" ? [] : books.updated,
+    unchanged: books.unchanged,
+    skipped: mode === "onlyNew" ? books.updated : [],
+    deleted: mode === "replace" ? books.missing : [],
+    loans: {
+      added: loans.added,
+      updated: mode === "onlyNew" ? [] : loans.updated,
+      deleted: mode === "replace" ? loans.missing : [],
+    },
+    locationNodes: mode === "replace" && incomingNodes.length ? incomingNodes : mergeNodes(current.locationNodes, incomingNodes),
+  };
+}
+
+// Incoming value wins unless `choices[id][field]` is "local".
+export function resolveUpdate(u, choices = {}) {
+  const picked = choices[u.id] || {};
+  const merged = { ...u.local };
+  for (const k of u.fields) {
+    const from = picked[k] === "local" ? u.local : u.incoming;
+    for (const f of withCopies(k)) merged[f] = from[f];
+  }
+  return merged;
+}
+
+async function moveInlineCover(b, files) {
+  if (!b.personalCoverDataUrl || b.personalCover) return b;
+  try {
+    const image = await (await fetch(b.personalCoverDataUrl)).blob();
+    const photo = await makePersonalCover(b.id, image);
+    files.set(b.id, photo.files);
+    return { ...b, personalCover: photo.cover, personalCoverDataUrl: "" };
+  } catch {
+    return b; // unreadable image: keep it inline rather than losing it
+  }
+}
+
+// Writes a plan from planBackupImport(). Photos still inline (v1/v2 files) are moved
+// to Storage like the one-shot migration does, uploaded with their book.
+// `options` ({ onProgress, signal }) go to the bulk write, see applyImport in data.js.
+export async function applyBackupImport(plan, choices = {}, options) {
+  const files = new Map();
+  const now = Date.now();
+  const books = [];
+  for (const b of plan.added) books.push({ book: await moveInlineCover(b, files) });
+  for (const u of plan.updated) {
+    const resolved = resolveUpdate(u, choices);
+    if (!diffFields(u.local, resolved).length) continue; // every field kept as it is
+    const merged = await moveInlineCover(resolved, files);
+    books.push({ book: { ...merged, updatedAt: now }, base: u.local });
+  }
+  const loans = [...plan.loans.added, ...plan.loans.updated.map((u) => ({ ...u.incoming, updatedAt: now }))];
+  return applyImport(
+    {
+      books,
+      deleteBookIds: plan.deleted.map((b) => b.id),
+      loans,
+      deleteLoanIds: plan.loans.deleted.map((l) => l.id),
+      locationNodes: plan.locationNodes,
+      files,
+    },
+    options
+  );
+}
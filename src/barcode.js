@@ -0,0 +1,37 @@
+// Barcodes for printed labels: Code 128 (set B, any printable ASCII) drawn from bar widths,
+// QR codes from the encoder of @zxing/library (the scanner library already in use).
+
+import { QRCodeDecoderErrorCorrectionLevel, QRCodeEncoder } from "@zxing/library";
+
+// Widths of bar, space, bar, ... for every Code 128 value (103-105 start codes, 106 stop).
+const CODE128 = [
+  "212222", "222122", "222221", "121223", "121322", "131222", "122213", "122312", "132212", "221213",
+  "221312", "231212", "112232", "122132", "122231", "113222", "123122", "123221", "223211", "221132",
+  "221231", "213212", "223112", "312131", "311222", "321122", "321221", "312212", "322112", "322211",
+  "212123", "212321", "232121", "111323", "131123", "131321", "112313", "132113", "132311", "211313",
+  "231113", "231311", "112133", "112331", "132131", "113123", "113321", "133121", "313121", "211331",
+  "231131", "213113", "213311", "213131", "311123", "311321", "331121", "312113", "312311", "332111",
+  "314111", "221411", "431111", "111224", "111422", "121124", "121421", "141122", "141221", "112214",
+  "112412", "122114", "122411", "142112", "142211", "241211", "221114", "413111", "241112", "134111",
+  "111242", "121142", "121241", "114212", "124112", "124211", "411212", "421112", "421211", "212141",
+  "214121", "412121", "111143", "111341", "131141", "114113", "114311", "411113", "411311", "113141",
+  "114131", "311141", "411131", "211412", "211214", "211232", "2331112",
+];
+const START_B = 104;
+const STOP = 106;
+
+// Bar/space widths in modules, starting with a bar; characters outside printable ASCII become "?".
+export function code128(text) {
+  const values = Array.from(text || "", (c) => {
+    const code = c.charCodeAt(0);
+    return code >= 32 && code <= 126 ? code - 32 : 31;
+  });
+  const check = values.reduce((sum, v, i) => sum + v * (i + 1), START_B) % 103;
+  return [START_B, ...values, check, STOP].flatMap((v) => Array.from(CODE128[v], Number));
+}
+
+// Dark modules of a QR code as rows of booleans (error correction M, about 15% damage).
+export function qrMatrix(text) {
+  const matrix = QRCodeEncoder.encode(text, QRCodeDecoderErrorCorrectionLevel.M).getMatrix();
+  return Array.from({ length: matrix.getHeight() }, (_, y) => Array.from({ length: matrix.getWidth() }, (_, x) => matrix.get(x, y) === 1));
+}
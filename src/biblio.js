@@ -0,0 +1,231 @@
+// Bibliographic formats for citing our books: BibTeX, RIS and MARCXML export,
+// RIS and MARCXML import. Only what books store is mapped (people with their role,
+// title, ISBN, publisher and year when present); the rest of a record is ignored on import.
+
+import { foldText } from "./text.js";
+import { cleanISBN, hyphenateISBN, toISBN13 } from "./isbn.js";
+import { byRole, contributorName, contributorsOf, fromNames, mainAuthor } from "./contributors.js";
+
+export const CITATION_FORMATS = {
+  bibtex: { label: "BibTeX", ext: "bib", mime: "application/x-bibtex" },
+  ris: { label: "RIS (Zotero, Mendeley, EndNote)", ext: "ris", mime: "application/x-research-info-systems" },
+  marcxml: { label: "MARCXML", ext: "xml", mime: "application/marcxml+xml" },
+};
+
+// "Calvino, Italo" for every person of `role`.
+function names(b, role) {
+  return byRole(contributorsOf(b), role).map((c) => contributorName(c, { inverted: true }));
+}
+
+function year(b) {
+  return ((b.publishedDate || "").match(/\d{4}/) || [""])[0];
+}
+
+// --- BibTeX ---
+
+function bibEscape(s) {
+  return (s || "").replace(/[\\{}]/g, "").replace(/([&%$#_])/g, "\\$1");
+}
+
+// calvino1957barone: surname, year and first long word of the title, made unique.
+function bibKey(b, used) {
+  const word = (s) => foldText(s).split(" ").find((w) => w.length > 3) || foldText(s).split(" ")[0] || "";
+  const base = `${foldText(b.authorLast).replace(/ /g, "")}${year(b)}${word(b.title)}` || "libro";
+  let key = base;
+  for (let i = 0; used.has(key); i++) key = base + String.fromCharCode(97 + (i % 26)) + (i >= 26 ? i : "");
+  used.add(key);
+  return key;
+}
+
+export function toBibTeX(books) {
+  const used = new Set();
+  return books
+    .map((b) => {
+      const fields = [
+        ["author", names(b, "author").join(" and ")],
+        ["editor", names(b, "editor").join(" and ")],
+        ["translator", names(b, "translator").join(" and ")],
+        ["illustrator", names(b, "illustrator").join(" and ")],
+        ["title", b.title],
+        ["publisher", b.publisher],
+        ["year", year(b)],
+        ["isbn", b.isbn ? hyphenateISBN(b.isbn) : ""],
+      ].filter(([, v]) => v);
+      const body = fields.map(([k, v]) => `  ${k} = {${bibEscape(v)}},`).join("\n");
+      return `@book{${bibKey(b, used)},\n${body}\n}\n`;
+    })
+    .join("\n");
+}
+
+// --- RIS ---
+
+// Illustrators have no RIS tag of their own: they go with the other secondary people (A3).
+const RIS_ROLES = { author: "AU", editor: "ED", translator: "A4", illustrator: "A3" };
+
+export function toRIS(books) {
+  return books
+    .map((b) => {
+      const lines = [["TY", "BOOK"]];
+      for (const [role, tag] of Object.entries(RIS_ROLES)) for (const n of names(b, role)) lines.push([tag, n]);
+      lines.push(["TI", b.title || ""]);
+      if (b.publisher) lines.push(["PB", b.publisher]);
+      if (year(b)) lines.push(["PY", year(b)]);
+      if (b.isbn || b.isbnRaw) lines.push(["SN", b.isbn || b.isbnRaw]);
+      lines.push(["ER", ""]);
+      return lines.map(([tag, v]) => `${tag}  - ${v}`).join("\r\n");
+    })
+    .join("\r\n\r\n") + "\r\n";
+}
+
+// Returns book fields ({ title, contributors, authorLast, authorFirst, isbn, isbnRaw, publisher, publishedDate, notes }) per record.
+export function parseRIS(text) {
+  const records = [];
+  let rec = null;
+  for (const line of (text || "").replace(/^\uFEFF/, "").split(/\r?\n/)) {
+    const m = line.match(/^([A-Z][A-Z0-9])  -\s?(.*)$/);
+    if (!m) continue;
+    const [, tag, value] = m;
+    if (tag === "TY") rec = {};
+    else if (tag === "ER") {
+      if (rec) records.push(rec);
+      rec = null;
+    } else if (rec) {
+      (rec[tag] = rec[tag] || []).push(value.trim());
+    }
+  }
+  return records.map((r) => {
+    const first = (...tags) => tags.map((t) => r[t]?.[0]).find(Boolean) || "";
+    const all = (...tags) => tags.flatMap((t) => r[t] || []);
+    return bookFields({
+      people: [
+        ...fromNames(all("AU", "A1"), "author"),
+        ...fromNames(all("ED", "A2"), "editor"),
+        ...fromNames(all("A4"), "translator"),
+        ...fromNames(all("A3"), "illustrator"),
+      ],
+      title: first("TI", "T1", "BT", "CT"),
+      isbn: (r.SN || []).join(" "),
+      publisher: first("PB"),
+      date: first("PY", "Y1", "DA"),
+      notes: first("N1"),
+    });
+  });
+}
+
+// --- MARCXML ---
+
+function xmlEscape(s) {
+  return String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+function datafield(tag, ind1, ind2, subfields) {
+  const subs = subfields.filter(([, v]) => v);
+  if (!subs.length) return "";
+  const inner = subs.map(([code, v]) => `      <subfield code="${code}">${xmlEscape(v)}</subfield>`).join("\n");
+  return `    <datafield tag="${tag}" ind1="${ind1}" ind2="${ind2}">\n${inner}\n    </datafield>\n`;
+}
+
+// MARC relator terms ($e) of the added entries (700) for people after the main author.
+const MARC_RELATORS = { author: "author", editor: "editor", translator: "translator", illustrator: "illustrator" };
+const MARC_ROLE_CODES = { aut: "author", edt: "editor", trl: "translator", ill: "illustrator" };
+// Relator terms as catalogues write them, English or Italian ("ed.", "curatore", "trad.").
+const MARC_ROLE_TERMS = [["ed", "editor"], ["cur", "editor"], ["tr", "translator"], ["ill", "illustrator"]];
+
+export function toMARCXML(books) {
+  const records = books.map((b) => {
+    const pub = b.publisher || year(b);
+    const people = contributorsOf(b);
+    const main = mainAuthor(people)?.role === "author" ? mainAuthor(people) : null;
+    const added = people.filter((c) => c !== main);
+    return (
+      "  <record>\n" +
+      "    <leader>00000nam a22000007i 4500</leader>\n" +
+      `    <controlfield tag="001">${xmlEscape(b.id || "")}</controlfield>\n` +
+      datafield("020", " ", " ", [["a", b.isbn || b.isbnRaw]]) +
+      (main ? datafield("100", "1", " ", [["a", contributorName(main, { inverted: true })]]) : "") +
+      datafield("245", main ? "1" : "0", "0", [["a", b.title]]) +
+      (pub ? datafield("264", " ", "1", [["b", b.publisher], ["c", year(b)]]) : "") +
+      added.map((c) => datafield("700", "1", " ", [["a", contributorName(c, { inverted: true })], ["e", MARC_RELATORS[c.role]]])).join("") +
+      "  </record>\n"
+    );
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<collection xmlns="http://www.loc.gov/MARC21/slim">\n${records.join("")}</collection>\n`;
+}
+
+// ISBD punctuation at the end of MARC subfields: "Il barone rampante /", "Torino :".
+function trimISBD(s) {
+  return (s || "").replace(/\s*[/:;,=.]\s*$/, "").trim();
+}
+
+export function parseMARCXML(text) {
+  const doc = new DOMParser().parseFromString(text || "", "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) throw new Error("XML non valido");
+  const records = Array.from(doc.getElementsByTagNameNS("*", "record"));
+  return records.map((rec) => {
+    const fields = Array.from(rec.getElementsByTagNameNS("*", "datafield"));
+    const sub = (tags, code) => {
+      for (const tag of tags) {
+        for (const f of fields.filter((x) => x.getAttribute("tag") === tag)) {
+          const s = Array.from(f.getElementsByTagNameNS("*", "subfield")).find((x) => x.getAttribute("code") === code);
+          if (s?.textContent.trim()) return s.textContent.trim();
+        }
+      }
+      return "";
+    };
+    const title = [trimISBD(sub(["245"], "a")), trimISBD(sub(["245"], "b"))].filter(Boolean).join(". ");
+    // Added entries: the role from the relator code ($4) or term ($e), "author" when missing.
+    const added = fields
+      .filter((f) => f.getAttribute("tag") === "700")
+      .map((f) => {
+        const subs = Array.from(f.getElementsByTagNameNS("*", "subfield"));
+        const code = (c) => subs.find((x) => x.getAttribute("code") === c)?.textContent.trim() || "";
+        const term = foldText(code("e")).split(" ")[0];
+        const role = MARC_ROLE_CODES[code("4")] || MARC_ROLE_TERMS.find(([p]) => term.startsWith(p))?.[1] || "author";
+        return fromNames([trimISBD(code("a"))], role)[0];
+      })
+      .filter(Boolean);
+    return bookFields({
+      people: [...fromNames([trimISBD(sub(["100", "110"], "a"))].filter(Boolean)), ...added],
+      title,
+      isbn: sub(["020"], "a"),
+      publisher: trimISBD(sub(["264", "260"], "b")),
+      date: sub(["264", "260"], "c"),
+      notes: "",
+    });
+  });
+}
+
+function bookFields({ people, title, isbn, publisher, date, notes }) {
+  const main = mainAuthor(people);
+  // A field may list several codes, possibly qualified: "8804667927 (pbk.)".
+  const codes = (isbn || "").split(/[\s;,]+/).map(cleanISBN).filter((c) => c.length >= 10);
+  const isbnRaw = codes.find((c) => toISBN13(c)) || codes[0] || "";
+  return {
+    title: title || "",
+    contributors: people,
+    authorLast: main?.last || "",
+    authorFirst: main?.first || "",
+    isbn: toISBN13(isbnRaw),
+    isbnRaw,
+    publisher: publisher || "",
+    publishedDate: ((date || "").match(/\d{4}/) || [""])[0],
+    notes: notes || "",
+  };
+}
+
+export function formatCitations(books, format) {
+  if (format === "bibtex") return toBibTeX(books);
+  if (format === "ris") return toRIS(books);
+  return toMARCXML(books);
+}
+
+// Guesses RIS or MARCXML from the file name and content (null for anything else).
+export function detectCitationFormat(name, text) {
+  if (/\.ris$/i.test(name) || /^\s*TY {2}- /m.test(text)) return "ris";
+  if (/\.(xml|marcxml)$/i.test(name) || /<(marc:)?record[\s>]/.test(text)) return "marcxml";
+  return null;
+}
+
+export function parseCitations(text, format) {
+  return format === "ris" ? parseRIS(text) : parseMARCXML(text);
+}
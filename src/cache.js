@@ -0,0 +1,190 @@
+// Persistent cache (IndexedDB) for metadata lookups and downscaled catalog covers,
+// so re-scanning a book or re-opening a list does not hit the network again.
+// Entries expire after a TTL and the oldest-used ones are evicted past a size limit;
+// the covers' total size is kept as a running count, so a write never reads every blob.
+
+import { openDatabase, reqDone, txDone } from "./db.js";
+import { foldText } from "./text.js";
+import { toISBN13 } from "./isbn.js";
+import { searchMetadata } from "./providers.js";
+import { blobToDataURL, downscaleImage } from "./images.js";
+
+const DB_NAME = "biblioteca-scott-cache";
+const DB_VERSION = 2;
+
+const STORES = {
+  lookups: "lookups",
+  covers: "covers",
+  meta: "meta",
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+const LOOKUP_TTL = 30 * DAY;
+const COVER_TTL = 90 * DAY;
+const MAX_LOOKUPS = 2000;
+const MAX_COVER_BYTES = 40 * 1024 * 1024;
+
+function openCache() {
+  return openDatabase(DB_NAME, DB_VERSION, (db, oldVersion, tx) => {
+    if (!db.objectStoreNames.contains(STORES.lookups)) {
+      const store = db.createObjectStore(STORES.lookups, { keyPath: "key" });
+      store.createIndex("by_usedAt", "usedAt", { unique: false });
+    }
+    if (!db.objectStoreNames.contains(STORES.covers)) {
+      const store = db.createObjectStore(STORES.covers, { keyPath: "url" });
+      store.createIndex("by_usedAt", "usedAt", { unique: false });
+    }
+    // { key: "coverBytes", value }: total blob size in the covers store.
+    if (!db.objectStoreNames.contains(STORES.meta)) {
+      db.createObjectStore(STORES.meta, { keyPath: "key" });
+    }
+    // Covers saved before the running total existed are not in it: start them over.
+    if (oldVersion === 1) tx.objectStore(STORES.covers).clear();
+  });
+}
+
+async function withStores(storeNames, mode, fn) {
+  const db = await openCache();
+  try {
+    const tx = db.transaction(storeNames, mode);
+    const result = await fn(tx);
+    await txDone(tx);
+    return result;
+  } finally {
+    db.close();
+  }
+}
+
+function withStore(storeName, mode, fn) {
+  return withStores(storeName, mode, (tx) => fn(tx.objectStore(storeName)));
+}
+
+// Calls `step(cursor)` for each record of a cursor request until it returns false or the records end.
+function walk(req, step) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor || step(cursor) === false) return resolve();
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function read(storeName, key, ttl) {
+  const entry = await withStore(storeName, "readonly", (store) => reqDone(store.get(key)));
+  if (!entry || Date.now() - entry.savedAt > ttl) return null;
+  // Touch for LRU eviction, unless evicted meanwhile; not worth failing the read over.
+  withStore(storeName, "readwrite", async (store) => {
+    if ((await reqDone(store.getKey(key))) !== undefined) store.put({ ...entry, usedAt: Date.now() });
+  }).catch(() => {});
+  return entry;
+}
+
+// Saves a lookup; past MAX_LOOKUPS the least recently used ones go (keys only are read).
+async function writeLookup(entry) {
+  const now = Date.now();
+  await withStore(STORES.lookups, "readwrite", async (store) => {
+    store.put({ ...entry, savedAt: now, usedAt: now });
+    let extra = (await reqDone(store.count())) - MAX_LOOKUPS;
+    if (extra <= 0) return;
+    await walk(store.index("by_usedAt").openKeyCursor(), (cursor) => {
+      store.delete(cursor.primaryKey);
+      return --extra > 0;
+    });
+  });
+}
+
+// Saves a cover and updates the running total; past MAX_COVER_BYTES the least recently
+// used covers go, reading only those.
+async function writeCover(entry) {
+  const now = Date.now();
+  const size = entry.blob?.size || 0;
+  await withStores([STORES.covers, STORES.meta], "readwrite", async (tx) => {
+    const covers = tx.objectStore(STORES.covers);
+    const meta = tx.objectStore(STORES.meta);
+    const replaced = await reqDone(covers.get(entry.url));
+    let total = ((await reqDone(meta.get("coverBytes")))?.value || 0) - (replaced?.size || 0) + size;
+    covers.put({ ...entry, size, savedAt: now, usedAt: now });
+    if (total > MAX_COVER_BYTES) {
+      await walk(covers.index("by_usedAt").openCursor(), (cursor) => {
+        if (cursor.primaryKey === entry.url) return true;
+        total -= cursor.value.size || 0;
+        cursor.delete();
+        return total > MAX_COVER_BYTES;
+      });
+    }
+    meta.put({ key: "coverBytes", value: Math.max(0, total) });
+  });
+}
+
+// Same ISBN or same folded title/author (and same provider order) share an entry.
+export function lookupKey(query, order) {
+  const isbn = toISBN13(query.isbn);
+  const what = isbn ? `isbn:${isbn}` : `q:${foldText(query.title)}|${foldText(query.author)}`;
+  return `${what}@${order.join(",")}`;
+}
+
+// searchMetadata() through the cache. Answers with provider errors are not cached,
+// so a flaky source is asked again next time. `refresh` skips the cached answer.
+// Returns { results, errors, cachedAt } (cachedAt is null for fresh answers).
+export async function cachedSearchMetadata(query, { order, refresh = false } = {}) {
+  const key = lookupKey(query, order);
+  if (!refresh) {
+    const hit = await read(STORES.lookups, key, LOOKUP_TTL).catch(() => null);
+    if (hit) return { results: hit.results, errors: [], cachedAt: hit.savedAt };
+  }
+  const { results, errors } = await searchMetadata(query, { order });
+  if (!errors.length) await writeLookup({ key, results }).catch(() => {});
+  return { results, errors, cachedAt: null };
+}
+
+// Image blob kept in the covers store under `key`; `load` fetches it on a miss and
+// may return null (not cached). Returns null when the image cannot be fetched.
+export async function cachedBlob(key, load, { refresh = false } = {}) {
+  if (!refresh) {
+    const hit = await read(STORES.covers, key, COVER_TTL).catch(() => null);
+    if (hit) return hit.blob;
+  }
+  try {
+    const blob = await load();
+    if (blob) await writeCover({ url: key, blob }).catch(() => {});
+    return blob || null;
+  } catch {
+    return null;
+  }
+}
+
+// Downscaled copy of a catalog cover, downloaded once. Returns null when the
+// image cannot be fetched (offline, CORS): callers fall back to the plain URL.
+export async function cachedCoverBlob(url, { refresh = false } = {}) {
+  if (!url || url.startsWith("data:")) return null;
+  return cachedBlob(
+    url,
+    async () => {
+      const res = await fetch(url);
+      return res.ok ? downscaleImage(await res.blob(), 800, 0.78) : null;
+    },
+    { refresh }
+  );
+}
+
+export async function fetchAsDataURL(url) {
+  const blob = await cachedCoverBlob(url);
+  return blob ? await blobToDataURL(blob) : "";
+}
+
+export async function cacheStats() {
+  const [lookups, covers, coverBytes] = await Promise.all([
+    withStore(STORES.lookups, "readonly", (store) => reqDone(store.count())),
+    withStore(STORES.covers, "readonly", (store) => reqDone(store.count())),
+    withStore(STORES.meta, "readonly", async (store) => (await reqDone(store.get("coverBytes")))?.value || 0),
+  ]);
+  return { lookups, covers, coverBytes };
+}
+
+export async function clearCache() {
+  await withStores(Object.values(STORES), "readwrite", (tx) => {
+    for (const name of Object.values(STORES)) tx.objectStore(name).clear();
+  });
+}
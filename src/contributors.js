@@ -0,0 +1,77 @@
+// People behind a book, each with a role: co-authors, editors of anthologies, translators,
+// illustrators. Books store the list in display order as `contributors` ([{ last, first, role }]);
+// `authorLast` / `authorFirst` stay as copies of the main author (the first with role
+// "author", or else the first person) for sorting, duplicates and shelf marks.
+
+import { splitAuthor } from "./providers.js";
+
+export const ROLES = {
+  author: { label: "Autore", short: "" },
+  editor: { label: "Curatore", short: "a cura di" },
+  translator: { label: "Traduttore", short: "trad." },
+  illustrator: { label: "Illustratore", short: "ill." },
+};
+
+// Book fields copied from the main author: merges and field choices move them with `contributors`.
+export const AUTHOR_FIELDS = ["authorLast", "authorFirst"];
+
+function norm(s) {
+  return (s || "").toString().trim();
+}
+
+function clean(c) {
+  return { last: norm(c?.last), first: norm(c?.first), role: ROLES[c?.role] ? c.role : "author" };
+}
+
+// The book's people; books saved before the list existed have only the author fields.
+export function contributorsOf(book) {
+  const list = Array.isArray(book?.contributors) ? book.contributors.map(clean).filter((c) => c.last || c.first) : [];
+  if (list.length) return list;
+  const main = clean({ last: book?.authorLast, first: book?.authorFirst });
+  return main.last || main.first ? [main] : [];
+}
+
+export function mainAuthor(list) {
+  return list.find((c) => c.role === "author") || list[0] || null;
+}
+
+// The book with a clean `contributors` list and the author fields copied from it.
+export function withAuthorFields(book) {
+  const contributors = contributorsOf(book);
+  const main = mainAuthor(contributors);
+  return { ...book, contributors, authorLast: main?.last || "", authorFirst: main?.first || "" };
+}
+
+// Puts `name` ({ last, first }) in place of the first author (or before everybody when
+// the book has none), keeping the other people.
+export function replaceMainAuthor(list, name) {
+  const main = list.find((c) => c.role === "author");
+  const person = { ...clean(name), role: "author" };
+  if (!person.last && !person.first) return list.filter((c) => c !== main);
+  return main ? list.map((c) => (c === main ? person : c)) : [person, ...list];
+}
+
+// Full names ("Italo Calvino" or "Calvino, Italo") -> contributors with one role.
+export function fromNames(names, role = "author") {
+  return names
+    .map((n) => splitAuthor(n))
+    .filter((n) => n.last || n.first)
+    .map(({ last, first }) => ({ last, first, role }));
+}
+
+// "Italo Calvino", or "Calvino, Italo" with `inverted`.
+export function contributorName(c, { inverted = false } = {}) {
+  return inverted ? [c.last, c.first].filter(Boolean).join(", ") : [c.first, c.last].filter(Boolean).join(" ");
+}
+
+export function byRole(list, role) {
+  return list.filter((c) => c.role === role);
+}
+
+// Everybody but the authors, for a line under them: "a cura di Mario Rossi • trad. Anna Bianchi".
+export function otherContributors(list) {
+  return Object.keys(ROLES)
+    .filter((role) => role !== "author")
+    .map((role) => ({ role, people: byRole(list, role) }))
+    .filter((g) => g.people.length);
+}
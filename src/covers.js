@@ -0,0 +1,72 @@
+// Personal cover photos in Firebase Storage. Each photo is stored twice (full size
+// for the book page, a thumbnail for lists) and the book document only keeps the
+// paths: `personalCover: { full, thumb }`. Paths are never reused, so a new photo
+// always gets new files and old ones are released (see releaseCoverFiles in data.js).
+
+import { getDownloadURL, ref } from "firebase/storage";
+import { storage } from "./firebase";
+import { LIBRARY_ID, listBooks, makeId, uploadFile, upsertBook } from "./data.js";
+import { STORES, localGet } from "./local.js";
+import { cachedBlob } from "./cache.js";
+import { downscaleImage } from "./images.js";
+
+const FULL_SIDE = 1600;
+const THUMB_SIDE = 240;
+
+// Prepares a photo for upsertBook(book, { files }): returns the `personalCover`
+// value for the book and the files to upload.
+export async function makePersonalCover(bookId, image) {
+  const base = `libraries/${LIBRARY_ID}/covers/${bookId}/${makeId()}`;
+  const [full, thumb] = await Promise.all([
+    downscaleImage(image, FULL_SIDE, 0.82),
+    downscaleImage(image, THUMB_SIDE, 0.75),
+  ]);
+  const cover = { full: `${base}-full.jpg`, thumb: `${base}-thumb.jpg` };
+  return {
+    cover,
+    files: [
+      { path: cover.full, blob: full },
+      { path: cover.thumb, blob: thumb },
+    ],
+  };
+}
+
+const downloadURLs = new Map();
+
+export async function coverDownloadURL(path) {
+  if (!downloadURLs.has(path)) {
+    const pending = getDownloadURL(ref(storage, path));
+    downloadURLs.set(path, pending);
+    pending.catch(() => downloadURLs.delete(path));
+  }
+  return downloadURLs.get(path);
+}
+
+// Blob of a stored cover: the local copy while the upload is still queued, then
+// the cover cache, then Storage. Null when the file cannot be fetched (offline, or a
+// bucket without CORS): callers can still show coverDownloadURL() in an <img>.
+export async function loadCoverFile(path) {
+  const pending = await localGet(STORES.files, path).catch(() => null);
+  if (pending) return pending.blob;
+  return cachedBlob(`storage:${path}`, async () => {
+    const res = await fetch(await coverDownloadURL(path));
+    return res.ok ? res.blob() : null;
+  });
+}
+
+// One-shot move of the old inline covers (`personalCoverDataUrl`) to Storage.
+// Needs a connection: files are uploaded right away, then each book is saved
+// against the version it was read from, so a concurrent edit is never lost.
+export async function migrateDataUrlCovers(onProgress) {
+  if (!navigator.onLine) throw new Error("Serve una connessione per caricare le foto.");
+  const books = (await listBooks()).filter((b) => b.personalCoverDataUrl);
+  for (let i = 0; i < books.length; i++) {
+    const book = books[i];
+    const image = await (await fetch(book.personalCoverDataUrl)).blob();
+    const { cover, files } = await makePersonalCover(book.id, image);
+    for (const f of files) await uploadFile(f.path, f.blob);
+    await upsertBook({ ...book, personalCover: cover, personalCoverDataUrl: "", updatedAt: Date.now() }, { base: book });
+    onProgress?.(i + 1, books.length);
+  }
+  return books.length;
+}
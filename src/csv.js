@@ -0,0 +1,316 @@
+// CSV export of books and import of spreadsheets / other catalogues.
+// Parsing follows RFC 4180 (quoted fields, "" escapes, newlines inside quotes) and
+// guesses the separator, since Italian spreadsheets write ";" and most exports ",".
+// Import goes column mapping -> planned rows (with problems) -> upsertBook in App.
+
+import { cleanISBN, isbnProblem, toISBN13 } from "./isbn.js";
+import { ROLES, contributorName, contributorsOf, fromNames } from "./contributors.js";
+import { duplicateFinder } from "./dedupe.js";
+import { FORMATS, editionFields, languageLabel } from "./edition.js";
+import { findLocation } from "./locations.js";
+
+// Book fields that can be exported; `get` turns the stored value into a cell.
+export const EXPORT_FIELDS = [
+  { key: "authorLast", label: "Cognome autore" },
+  { key: "authorFirst", label: "Nome autore" },
+  { key: "title", label: "Titolo" },
+  {
+    key: "contributors",
+    label: "Autori e collaboratori",
+    get: (b) =>
+      contributorsOf(b)
+        .map((c) => `${contributorName(c, { inverted: true })}${c.role === "author" ? "" : ` (${ROLES[c.role].label.toLowerCase()})`}`)
+        .join("; "),
+  },
+  { key: "isbn", label: "ISBN", get: (b) => b.isbn || b.isbnRaw || "" },
+  { key: "publisher", label: "Editore" },
+  { key: "publishedDate", label: "Anno" },
+  { key: "language", label: "Lingua", get: (b) => languageLabel(b.language) },
+  { key: "pages", label: "Pagine" },
+  { key: "edition", label: "Edizione" },
+  { key: "format", label: "Formato", get: (b) => FORMATS[b.format] || "" },
+  { key: "series", label: "Collana" },
+  { key: "seriesNumber", label: "Numero nella collana" },
+  { key: "location", label: "Location" },
+  { key: "archive", label: "Archivio" },
+  { key: "notes", label: "Note" },
+  { key: "catalogCoverUrl", label: "Copertina catalogo" },
+  { key: "createdAt", label: "Aggiunto il", get: (b) => (b.createdAt ? new Date(b.createdAt).toISOString().slice(0, 10) : "") },
+  { key: "id", label: "Id" },
+];
+
+export const DEFAULT_EXPORT_FIELDS = ["authorLast", "authorFirst", "title", "isbn", "location", "archive", "notes"];
+
+// Targets of the import mapping. `author` is a full name ("Italo Calvino" or
+// "Calvino, Italo") used when the file has no separate surname/first name columns.
+export const IMPORT_FIELDS = [
+  { key: "title", label: "Titolo", required: true },
+  { key: "author", label: "Autore (nome completo)" },
+  { key: "authorLast", label: "Cognome autore" },
+  { key: "authorFirst", label: "Nome autore" },
+  { key: "isbn", label: "ISBN" },
+  { key: "publisher", label: "Editore" },
+  { key: "publishedDate", label: "Anno" },
+  { key: "language", label: "Lingua" },
+  { key: "pages", label: "Pagine" },
+  { key: "edition", label: "Edizione" },
+  { key: "format", label: "Formato" },
+  { key: "series", label: "Collana" },
+  { key: "seriesNumber", label: "Numero nella collana" },
+  { key: "location", label: "Location" },
+  { key: "archive", label: "Archivio" },
+  { key: "notes", label: "Note" },
+];
+
+// Column names of known exports, in order of preference per field. Reading shelves and
+// collections of other apps are not places: `archive` comes from the wizard's default or
+// a column the user maps.
+export const PRESETS = {
+  app: {
+    label: "Biblioteca Scott (CSV di questa app)",
+    columns: {
+      title: ["Titolo"],
+      authorLast: ["Cognome autore"],
+      authorFirst: ["Nome autore"],
+      isbn: ["ISBN"],
+      publisher: ["Editore"],
+      publishedDate: ["Anno"],
+      language: ["Lingua"],
+      pages: ["Pagine"],
+      edition: ["Edizione"],
+      format: ["Formato"],
+      series: ["Collana"],
+      seriesNumber: ["Numero nella collana"],
+      location: ["Location"],
+      archive: ["Archivio"],
+      notes: ["Note"],
+    },
+  },
+  goodreads: {
+    label: "Goodreads",
+    columns: {
+      title: ["Title"],
+      author: ["Author l-f", "Author"],
+      isbn: ["ISBN13", "ISBN"],
+      publisher: ["Publisher"],
+      publishedDate: ["Year Published", "Original Publication Year"],
+      pages: ["Number of Pages"],
+      format: ["Binding"],
+      notes: ["Private Notes", "My Review"],
+    },
+  },
+  librarything: {
+    label: "LibraryThing",
+    columns: {
+      title: ["Title"],
+      author: ["Primary Author", "Author (last, first)"],
+      isbn: ["ISBN", "ISBNs"],
+      notes: ["Private Comment", "Comment"],
+    },
+  },
+  calibre: {
+    label: "Calibre",
+    columns: {
+      title: ["title"],
+      author: ["author_sort", "authors"],
+      isbn: ["isbn"],
+      publisher: ["publisher"],
+      publishedDate: ["pubdate"],
+      language: ["languages"],
+      series: ["series"],
+      seriesNumber: ["series_index"],
+      notes: ["comments"],
+    },
+  },
+};
+
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || "";
+  const counts = [";", ",", "\t"].map((d) => [d, firstLine.split(d).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] ? counts[0][0] : ",";
+}
+
+// Returns { headers, rows } with rows as arrays of strings (blank lines dropped).
+export function parseCSV(text, { delimiter } = {}) {
+  const src = (text || "").replace(/^\uFEFF/, "");
+  const sep = delimiter || detectDelimiter(src);
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"' && field === "") {
+      quoted = true;
+    } else if (c === sep) {
+      record.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (quoted) throw new Error("Virgolette non chiuse: il file sembra troncato.");
+  if (field !== "" || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+  const nonEmpty = records.filter((r) => r.some((x) => x.trim() !== ""));
+  const [headers = [], ...rows] = nonEmpty;
+  return { headers: headers.map((h) => h.trim()), rows, delimiter: sep };
+}
+
+function cell(value, sep) {
+  const s = value == null ? "" : String(value);
+  return /["\r\n]/.test(s) || s.includes(sep) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// UTF-8 CSV with BOM (so Excel opens accents correctly); ";" is what Italian Excel expects.
+export function booksToCSV(books, fieldKeys = DEFAULT_EXPORT_FIELDS, { delimiter = ";" } = {}) {
+  const fields = fieldKeys.map((k) => EXPORT_FIELDS.find((f) => f.key === k)).filter(Boolean);
+  const lines = [fields.map((f) => cell(f.label, delimiter)).join(delimiter)];
+  for (const b of books) {
+    lines.push(fields.map((f) => cell(f.get ? f.get(b) : b[f.key] ?? "", delimiter)).join(delimiter));
+  }
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+// Preset whose columns best match the file's headers (null when none fits).
+export function detectPreset(headers) {
+  let best = null;
+  let bestScore = 0;
+  for (const [id, preset] of Object.entries(PRESETS)) {
+    const score = Object.values(preset.columns).filter((names) => names.some((n) => headers.includes(n))).length;
+    if (score > bestScore) {
+      best = id;
+      bestScore = score;
+    }
+  }
+  return bestScore >= 2 ? best : null;
+}
+
+// Mapping { field: column index | -1 } from a preset, or by matching header names.
+export function presetMapping(presetId, headers) {
+  const columns = PRESETS[presetId]?.columns || {};
+  const lower = headers.map((h) => h.toLowerCase());
+  const mapping = {};
+  for (const f of IMPORT_FIELDS) {
+    const names = columns[f.key] || [f.key, f.label];
+    mapping[f.key] = names.map((n) => lower.indexOf(n.toLowerCase())).find((i) => i >= 0) ?? -1;
+  }
+  return mapping;
+}
+
+// Goodreads writes ISBNs as ="0312424094", LibraryThing as [0312424094]; ISBNs may list several codes.
+function parseISBNCell(s) {
+  const codes = (s || "").replace(/[="[\]]/g, " ").split(/[\s,;]+/).map(cleanISBN).filter(Boolean);
+  return codes.find((c) => toISBN13(c)) || codes[0] || "";
+}
+
+function stripHTML(s) {
+  return /<[a-z/][^>]*>/i.test(s) ? s.replace(/<br\s*\/?>|<\/p>/gi, "\n").replace(/<[^>]+>/g, "").trim() : s;
+}
+
+// Calibre separates several authors with " & ", others with ";".
+function authorNames(s) {
+  return (s || "").split(/\s+&\s+|;/).map((x) => x.trim()).filter(Boolean);
+}
+
+export function mapRow(row, mapping) {
+  const get = (k) => (mapping[k] >= 0 ? (row[mapping[k]] || "").trim() : "");
+  let authorLast = get("authorLast");
+  let authorFirst = get("authorFirst");
+  // A full-name column may list co-authors: they all become contributors.
+  let people = [];
+  if (!authorLast && !authorFirst && get("author")) {
+    people = fromNames(authorNames(get("author")));
+    ({ last: authorLast = "", first: authorFirst = "" } = people[0] || {});
+  }
+  const isbnRaw = parseISBNCell(get("isbn"));
+  return {
+    title: get("title"),
+    authorLast,
+    authorFirst,
+    ...(people.length > 1 ? { contributors: people } : null),
+    isbn: toISBN13(isbnRaw),
+    isbnRaw,
+    ...editionFields({
+      publisher: get("publisher"),
+      publishedDate: get("publishedDate"),
+      language: get("language").split(/[,;]/)[0],
+      pages: get("pages"),
+      edition: get("edition"),
+      format: get("format"),
+      series: get("series"),
+      seriesNumber: get("seriesNumber"),
+    }),
+    location: get("location"),
+    archive: get("archive"),
+    notes: stripHTML(get("notes")),
+  };
+}
+
+// Rows ready for review: { line, form, defaulted, errors, warnings, duplicates, action }.
+// `defaults` fill location/archive when the file has none (listed in `defaulted`);
+// locations are paths in the tree `locationNodes` ("studio › libreria A"), missing ones get added.
+// action: "add" | "skip"; rows matching an existing book default to `onDuplicate`
+// ("skip" | "add" | "update").
+export function planImport(rows, mapping, { books, ...options }) {
+  return planMatched(matchImport(rows, mapping, books), options);
+}
+
+// Same as planImport for books already parsed from another format (RIS, MARCXML);
+// `line` then counts records from `firstLine`.
+export function planForms(forms, { books, firstLine = 1, ...options }) {
+  return planMatched(matchForms(forms, books, firstLine), options);
+}
+
+// The slow half of planning, to be kept while defaults and row actions change: the
+// mapped rows with their existing duplicates, [{ line, form, duplicates }].
+export function matchImport(rows, mapping, books) {
+  return matchForms(
+    rows.map((row) => mapRow(row, mapping)),
+    books,
+    2
+  );
+}
+
+export function matchForms(forms, books, firstLine = 1) {
+  const find = duplicateFinder(books);
+  return forms.map((form, i) => ({ line: i + firstLine, form, duplicates: form.title ? find(form) : [] }));
+}
+
+// The cheap half: defaults, checks and the action of every matched row.
+export function planMatched(matched, { locationNodes, defaults = {}, onDuplicate = "skip" }) {
+  const seenIsbn = new Map();
+  return matched.map(({ line, form: mapped, duplicates }) => {
+    const form = { ...mapped };
+    const defaulted = ["location", "archive"].filter((k) => !form[k] && defaults[k]);
+    for (const k of defaulted) form[k] = defaults[k];
+    const errors = [];
+    const warnings = [];
+    if (!form.title) errors.push("titolo mancante");
+    const problem = isbnProblem(form.isbnRaw);
+    if (problem) warnings.push(`ISBN ${form.isbnRaw}: ${problem}`);
+    if (form.location && !findLocation(locationNodes, form.location)) warnings.push(`location "${form.location}" non esiste: verrà aggiunta`);
+    if (form.isbn && seenIsbn.has(form.isbn)) warnings.push(`stesso ISBN della riga ${seenIsbn.get(form.isbn)}`);
+    if (form.isbn && !seenIsbn.has(form.isbn)) seenIsbn.set(form.isbn, line);
+    const action = errors.length ? "skip" : duplicates.length ? onDuplicate : "add";
+    return { line, form, defaulted, errors, warnings, duplicates, action };
+  });
+}
@@ -1,22 +1,461 @@
-import { collection, deleteDoc, doc, getDoc, getDocs, setDoc } from "firebase/firestore";
-import { db } from "./firebase";
+import {
+  collection,
+  doc,
+  documentId,
+  getDoc,
+  getCountFromServer,
+  getDocs,
+  limit,
+  onSnapshot,
+  orderBy,
+  query,
+  runTransaction,
+  serverTimestamp,
+  setDoc,
+  startAfter,
+  Timestamp,
+  where,
+  writeBatch,
+} from "firebase/firestore";
+import { deleteObject, ref as storageRef, uploadBytes } from "firebase/storage";
+import { db, storage } from "./firebase";
+import {
+  STORES,
+  getMeta,
+  localDelete,
+  localCount,
+  localGet,
+  localKeys,
+  localList,
+  localPut,
+  localReplaceAll,
+  localScan,
+  outboxAdd,
+  outboxCount,
+  outboxList,
+  outboxRemove,
+  setMeta,
+} from "./local.js";
+import { toISBN13 } from "./isbn.js";
+import { authorSortKey } from "./listing.js";
+import { withAuthorFields } from "./contributors.js";
+import { DEFAULT_ROOMS, childrenOf, ensurePath, locationLabels, pathTo, placeBook, treeFromFlat } from "./locations.js";
+
+// Offline-first: reads come from the IndexedDB replica (local.js), kept current by live
+// Firestore listeners that download only what changed since the last visit; writes are
+// applied locally and queued in the outbox, which is replayed against Firestore when online.
 
 export const LIBRARY_ID = "biblioteca-scott";
 
+const DEFAULT_LOCATION_NODES = treeFromFlat(DEFAULT_ROOMS, []).nodes;
+
 function booksCol() {
   return collection(db, "libraries", LIBRARY_ID, "books");
 }
+function loansCol() {
+  return collection(db, "libraries", LIBRARY_ID, "loans");
+}
 function metaDoc() {
   return doc(db, "libraries", LIBRARY_ID, "meta", "settings");
 }
+function remoteRef(col, id) {
+  return col === STORES.meta ? metaDoc() : doc(db, "libraries", LIBRARY_ID, col, id);
+}
+
+// Every write of a book or loan carries the server time it reached Firestore (`syncedAt`),
+// and every delete leaves a tombstone { col, id, syncedAt } in `deletions`: a device
+// coming back asks only for what is newer than the last time it saw (see mirrorCollection).
+function stamped(data) {
+  return { ...data, syncedAt: serverTimestamp() };
+}
+function deletionsCol() {
+  return collection(db, "libraries", LIBRARY_ID, "deletions");
+}
+function tombstoneRef(col, id) {
+  return doc(db, "libraries", LIBRARY_ID, "deletions", `${col}_${id}`);
+}
+function tombstone(col, id) {
+  return { col, id, syncedAt: serverTimestamp() };
+}
+
+// A Firestore document as kept in the replica: `syncedAt` in milliseconds.
+function fromRemote(snap) {
+  const data = snap.data();
+  return { ...data, id: snap.id, ...(data.syncedAt ? { syncedAt: data.syncedAt.toMillis() } : null) };
+}
 
 export function makeId() {
   return Math.random().toString(16).slice(2) + "-" + Date.now().toString(16);
 }
 
-export async function listBooks() {
-  const snap = await getDocs(booksCol());
-  const books = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+// --- Sync state ---
+
+const syncListeners = new Set();
+let syncState = {
+  online: typeof navigator === "undefined" ? true : navigator.onLine,
+  pending: 0,
+  syncing: false,
+  conflicts: 0,
+};
+
+function emitSync(patch) {
+  syncState = { ...syncState, ...patch };
+  syncListeners.forEach((cb) => cb(syncState));
+}
+
+export function onSyncState(cb) {
+  syncListeners.add(cb);
+  cb(syncState);
+  return () => {
+    syncListeners.delete(cb);
+  };
+}
+
+async function enqueue(op) {
+  await outboxAdd(op);
+  notifyChange();
+  emitSync({ pending: await outboxCount() });
+  flushOutbox().catch(() => {});
+}
+
+async function applyLocal(op) {
+  if (op.col === STORES.meta) {
+    const current = (await getMeta("settings")) || {};
+    await setMeta("settings", { ...current, ...op.data });
+  } else if (op.kind === "delete") {
+    await localDelete(op.col, op.id);
+  } else {
+    await localPut(op.col, op.data);
+  }
+}
+
+// Replays a book edit only if the stored book is still the version the editor
+// started from; otherwise the edit is parked in the conflicts store for the user.
+async function replayVersioned(op) {
+  const ref = remoteRef(op.col, op.id);
+  const theirs = await runTransaction(db, async (tx) => {
+    const snap = await tx.get(ref);
+    const remote = snap.exists() ? fromRemote(snap) : null;
+    if (remote && remote.updatedAt === op.base.updatedAt) {
+      tx.set(ref, stamped(op.data), { merge: true });
+      return undefined;
+    }
+    return remote;
+  });
+  if (theirs === undefined) {
+    await releaseCoverFiles(op.release || []);
+    return false;
+  }
+  await parkConflict(op, theirs);
+  return true;
+}
+
+// Keeps an edit whose base is no longer the stored version for the user to merge;
+// their version (null when deleted) replaces it in the replica.
+async function parkConflict(op, theirs) {
+  await localPut(STORES.conflicts, { id: op.id, mine: op.data, base: op.base, theirs, detectedAt: Date.now() });
+  if (theirs) await localPut(op.col, theirs);
+  else await localDelete(op.col, op.id);
+  emitSync({ conflicts: await countConflicts() });
+}
+
+// A migration is not an edit of the user's: when the book changed meanwhile, the newer
+// version (saved by an app that writes books already upgraded) simply stays.
+async function keepTheirs(op, theirs) {
+  if (theirs) await localPut(op.col, theirs);
+  else await localDelete(op.col, op.id);
+}
+
+// Cover files never change once uploaded (a new photo gets a new path), so browsers may cache them for good.
+const FILE_METADATA = { contentType: "image/jpeg", cacheControl: "public, max-age=31536000, immutable" };
+
+export async function uploadFile(path, blob) {
+  await uploadBytes(storageRef(storage, path), blob, FILE_METADATA);
+}
+
+async function replayFile(op) {
+  if (op.kind === "set") {
+    const pending = await localGet(STORES.files, op.id);
+    if (pending) await uploadFile(op.id, pending.blob);
+    await localDelete(STORES.files, op.id);
+    return;
+  }
+  try {
+    await deleteObject(storageRef(storage, op.id));
+  } catch (e) {
+    if (e?.code !== "storage/object-not-found") throw e;
+  }
+}
+
+// Replays one outbox entry. Versioned book edits go through replayVersioned;
+// everything else is resolved on updatedAt: if the remote document changed
+// after the queued write, the remote version wins locally.
+// Returns true when the replica was changed by remote data.
+async function replayOp(op) {
+  if (op.col === STORES.files) {
+    await replayFile(op);
+    return false;
+  }
+  const ref = remoteRef(op.col, op.id);
+  if (op.col === STORES.meta) {
+    await setDoc(ref, op.data, { merge: true });
+    return false;
+  }
+  if (op.base) return replayVersioned(op);
+  const snap = await getDoc(ref);
+  const remote = snap.exists() ? fromRemote(snap) : null;
+  const localStamp = op.kind === "set" ? op.data.updatedAt || 0 : op.queuedAt;
+  if (remote && (remote.updatedAt || 0) > localStamp) {
+    await localPut(op.col, remote);
+    return true;
+  }
+  if (op.kind === "set") {
+    await setDoc(ref, stamped(op.data), { merge: true });
+    await releaseCoverFiles(op.release || []);
+  } else if (remote) {
+    const batch = writeBatch(db);
+    batch.delete(ref);
+    batch.set(tombstoneRef(op.col, op.id), tombstone(op.col, op.id));
+    await batch.commit();
+  }
+  return false;
+}
+
+let flushing = null;
+
+export function flushOutbox() {
+  if (flushing) return flushing;
+  flushing = (async () => {
+    if (!navigator.onLine) return false;
+    let changed = false;
+    emitSync({ syncing: true });
+    try {
+      let ops;
+      while ((ops = await outboxList()).length) {
+        for (const op of ops) {
+          // A network error stops the replay; the entry stays queued for the next attempt.
+          if (await replayOp(op)) changed = true;
+          await outboxRemove(op.seq);
+          emitSync({ pending: await outboxCount() });
+        }
+      }
+    } finally {
+      emitSync({ syncing: false });
+    }
+    return changed;
+  })().finally(() => {
+    flushing = null;
+  });
+  return flushing;
+}
+
+// --- Live updates ---
+
+const changeListeners = new Set();
+let notifyTimer = null;
+
+// Coalesces bursts of changes (a snapshot with many docs, a batch of local writes).
+function notifyChange() {
+  clearTimeout(notifyTimer);
+  notifyTimer = setTimeout(() => changeListeners.forEach((cb) => cb()), 50);
+}
+
+async function pendingKeys() {
+  return new Set((await outboxList()).map((op) => `${op.col}/${op.id}`));
+}
+
+const SYNC_MARGIN = 60 * 1000; // writes committed just before the last stamp may be seen late
+
+// Mirrors a Firestore collection into the replica. A device without a copy yet downloads
+// the whole collection once and replaces the local one; from then on it listens only to
+// documents and tombstones stamped after the newest `syncedAt` it has seen (kept in meta
+// as "syncedAt:<col>"), so opening the app costs the changes made meanwhile, not the library.
+// `onReady` is called as soon as the replica can answer reads, `onSynced` after the first
+// server snapshot. Docs with queued local writes are left alone.
+function mirrorCollection(col, ref, { onReady, onSynced } = {}) {
+  const stampKey = `syncedAt:${col}`;
+  let stamp = 0;
+  let unsubs = [];
+  let stopped = false;
+  const seen = (ms) => {
+    if (ms > stamp) stamp = ms;
+  };
+  const warn = (e) => console.warn(`Aggiornamenti live non disponibili (${col}):`, e);
+
+  async function applyChanges(snap, pending) {
+    for (const ch of snap.docChanges()) {
+      if (ch.doc.metadata.hasPendingWrites || pending.has(`${col}/${ch.doc.id}`)) continue;
+      if (ch.type === "removed") {
+        await localDelete(col, ch.doc.id);
+        continue;
+      }
+      const item = fromRemote(ch.doc);
+      await localPut(col, item);
+      seen(item.syncedAt || 0);
+    }
+  }
+
+  // First download: the server's copy replaces the local one, so deletions made while we
+  // were away disappear without tombstones.
+  async function replaceLocal(snap, pending) {
+    const keep = (await localList(col)).filter((x) => pending.has(`${col}/${x.id}`));
+    const remote = snap.docs.filter((d) => !pending.has(`${col}/${d.id}`)).map(fromRemote);
+    await localReplaceAll(col, [...remote, ...keep]);
+    remote.forEach((x) => seen(x.syncedAt || 0));
+  }
+
+  // A tombstone loses against a copy written after it (the id was used again).
+  async function applyTombstones(snap, pending) {
+    for (const ch of snap.docChanges()) {
+      const { id, syncedAt } = ch.doc.data();
+      if (ch.type === "removed" || !syncedAt || pending.has(`${col}/${id}`)) continue;
+      const ms = syncedAt.toMillis();
+      const local = await localGet(col, id);
+      if (!local || (local.syncedAt || 0) <= ms) await localDelete(col, id);
+      seen(ms);
+    }
+  }
+
+  // `apply(snap, pending, first)`; `onFirst` runs once the first server snapshot is in.
+  function listen(target, apply, onFirst) {
+    let first = true;
+    return onSnapshot(
+      target,
+      async (snap) => {
+        if (first && snap.metadata.fromCache) return;
+        await apply(snap, await pendingKeys(), first);
+        await setMeta(stampKey, stamp);
+        if (first) {
+          first = false;
+          onFirst?.();
+        }
+        notifyChange();
+      },
+      warn
+    );
+  }
+
+  getMeta(stampKey).then((since) => {
+    if (stopped) return;
+    if (since === null) {
+      const apply = (snap, pending, first) => (first ? replaceLocal(snap, pending) : applyChanges(snap, pending));
+      unsubs = [
+        listen(ref, apply, () => {
+          onReady?.();
+          onSynced?.();
+        }),
+      ];
+      return;
+    }
+    stamp = since;
+    onReady?.();
+    const from = Timestamp.fromMillis(Math.max(0, since - SYNC_MARGIN));
+    unsubs = [
+      listen(query(ref, where("syncedAt", ">=", from)), applyChanges, onSynced),
+      listen(query(deletionsCol(), where("col", "==", col), where("syncedAt", ">=", from)), applyTombstones),
+    ];
+  }, warn);
+
+  return () => {
+    stopped = true;
+    unsubs.forEach((u) => u());
+  };
+}
+
+function mirrorSettings() {
+  return onSnapshot(
+    metaDoc(),
+    async (snap) => {
+      if (snap.metadata.fromCache) return;
+      if (!snap.exists()) {
+        await setLocationNodes(DEFAULT_LOCATION_NODES);
+        return;
+      }
+      if ((await pendingKeys()).has(`${STORES.meta}/settings`)) return;
+      await setMeta("settings", snap.data());
+      notifyChange();
+    },
+    (e) => console.warn("Aggiornamenti live non disponibili (impostazioni):", e)
+  );
+}
+
+// Starts background sync: live listeners on the library collections, outbox
+// replay on reconnect and periodically while changes are pending.
+export function startSync() {
+  const unsubs = [
+    mirrorCollection(STORES.books, booksCol(), {
+      onReady: () => {
+        booksReplicaCurrent = true;
+      },
+      onSynced: () => runBookMigrations().catch((e) => console.warn("Migrazione non riuscita:", e)),
+    }),
+    mirrorCollection(STORES.loans, loansCol()),
+    mirrorSettings(),
+  ];
+  async function flush() {
+    try {
+      emitSync({ pending: await outboxCount(), conflicts: await countConflicts() });
+      if (await flushOutbox()) notifyChange();
+    } catch (e) {
+      console.warn("Sync non riuscita, riprovo più tardi:", e);
+    }
+  }
+  const goOnline = () => {
+    emitSync({ online: true });
+    flush();
+  };
+  const goOffline = () => emitSync({ online: false });
+  window.addEventListener("online", goOnline);
+  window.addEventListener("offline", goOffline);
+  const timer = setInterval(() => {
+    if (syncState.pending && navigator.onLine) flush();
+  }, 30000);
+  flush();
+  return () => {
+    unsubs.forEach((u) => u());
+    window.removeEventListener("online", goOnline);
+    window.removeEventListener("offline", goOffline);
+    clearInterval(timer);
+  };
+}
+
+// The location tree; settings written before it existed only have room names (`locations`).
+function readLocationNodes(settings) {
+  if (Array.isArray(settings?.locationNodes)) return settings.locationNodes;
+  const locs = Array.isArray(settings?.locations) ? settings.locations : [];
+  return locs.length ? treeFromFlat(locs, []).nodes : settings ? treeFromFlat(["salone"], []).nodes : DEFAULT_LOCATION_NODES;
+}
+
+// Calls cb({ revision, loans, locationNodes, locations, conflicts, settings }) now and after
+// every local or remote change; `locations` are the readable paths of every node, in tree order.
+// Books are not included: `revision` changes with them, and the views read what they show
+// (pageBooks, listBooks, getBook) instead of the whole library on every change.
+let revision = 0;
+
+export function subscribeLibrary(cb) {
+  let active = true;
+  async function emit() {
+    const at = ++revision;
+    const [loans, conflicts, settings] = await Promise.all([listLoans(), listConflicts(), getMeta("settings")]);
+    const locationNodes = readLocationNodes(settings);
+    if (active) {
+      cb({ revision: at, loans, locationNodes, locations: locationLabels(locationNodes), conflicts, settings: settings || {} });
+    }
+  }
+  changeListeners.add(emit);
+  emit();
+  return () => {
+    active = false;
+    changeListeners.delete(emit);
+  };
+}
+
+// --- Books ---
+
+// Books matching the location/archive filters (see pageBooks), ordered by author then title.
+// A filter reads only the books in its index, not the whole store.
+export async function listBooks(filters = {}) {
+  const books = await filteredBooks(filters);
   books.sort(
     (a, b) =>
       (a.authorLast || "").localeCompare(b.authorLast || "", "it") ||
@@ -25,61 +464,575 @@ export async function listBooks() {
   return books;
 }
 
-export async function upsertBook(book) {
-  const ref = doc(db, "libraries", LIBRARY_ID, "books", book.id);
-  await setDoc(ref, book, { merge: true });
+function filteredBooks({ locationId, archive } = {}) {
+  if (locationId) {
+    const filter = (b) => !archive || b.archive === archive;
+    return localScan(STORES.books, "by_location", { range: IDBKeyRange.only(locationId), filter });
+  }
+  if (archive) return localScan(STORES.books, "by_archive", { range: IDBKeyRange.only(archive) });
+  return localList(STORES.books);
+}
+
+export function getBook(id) {
+  return localGet(STORES.books, id);
+}
+
+export function booksWithIsbn(isbn) {
+  return isbn ? localScan(STORES.books, "by_isbn", { range: IDBKeyRange.only(isbn) }) : Promise.resolve([]);
+}
+
+// The archive names in use, from the index keys.
+export async function listArchives() {
+  const names = new Set((await localKeys(STORES.books, "by_archive")).map((a) => String(a).trim()).filter(Boolean));
+  return Array.from(names).sort((a, b) => a.localeCompare(b, "it"));
+}
+
+// `base` is the stored version the edit started from (null for new books): if the
+// book was saved elsewhere in the meantime, the edit becomes a conflict instead of
+// overwriting it. `files` ([{ path, blob }]) are new cover photos referenced by the
+// book; they are uploaded to Storage before the document is written. `release` lists
+// photos the edit stops using: they are deleted only once it is written without a
+// conflict, since keeping the other version may still need them.
+export async function upsertBook(input, { base = null, files = [], release = [] } = {}) {
+  const book = withSortKey(withAuthorFields(withLocation(input, await getLocationNodes())));
+  for (const f of files) {
+    await localPut(STORES.files, f);
+    await enqueue({ kind: "set", col: STORES.files, id: f.path });
+  }
+  await localPut(STORES.books, book);
+  await enqueue({ kind: "set", col: STORES.books, id: book.id, data: book, base, ...(release.length ? { release } : null) });
 }
 
 export async function deleteBook(id) {
-  const ref = doc(db, "libraries", LIBRARY_ID, "books", id);
-  await deleteDoc(ref);
+  await localDelete(STORES.books, id);
+  await enqueue({ kind: "delete", col: STORES.books, id });
 }
 
-export async function getLocations() {
-  const ref = metaDoc();
-  const snap = await getDoc(ref);
-  if (!snap.exists()) {
-    const defaults = ["salone", "camera matrimoniale", "camera Niki", "camera Francesco", "camera Cecilia", "studio"];
-    await setDoc(ref, { locations: defaults }, { merge: true });
-    return defaults;
+// --- Paged book lists ---
+// The library list loads one page at a time, ordered by author then title, with the
+// location/archive filter done by the query instead of on the whole catalogue.
+// Until the replica has its first full download (a new device) pages come straight from
+// Firestore; afterwards, and offline, the replica answers the same query from its index.
+// Books not migrated yet have no `sortKey` and would be missing from the Firestore query,
+// so until the library records that migration the replica answers even while it downloads.
+// Books with queued local writes always show as they are here.
+
+export const BOOK_PAGE_SIZE = 60;
+
+let booksReplicaCurrent = false;
+
+// Stored on every book for the Firestore ordering (composite indexes in firestore.indexes.json).
+function bookSortKey(book) {
+  return authorSortKey(book);
+}
+
+function withSortKey(book) {
+  return { ...book, sortKey: bookSortKey(book) };
+}
+
+// Refreshes the path copies from the tree; a node that no longer exists leaves the book as it is.
+function withLocation(book, nodes) {
+  return book.locationId && pathTo(nodes, book.locationId).length ? placeBook(book, nodes, book.locationId) : book;
+}
+
+// `locationId` matches the node and everything below it.
+function matchesFilters(book, { locationId, archive }) {
+  return (!locationId || (book.locationPath || []).includes(locationId)) && (!archive || book.archive === archive);
+}
+
+function compareCursor(a, b) {
+  return a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0;
+}
+
+function bookCursor(book) {
+  return [book.sortKey ?? bookSortKey(book), book.id];
+}
+
+function filterClauses(filters) {
+  const clauses = [];
+  if (filters.locationId) clauses.push(where("locationPath", "array-contains", filters.locationId));
+  if (filters.archive) clauses.push(where("archive", "==", filters.archive));
+  return clauses;
+}
+
+async function remoteBooksPage(filters, after, size) {
+  const clauses = filterClauses(filters);
+  clauses.push(orderBy("sortKey"), orderBy(documentId()));
+  if (after) clauses.push(startAfter(...after));
+  clauses.push(limit(size));
+  const snap = await getDocs(query(booksCol(), ...clauses));
+  return snap.docs.map(fromRemote);
+}
+
+// Walks the replica's [sortKey, id] index from the cursor, so a page reads about a page of
+// books (more with a filter that skips many), never the whole store.
+function localBooksPage(filters, after, size) {
+  return localScan(STORES.books, "by_sortKey", {
+    range: after ? IDBKeyRange.lowerBound(after, true) : null,
+    filter: (b) => matchesFilters(b, filters),
+    limit: size,
+  });
+}
+
+// Returns { books, next } where `next` is the cursor for the following page (null at the end).
+export async function pageBooks(filters = {}, { after = null, limit: size = BOOK_PAGE_SIZE } = {}) {
+  if (booksReplicaCurrent || !navigator.onLine || !(await booksMigrated())) {
+    const books = await localBooksPage(filters, after, size);
+    return { books, next: books.length === size ? bookCursor(books[books.length - 1]) : null };
   }
-  const data = snap.data();
-  const locs = Array.isArray(data.locations) ? data.locations : [];
-  return locs.length ? locs : ["salone"];
+  let remote;
+  try {
+    remote = await remoteBooksPage(filters, after, size);
+  } catch (e) {
+    console.warn("Pagina da Firestore non disponibile, uso la copia locale:", e);
+    booksReplicaCurrent = true;
+    return pageBooks(filters, { after, limit: size });
+  }
+  const next = remote.length === size ? bookCursor(remote[remote.length - 1]) : null;
+  // Overlay queued local writes: edited books as they are here, deleted ones gone,
+  // new ones not uploaded yet placed inside this page's range.
+  const pending = Array.from(await pendingKeys())
+    .filter((k) => k.startsWith(`${STORES.books}/`))
+    .map((k) => k.slice(STORES.books.length + 1));
+  const local = new Map();
+  for (const id of pending) local.set(id, await localGet(STORES.books, id));
+  const inRange = (b) => (!after || compareCursor(bookCursor(b), after) > 0) && (!next || compareCursor(bookCursor(b), next) <= 0);
+  const books = remote.filter((b) => !local.has(b.id));
+  for (const b of local.values()) if (b && matchesFilters(b, filters) && inRange(b)) books.push(b);
+  books.sort((a, b) => compareCursor(bookCursor(a), bookCursor(b)));
+  return { books, next };
+}
+
+// How many books match the filters, for the list header. From the replica's indexes once
+// it is current (both filters at once walk the place's books); from a server count before.
+export async function countBooks(filters = {}) {
+  const { locationId, archive } = filters;
+  if (!booksReplicaCurrent && navigator.onLine) {
+    try {
+      const snap = await getCountFromServer(query(booksCol(), ...filterClauses(filters)));
+      return snap.data().count;
+    } catch (e) {
+      console.warn("Conteggio da Firestore non disponibile, uso la copia locale:", e);
+    }
+  }
+  if (locationId && archive) return (await filteredBooks(filters)).length;
+  if (locationId) return localCount(STORES.books, "by_location", locationId);
+  if (archive) return localCount(STORES.books, "by_archive", archive);
+  return localCount(STORES.books);
+}
+
+// Storage paths of a book's personal cover photo.
+export function coverPaths(book) {
+  const c = book?.personalCover;
+  return c ? [c.full, c.thumb].filter(Boolean) : [];
+}
+
+// Deletes cover files from Storage unless some book still points at them
+// (e.g. a merged duplicate that took over the photo).
+export async function releaseCoverFiles(paths) {
+  if (!paths.length) return;
+  const used = new Set((await localList(STORES.books)).flatMap(coverPaths));
+  for (const path of paths) {
+    if (used.has(path)) continue;
+    await localDelete(STORES.files, path);
+    await enqueue({ kind: "delete", col: STORES.files, id: path });
+  }
+}
+
+// One-shot upgrades of stored books, run after the first download of a device until the
+// library's settings record them as done (`bookMigrations`). `run` returns the upgraded
+// book or null when there is nothing to do; it gets what the optional `prepare` step
+// returned. updatedAt is left alone so a real edit made elsewhere always wins over a migration.
+const BOOK_MIGRATIONS = [
+  {
+    id: "isbn13",
+    run(book) {
+      if (!book.isbn || book.isbnRaw !== undefined) return null;
+      return { ...book, isbn: toISBN13(book.isbn), isbnRaw: book.isbn };
+    },
+  },
+  {
+    id: "sortKey",
+    run(book) {
+      return book.sortKey === bookSortKey(book) ? null : book;
+    },
+  },
+  {
+    // Flat `location` + `archive` become room and bookcase nodes. Node ids come from the
+    // names, so devices migrating at the same time build the same tree.
+    id: "locationTree",
+    async prepare(books) {
+      const settings = await getMeta("settings");
+      const flat = treeFromFlat(settings?.locations || [], books);
+      let nodes = settings?.locationNodes;
+      if (!Array.isArray(nodes)) nodes = flat.nodes;
+      else for (const n of flat.nodes) if (!nodes.some((x) => x.id === n.id)) nodes = [...nodes, n];
+      if (nodes !== settings?.locationNodes) await setLocationNodes(nodes);
+      return { nodes, assign: flat.assign };
+    },
+    run(book, { nodes, assign }) {
+      if (book.locationId || !book.location) return null;
+      return placeBook(book, nodes, assign(book));
+    },
+  },
+  // No migration for `contributors`: books without the list are read through contributorsOf()
+  // and get it the next time they are written (also by the pass below, when it upgrades them).
+];
+
+// All pending migrations in one pass over the books, written as one bulk job (resumed
+// at the next start if interrupted). A book saved elsewhere meanwhile keeps that version.
+async function runBookMigrations() {
+  if (!navigator.onLine) return;
+  const job = await pendingBulkJob();
+  if (job && job.label !== "migrations") return;
+  if (job) await resumeBulkJob();
+  const settings = (await getMeta("settings")) || {};
+  const done = [...((await getMeta("bookMigrations")) || []), ...(settings.bookMigrations || [])];
+  const pending = BOOK_MIGRATIONS.filter((m) => !done.includes(m.id));
+  if (pending.length) {
+    const books = await localList(STORES.books);
+    const contexts = [];
+    for (const m of pending) contexts.push(m.prepare ? await m.prepare(books) : null);
+    const nodes = await getLocationNodes();
+    const ops = [];
+    for (const book of books) {
+      let upgraded = book;
+      let changed = false;
+      pending.forEach((m, i) => {
+        const next = m.run(upgraded, contexts[i]);
+        if (next) [upgraded, changed] = [next, true];
+      });
+      if (!changed) continue;
+      const data = withSortKey(withAuthorFields(withLocation(upgraded, nodes)));
+      ops.push({ kind: "set", col: STORES.books, id: book.id, data, base: book, upgrade: true });
+    }
+    if (ops.length) await runBulkJob("migrations", ops, []);
+  }
+  const ids = BOOK_MIGRATIONS.map((m) => m.id);
+  await setMeta("bookMigrations", ids);
+  if (ids.some((id) => !(settings.bookMigrations || []).includes(id))) await updateSettings({ bookMigrations: ids });
+}
+
+// Whether every book in Firestore has the fields the paged queries order and filter on.
+async function booksMigrated() {
+  const settings = await getMeta("settings");
+  return !!settings?.bookMigrations?.includes("sortKey");
+}
+
+// --- Edit conflicts ---
+
+async function countConflicts() {
+  return (await localList(STORES.conflicts)).length;
+}
+
+export async function listConflicts() {
+  const conflicts = await localList(STORES.conflicts);
+  return conflicts.sort((a, b) => a.detectedAt - b.detectedAt);
+}
+
+// Saves the merged book on top of the version that won the race; photos of the three
+// versions that the merge leaves out go once it is written.
+export async function resolveConflict(conflict, merged) {
+  await localDelete(STORES.conflicts, conflict.id);
+  emitSync({ conflicts: await countConflicts() });
+  const kept = coverPaths(merged);
+  const release = [conflict.mine, conflict.base, conflict.theirs].flatMap(coverPaths).filter((p) => !kept.includes(p));
+  await upsertBook({ ...merged, id: conflict.id, updatedAt: Date.now() }, { base: conflict.theirs, release });
+}
+
+// Keeps their version: a photo taken for the discarded edit is not needed any more.
+export async function discardConflict(conflict) {
+  await localDelete(STORES.conflicts, conflict.id);
+  emitSync({ conflicts: await countConflicts() });
+  await releaseCoverFiles(coverPaths(conflict.mine));
+  notifyChange();
+}
+
+// Loans: one document per lending, kept after the return as the book's history.
+export async function listLoans() {
+  const loans = await localList(STORES.loans);
+  loans.sort((a, b) => (b.lentAt || "").localeCompare(a.lentAt || "") || (b.createdAt || 0) - (a.createdAt || 0));
+  return loans;
+}
+
+export async function upsertLoan(loan) {
+  await localPut(STORES.loans, loan);
+  await enqueue({ kind: "set", col: STORES.loans, id: loan.id, data: loan });
 }
 
-export async function setLocations(locs) {
-  const ref = metaDoc();
-  await setDoc(ref, { locations: locs }, { merge: true });
+export async function deleteLoan(id) {
+  await localDelete(STORES.loans, id);
+  await enqueue({ kind: "delete", col: STORES.loans, id });
 }
 
+export async function lendBook({ bookId, borrower, lentAt, dueAt, notes = "" }) {
+  const now = Date.now();
+  const loan = {
+    id: makeId(),
+    bookId,
+    borrower,
+    lentAt,
+    dueAt: dueAt || "",
+    returnedAt: "",
+    notes,
+    createdAt: now,
+    updatedAt: now,
+  };
+  await upsertLoan(loan);
+  return loan;
+}
+
+export async function returnLoan(loan, returnedAt) {
+  const updated = { ...loan, returnedAt, updatedAt: Date.now() };
+  await upsertLoan(updated);
+  return updated;
+}
+
+// --- Settings ---
+
+export async function getLocationNodes() {
+  return readLocationNodes(await getMeta("settings"));
+}
+
+// Room names stay in `locations` for older versions of the app.
+function locationSettings(nodes) {
+  return { locationNodes: nodes, locations: childrenOf(nodes).map((n) => n.name) };
+}
+
+export async function setLocationNodes(nodes) {
+  await updateSettings(locationSettings(nodes));
+}
+
+// Writes the books a tree or archive edit touches, each checked against the version it was
+// computed from (`edits`: [{ book, base }]), together with the settings patch if any. Online
+// this is one bulk job (resumable from Backup if interrupted); offline, or while another job
+// waits to be resumed, they are queued as ordinary edits. Returns { changed, conflicts }.
+async function writeCascade(label, edits, nodes, settings = null) {
+  if (navigator.onLine && !(await pendingBulkJob())) {
+    const ops = edits.map(({ book, base }) => ({
+      kind: "set",
+      col: STORES.books,
+      id: book.id,
+      data: withSortKey(withAuthorFields(withLocation(book, nodes))),
+      base,
+    }));
+    if (settings) ops.unshift({ kind: "set", col: STORES.meta, id: "settings", data: settings });
+    const { conflicts } = await runBulkJob(label, ops, []);
+    return { changed: edits.length - conflicts, conflicts };
+  }
+  if (settings) await updateSettings(settings);
+  for (const { book, base } of edits) await upsertBook(book, { base });
+  return { changed: edits.length, conflicts: 0 };
+}
+
+// Saves an edited tree and updates the books it affects: `moves` maps removed node ids to
+// the node their books go to; books under renamed nodes get the new readable path.
+export async function saveLocationTree(nodes, moves = {}) {
+  const now = Date.now();
+  const edits = [];
+  for (const b of await listBooks()) {
+    const target = moves[b.locationId] || b.locationId;
+    if (!target || !pathTo(nodes, target).length) continue;
+    const placed = placeBook(b, nodes, target);
+    const same =
+      placed.locationId === b.locationId && placed.location === b.location && placed.locationPath.join("/") === (b.locationPath || []).join("/");
+    if (!same) edits.push({ book: { ...placed, updatedAt: now }, base: b });
+  }
+  return writeCascade("locations", edits, nodes, locationSettings(nodes));
+}
+
+// Renames an archive on every book that has it; renaming to another existing archive
+// merges the two, which is also how an archive is removed.
+export async function renameArchive(from, to) {
+  const now = Date.now();
+  const edits = (await listBooks())
+    .filter((b) => (b.archive || "").trim() === from)
+    .map((b) => ({ book: { ...b, archive: to.trim(), updatedAt: now }, base: b }));
+  return writeCascade("archive", edits, await getLocationNodes());
+}
+
+// Node for a typed path ("studio › libreria A"), created with its missing levels.
+export async function ensureLocation(names) {
+  const before = await getLocationNodes();
+  const { nodes, id } = ensurePath(before, names);
+  if (nodes.length !== before.length) await setLocationNodes(nodes);
+  return { nodes, id };
+}
+
+// Shallow-merges `patch` into the shared settings document (meta/settings).
+export async function updateSettings(patch) {
+  const op = { kind: "set", col: STORES.meta, id: "settings", data: patch };
+  await applyLocal(op);
+  await enqueue(op);
+}
+
+// --- Backup ---
+// Reading, validating and migrating older files lives in backup.js.
+
+export const BACKUP_VERSION = 5;
+
 export async function exportBackupJSON() {
   const books = await listBooks();
-  const locations = await getLocations();
-  return { version: 2, exportedAt: Date.now(), libraryId: LIBRARY_ID, locations, books };
+  const locationNodes = await getLocationNodes();
+  const loans = await listLoans();
+  return { app: "Biblioteca Scott", version: BACKUP_VERSION, exportedAt: Date.now(), libraryId: LIBRARY_ID, locationNodes, books, loans };
 }
 
-export async function importBackupJSON(payload, { mode = "merge" } = {}) {
-  const incoming = payload?.books || [];
-  const incomingLocs = payload?.locations || [];
+// --- Bulk writes (import, reset, location and archive edits) ---
+// Thousands of documents go to Firestore in chunks (one transaction each) instead of one
+// outbox entry each. The whole job is saved in the replica's meta store and its
+// progress after every committed chunk, so a closed tab or a cancel can resume
+// where it stopped; every op is a full set or a delete, so repeating a chunk is harmless.
+// Updates of existing books carry the `base` they were planned on, like upsertBook: they
+// are checked when their chunk is written (also when a job is resumed hours later), and a
+// book saved elsewhere in the meantime becomes a conflict.
+// Bulk jobs need a connection.
+
+const BATCH_MAX_WRITES = 400;
+const BATCH_MAX_BYTES = 8 * 1024 * 1024; // Firestore rejects batches over 10 MB
 
-  if (incomingLocs.length) await setLocations(incomingLocs);
+function opSize(op) {
+  return op.data ? JSON.stringify(op.data).length : 100;
+}
+
+// Documents an op writes: a delete also leaves its tombstone, a file goes to Storage.
+function opWrites(op) {
+  return op.col === STORES.files ? 0 : op.kind === "delete" ? 2 : 1;
+}
 
-  if (mode === "replace") {
-    const existing = await listBooks();
-    for (const b of existing) await deleteBook(b.id);
+// Next slice of ops that fits in one batch (at least one op).
+function nextChunk(ops, from) {
+  let bytes = 0;
+  let writes = 0;
+  let end = from;
+  while (end < ops.length) {
+    bytes += opSize(ops[end]);
+    writes += opWrites(ops[end]);
+    if ((bytes > BATCH_MAX_BYTES || writes > BATCH_MAX_WRITES) && end > from) break;
+    end++;
   }
+  return ops.slice(from, end);
+}
 
-  for (const b of incoming) {
-    if (!b.id) continue;
-    await upsertBook(b);
+// Writes one chunk; ops with a `base` that is no longer the stored version are parked
+// as conflicts instead. Returns the ops that were written.
+async function commitChunk(chunk) {
+  for (const op of chunk) {
+    if (op.col !== STORES.files) continue;
+    const pending = await localGet(STORES.files, op.id);
+    if (pending) await uploadFile(op.id, pending.blob);
+  }
+  const versioned = chunk.filter((op) => op.base);
+  const stale = await runTransaction(db, async (tx) => {
+    const snaps = await Promise.all(versioned.map((op) => tx.get(remoteRef(op.col, op.id))));
+    const found = new Map(); // op -> their version (null when deleted)
+    versioned.forEach((op, i) => {
+      const theirs = snaps[i].exists() ? fromRemote(snaps[i]) : null;
+      // Already written when the chunk is repeated: the stored version is this one.
+      if (theirs?.updatedAt !== op.base.updatedAt && theirs?.updatedAt !== op.data.updatedAt) found.set(op, theirs);
+    });
+    for (const op of chunk) {
+      if (op.col === STORES.files || found.has(op)) continue;
+      const ref = remoteRef(op.col, op.id);
+      if (op.col === STORES.meta) tx.set(ref, op.data, { merge: true });
+      else if (op.kind === "set") tx.set(ref, stamped(op.data));
+      else tx.delete(ref).set(tombstoneRef(op.col, op.id), tombstone(op.col, op.id));
+    }
+    return found;
+  });
+  for (const op of chunk) {
+    if (op.col === STORES.files) await localDelete(STORES.files, op.id);
+    else if (stale.has(op) && op.upgrade) await keepTheirs(op, stale.get(op));
+    else if (stale.has(op)) await parkConflict(op, stale.get(op));
+    else await applyLocal(op);
   }
+  return chunk.filter((op) => !stale.has(op));
+}
+
+// Job: { id, label, ops: [{ kind, col, id, data?, base?, release?, upgrade? }], done, conflicts,
+// release: [storage paths] }. An op's own `release` joins the job's once it is written;
+// a stale `upgrade` (a migration) is dropped instead of becoming a conflict.
+export function pendingBulkJob() {
+  return getMeta("bulkJob");
 }
 
-export async function clearAllData() {
-  const existing = await listBooks();
-  for (const b of existing) await deleteBook(b.id);
-  await setLocations(["salone", "camera matrimoniale", "camera Niki", "camera Francesco", "camera Cecilia", "studio"]);
+// Drops an interrupted job; photos it had not uploaded yet are removed from the replica.
+export async function discardBulkJob() {
+  const job = await pendingBulkJob();
+  for (const op of job ? job.ops.slice(job.done) : []) {
+    if (op.col === STORES.files) await localDelete(STORES.files, op.id);
+  }
+  await setMeta("bulkJob", null);
+}
+
+// Runs the saved job from where it stopped. Returns { done, total, cancelled, conflicts }
+// (conflicts: updates not written because the book had changed since they were planned).
+export async function resumeBulkJob({ onProgress, signal } = {}) {
+  const job = await pendingBulkJob();
+  if (!job) return { done: 0, total: 0, cancelled: false, conflicts: 0 };
+  if (!navigator.onLine) throw new Error("Serve una connessione: riprova quando sei online.");
+  const total = job.ops.length;
+  onProgress?.(job.done, total);
+  while (job.done < total) {
+    if (signal?.aborted) return { done: job.done, total, cancelled: true, conflicts: job.conflicts || 0 };
+    const chunk = nextChunk(job.ops, job.done);
+    const written = await commitChunk(chunk);
+    job.done += chunk.length;
+    job.conflicts = (job.conflicts || 0) + chunk.length - written.length;
+    job.release = [...(job.release || []), ...written.flatMap((op) => op.release || [])];
+    await setMeta("bulkJob", job);
+    notifyChange();
+    onProgress?.(job.done, total);
+  }
+  await setMeta("bulkJob", null);
+  await releaseCoverFiles(job.release || []);
+  return { done: total, total, cancelled: false, conflicts: job.conflicts || 0 };
+}
+
+async function runBulkJob(label, ops, release, options) {
+  if (await pendingBulkJob()) throw new Error("C'è un'operazione interrotta: riprendila o annullala prima.");
+  await setMeta("bulkJob", { id: makeId(), label, ops, done: 0, release, startedAt: Date.now() });
+  return resumeBulkJob(options);
+}
+
+// Writes an import decided in the preview (see planBackupImport in backup.js):
+// books as { book, base? } (base = the local version an update was compared with, checked
+// again when it is written),
+// ids to delete, loans, the new location tree and cover files per book id.
+export async function applyImport(
+  { books = [], deleteBookIds = [], loans = [], deleteLoanIds = [], locationNodes = null, files = new Map() },
+  options
+) {
+  const ops = [];
+  const release = [];
+  if (locationNodes) ops.push({ kind: "set", col: STORES.meta, id: "settings", data: locationSettings(locationNodes) });
+  const nodes = locationNodes || (await getLocationNodes());
+  for (const id of deleteBookIds) {
+    release.push(...coverPaths(await localGet(STORES.books, id)));
+    ops.push({ kind: "delete", col: STORES.books, id });
+  }
+  for (const id of deleteLoanIds) ops.push({ kind: "delete", col: STORES.loans, id });
+  for (const { book, base = null } of books) {
+    for (const f of files.get(book.id) || []) {
+      await localPut(STORES.files, f);
+      ops.push({ kind: "set", col: STORES.files, id: f.path });
+    }
+    const data = withSortKey(withAuthorFields(withLocation(book, nodes)));
+    ops.push({ kind: "set", col: STORES.books, id: book.id, data, ...(base ? { base, release: coverPaths(base) } : null) });
+  }
+  for (const l of loans) ops.push({ kind: "set", col: STORES.loans, id: l.id, data: l });
+  return runBulkJob("import", ops, release, options);
+}
+
+export async function clearAllData(options) {
+  const books = await listBooks();
+  const loans = await listLoans();
+  const ops = [
+    ...books.map((b) => ({ kind: "delete", col: STORES.books, id: b.id })),
+    ...loans.map((l) => ({ kind: "delete", col: STORES.loans, id: l.id })),
+    { kind: "set", col: STORES.meta, id: "settings", data: locationSettings(DEFAULT_LOCATION_NODES) },
+  ];
+  return runBulkJob("reset", ops, books.flatMap(coverPaths), options);
 }
 
 export async function blobToObjectURL(valueOrNull) {
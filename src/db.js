@@ -1,6 +1,7 @@
 // Simple IndexedDB wrapper for Biblioteca Scott (V1 local)
 // Stores books (with optional cover image as Blob) and locations.
 // Includes JSON backup export/import (with cover images encoded as data URLs).
+// The generic helpers (openDatabase, txDone, reqDone) are shared with the Firestore replica in local.js.
 
 const DB_NAME = "biblioteca-scott-db";
 const DB_VERSION = 1;
@@ -10,35 +11,42 @@ const STORES = {
   meta: "meta",
 };
 
-function openDB() {
+export function openDatabase(name, version, onUpgrade) {
   return new Promise((resolve, reject) => {
-    const req = indexedDB.open(DB_NAME, DB_VERSION);
-
-    req.onupgradeneeded = () => {
-      const db = req.result;
-
-      // Books store
-      if (!db.objectStoreNames.contains(STORES.books)) {
-        const store = db.createObjectStore(STORES.books, { keyPath: "id" });
-        store.createIndex("by_authorLast", "authorLast", { unique: false });
-        store.createIndex("by_title", "title", { unique: false });
-        store.createIndex("by_location", "location", { unique: false });
-        store.createIndex("by_archive", "archive", { unique: false });
-        store.createIndex("by_createdAt", "createdAt", { unique: false });
-      }
-
-      // Meta store for locations list etc.
-      if (!db.objectStoreNames.contains(STORES.meta)) {
-        db.createObjectStore(STORES.meta, { keyPath: "key" });
-      }
-    };
+    const req = indexedDB.open(name, version);
+    req.onupgradeneeded = (e) => onUpgrade(req.result, e.oldVersion, req.transaction);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
 
+export function reqDone(req) {
+  return new Promise((resolve, reject) => {
     req.onsuccess = () => resolve(req.result);
     req.onerror = () => reject(req.error);
   });
 }
 
-function txDone(tx) {
+function openDB() {
+  return openDatabase(DB_NAME, DB_VERSION, (db) => {
+    // Books store
+    if (!db.objectStoreNames.contains(STORES.books)) {
+      const store = db.createObjectStore(STORES.books, { keyPath: "id" });
+      store.createIndex("by_authorLast", "authorLast", { unique: false });
+      store.createIndex("by_title", "title", { unique: false });
+      store.createIndex("by_location", "location", { unique: false });
+      store.createIndex("by_archive", "archive", { unique: false });
+      store.createIndex("by_createdAt", "createdAt", { unique: false });
+    }
+
+    // Meta store for locations list etc.
+    if (!db.objectStoreNames.contains(STORES.meta)) {
+      db.createObjectStore(STORES.meta, { keyPath: "key" });
+    }
+  });
+}
+
+export function txDone(tx) {
   return new Promise((resolve, reject) => {
     tx.oncomplete = () => resolve();
     tx.onerror = () => reject(tx.error);
@@ -0,0 +1,159 @@
+// Duplicate detection: same canonical ISBN, or author + title that match after
+// folding accents/punctuation and allowing small differences.
+
+import { bigramSimilarity, bigrams, foldText, similarity, titleKey } from "./text.js";
+
+function authorKey(book) {
+  return foldText(book.authorLast);
+}
+
+const TITLE_MIN = 0.85;
+const AUTHOR_MIN = 0.8;
+
+// Folded title and author of a book with their bigrams, the only parts the fuzzy match looks at.
+function matchKeys(book) {
+  const title = titleKey(book.title);
+  const author = authorKey(book);
+  return { title, author, titleGrams: bigrams(title), authorGrams: bigrams(author) };
+}
+
+// similarity() of two folded strings whose bigrams are already known.
+function knownSimilarity(a, b, gramsA, gramsB) {
+  if (a === b) return 1;
+  return a.length < 2 || b.length < 2 ? 0 : bigramSimilarity(gramsA, gramsB);
+}
+
+// fuzzyScore() on two matchKeys().
+function keyScore(a, b) {
+  if (!a.title || !b.title) return 0;
+  const t = knownSimilarity(a.title, b.title, a.titleGrams, b.titleGrams);
+  if (t < TITLE_MIN || !a.author || !b.author) return 0;
+  const au = knownSimilarity(a.author, b.author, a.authorGrams, b.authorGrams);
+  return au < AUTHOR_MIN ? 0 : (t + au) / 2;
+}
+
+function fuzzyScore(a, b) {
+  const ta = titleKey(a.title);
+  const tb = titleKey(b.title);
+  if (!ta || !tb) return 0;
+  const t = similarity(ta, tb);
+  if (t < TITLE_MIN) return 0;
+  const aa = authorKey(a);
+  const ab = authorKey(b);
+  // Without an author on both sides the title alone is not enough.
+  if (!aa || !ab) return 0;
+  const au = similarity(aa, ab);
+  return au < AUTHOR_MIN ? 0 : (t + au) / 2;
+}
+
+// Why `b` looks like a duplicate of `a`: "isbn", "fuzzy" or null.
+export function duplicateReason(a, b) {
+  if (a.id && a.id === b.id) return null;
+  if (a.isbn && a.isbn === b.isbn) return "isbn";
+  return fuzzyScore(a, b) ? "fuzzy" : null;
+}
+
+// Existing books that look like `candidate`, ISBN matches first.
+export function findDuplicates(candidate, books) {
+  const out = [];
+  for (const b of books) {
+    const reason = duplicateReason(candidate, b);
+    if (reason) out.push({ book: b, reason, score: reason === "isbn" ? 2 : fuzzyScore(candidate, b) });
+  }
+  return out.sort((x, y) => y.score - x.score);
+}
+
+// findDuplicates for many candidates against the same books (an import): the library is
+// indexed once by ISBN and by the first letters of the author, with the folded keys
+// computed up front, so each candidate is compared only with its bucket. Like
+// groupDuplicates, it misses fuzzy matches whose authors differ in those letters.
+export function duplicateFinder(books) {
+  const byIsbn = new Map();
+  const byAuthor = new Map();
+  const add = (map, key, entry) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(entry);
+  };
+  for (const book of books) {
+    const entry = { book, keys: matchKeys(book) };
+    if (book.isbn) add(byIsbn, book.isbn, entry);
+    if (entry.keys.author) add(byAuthor, entry.keys.author.slice(0, 3), entry);
+  }
+  return (candidate) => {
+    const keys = matchKeys(candidate);
+    const found = new Map();
+    for (const { book } of (candidate.isbn && byIsbn.get(candidate.isbn)) || []) {
+      if (!candidate.id || candidate.id !== book.id) found.set(book.id, { book, reason: "isbn", score: 2 });
+    }
+    for (const { book, keys: other } of (keys.author && byAuthor.get(keys.author.slice(0, 3))) || []) {
+      if (found.has(book.id) || (candidate.id && candidate.id === book.id)) continue;
+      const score = keyScore(keys, other);
+      if (score) found.set(book.id, { book, reason: "fuzzy", score });
+    }
+    return Array.from(found.values()).sort((x, y) => y.score - x.score);
+  };
+}
+
+export function pairKey(a, b) {
+  return [a, b].sort().join("|");
+}
+
+// Groups of two or more books that look like the same edition. Candidates are
+// only compared within the same ISBN or the same first letters of the author,
+// which keeps this usable on a few thousand books. `dismissed` holds pairKey()s
+// the user marked as "not duplicates".
+export function groupDuplicates(books, dismissed = []) {
+  const skip = new Set(dismissed);
+  const parent = new Map(books.map((b) => [b.id, b.id]));
+  const find = (id) => {
+    while (parent.get(id) !== id) id = parent.get(id);
+    return id;
+  };
+  const union = (a, b) => parent.set(find(a), find(b));
+
+  const buckets = new Map();
+  const add = (key, b) => {
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(b);
+  };
+  for (const b of books) {
+    if (b.isbn) add(`isbn:${b.isbn}`, b);
+    const ak = authorKey(b);
+    if (ak) add(`author:${ak.slice(0, 3)}`, b);
+  }
+
+  for (const list of buckets.values()) {
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length; j++) {
+        const a = list[i];
+        const b = list[j];
+        if (skip.has(pairKey(a.id, b.id))) continue;
+        if (duplicateReason(a, b)) union(a.id, b.id);
+      }
+    }
+  }
+
+  const groups = new Map();
+  for (const b of books) {
+    const root = find(b.id);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(b);
+  }
+  return Array.from(groups.values())
+    .filter((g) => g.length > 1)
+    .map((g) => g.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0)));
+}
+
+// Notes of all copies, each kept once, in order.
+export function combineNotes(books) {
+  const seen = new Set();
+  const parts = [];
+  for (const b of books) {
+    const n = (b.notes || "").trim();
+    if (n && !seen.has(n)) {
+      seen.add(n);
+      parts.push(n);
+    }
+  }
+  return parts.join("\n\n");
+}
@@ -0,0 +1,152 @@
+// Edition details of a book: publisher, date, language, pages, edition statement, binding
+// and series. They are stored flat on the book; `pages` is a number (or null), `language`
+// a two-letter code when known ("it"), `format` a key of FORMATS, the rest free text.
+
+import { foldText } from "./text.js";
+
+export const EDITION_FIELDS = ["publisher", "publishedDate", "language", "pages", "edition", "format", "series", "seriesNumber"];
+
+export const FORMATS = {
+  hardcover: "Rilegato",
+  paperback: "Brossura",
+  pocket: "Tascabile",
+  ebook: "E-book",
+  audiobook: "Audiolibro",
+  other: "Altro",
+};
+
+// English words in the bindings of other catalogues ("Mass Market Paperback", "Kindle Edition").
+const FORMAT_WORDS = {
+  hardcover: "hardcover hardback",
+  paperback: "paperback softcover",
+  pocket: "pocket",
+  ebook: "kindle ebook",
+  audiobook: "audio audiobook",
+};
+
+export const LANGUAGES = {
+  it: "Italiano",
+  en: "Inglese",
+  fr: "Francese",
+  de: "Tedesco",
+  es: "Spagnolo",
+  pt: "Portoghese",
+  nl: "Olandese",
+  la: "Latino",
+  el: "Greco",
+  ru: "Russo",
+  ar: "Arabo",
+  zh: "Cinese",
+  ja: "Giapponese",
+};
+
+// Three-letter codes (MARC, Open Library) and English names, per language.
+const LANGUAGE_ALIASES = {
+  it: "ita italian",
+  en: "eng english",
+  fr: "fre fra french",
+  de: "ger deu german",
+  es: "spa spanish",
+  pt: "por portuguese",
+  nl: "dut nld dutch",
+  la: "lat latin",
+  el: "gre ell grc greek",
+  ru: "rus russian",
+  ar: "ara arabic",
+  zh: "chi zho chinese",
+  ja: "jpn japanese",
+};
+
+function norm(s) {
+  return (s || "").toString().trim();
+}
+
+// "ita", "Italian", "italiano" -> "it"; unknown languages are kept as written.
+export function languageCode(s) {
+  const key = foldText(s);
+  if (!key) return "";
+  if (LANGUAGES[key]) return key;
+  const known = Object.keys(LANGUAGES).find(
+    (code) => foldText(LANGUAGES[code]) === key || LANGUAGE_ALIASES[code].split(" ").includes(key)
+  );
+  return known || norm(s);
+}
+
+// A key of FORMATS from a key, an Italian label or another catalogue's binding ("" when unknown).
+export function formatKey(s) {
+  const key = foldText(s).replace(/e book/g, "ebook");
+  if (!key) return "";
+  if (FORMATS[key]) return key;
+  const words = key.split(" ");
+  return (
+    Object.keys(FORMATS).find((id) => foldText(FORMATS[id]).replace(/e book/g, "ebook") === key) ||
+    Object.keys(FORMAT_WORDS).find((id) => FORMAT_WORDS[id].split(" ").some((w) => words.includes(w))) ||
+    ""
+  );
+}
+
+export function languageLabel(code) {
+  return LANGUAGES[code] || code || "";
+}
+
+export function pageCount(v) {
+  const n = Number((String(v ?? "").match(/\d+/) || [])[0]);
+  return n > 0 ? n : null;
+}
+
+// The edition fields of a form, provider result or imported record, cleaned for storing.
+export function editionFields(src) {
+  return {
+    publisher: norm(src?.publisher),
+    publishedDate: norm(src?.publishedDate),
+    language: languageCode(src?.language),
+    pages: pageCount(src?.pages),
+    edition: norm(src?.edition),
+    format: formatKey(src?.format),
+    series: norm(src?.series),
+    seriesNumber: norm(src?.seriesNumber),
+  };
+}
+
+export function pubYear(b) {
+  return Number(((b?.publishedDate || "").match(/\d{4}/) || [])[0]) || null;
+}
+
+// "Oscar classici 12"
+export function seriesLabel(b) {
+  return [norm(b?.series), b?.series ? norm(b.seriesNumber) : ""].filter(Boolean).join(" ");
+}
+
+// "Mondadori, 2016" for lists.
+export function imprint(b) {
+  return [norm(b?.publisher), pubYear(b)].filter(Boolean).join(", ");
+}
+
+// A field as shown to people ("" when empty); `seriesNumber` is shown with `series`.
+export function editionValue(b, k) {
+  if (k === "language") return languageLabel(b?.language);
+  if (k === "format") return FORMATS[b?.format] || "";
+  if (k === "pages") return b?.pages ? `${b.pages}` : "";
+  if (k === "series") return seriesLabel(b);
+  if (k === "seriesNumber") return "";
+  return norm(b?.[k]);
+}
+
+// Library filter on edition fields: { publisher, language, format, series, yearFrom, yearTo },
+// empty values match everything. Books without a year never match a year range.
+export const NO_EDITION_FILTER = { publisher: "", language: "", format: "", series: "", yearFrom: "", yearTo: "" };
+
+export function hasEditionFilter(f) {
+  return Object.values(f || {}).some((v) => norm(v));
+}
+
+export function matchesEdition(b, f) {
+  for (const k of ["publisher", "language", "format", "series"]) {
+    if (norm(f?.[k]) && norm(b[k]) !== norm(f[k])) return false;
+  }
+  const from = Number(f?.yearFrom) || null;
+  const to = Number(f?.yearTo) || null;
+  if (!from && !to) return true;
+  const y = pubYear(b);
+  return !!y && (!from || y >= from) && (!to || y <= to);
+}
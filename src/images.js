@@ -0,0 +1,28 @@
+// Image helpers for covers: downscaling on a canvas and data URL conversion.
+
+export function blobToDataURL(blob){
+  return new Promise(resolve=>{
+    const r = new FileReader();
+    r.onload = ()=>resolve(String(r.result||""));
+    r.readAsDataURL(blob);
+  });
+}
+
+export async function downscaleImage(fileOrBlob, maxSide=900, quality=0.78){
+  const blob = fileOrBlob instanceof Blob ? fileOrBlob : new Blob([fileOrBlob]);
+  const img = document.createElement("img");
+  const url = URL.createObjectURL(blob);
+  img.src = url;
+  await new Promise((res, rej)=>{ img.onload=res; img.onerror=rej; });
+  const w = img.naturalWidth || img.width;
+  const h = img.naturalHeight || img.height;
+  const scale = Math.min(1, maxSide / Math.max(w,h));
+  const nw = Math.round(w*scale);
+  const nh = Math.round(h*scale);
+  const canvas = document.createElement("canvas");
+  canvas.width = nw; canvas.height = nh;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(img,0,0,nw,nh);
+  URL.revokeObjectURL(url);
+  return await new Promise(resolve=>canvas.toBlob(b=>resolve(b),"image/jpeg",quality));
+}
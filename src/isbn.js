@@ -0,0 +1,198 @@
+// ISBN helpers: cleaning, checksum validation, ISBN-10 <-> ISBN-13 conversion
+// and hyphenation by registration group / publisher ranges.
+// Books store the canonical ISBN-13 in `isbn` and what was typed/scanned in `isbnRaw`.
+
+export function cleanISBN(raw) {
+  return (raw || "").toString().replace(/[^0-9Xx]/g, "").toUpperCase();
+}
+
+export function isValidISBN10(s) {
+  if (!/^\d{9}[\dX]$/.test(s)) return false;
+  let sum = 0;
+  for (let i = 0; i < 10; i++) sum += (s[i] === "X" ? 10 : Number(s[i])) * (10 - i);
+  return sum % 11 === 0;
+}
+
+function isValidEAN13(s) {
+  if (!/^\d{13}$/.test(s)) return false;
+  let sum = 0;
+  for (let i = 0; i < 13; i++) sum += Number(s[i]) * (i % 2 ? 3 : 1);
+  return sum % 10 === 0;
+}
+
+// Only Bookland EANs (978/979) are ISBNs; other EAN-13 codes are products, not books.
+export function isValidISBN13(s) {
+  return /^97[89]/.test(s) && isValidEAN13(s);
+}
+
+export function isValidISBN(raw) {
+  const s = cleanISBN(raw);
+  return s.length === 10 ? isValidISBN10(s) : isValidISBN13(s);
+}
+
+function check13(first12) {
+  let sum = 0;
+  for (let i = 0; i < 12; i++) sum += Number(first12[i]) * (i % 2 ? 3 : 1);
+  return String((10 - (sum % 10)) % 10);
+}
+
+function check10(first9) {
+  let sum = 0;
+  for (let i = 0; i < 9; i++) sum += Number(first9[i]) * (10 - i);
+  const c = (11 - (sum % 11)) % 11;
+  return c === 10 ? "X" : String(c);
+}
+
+export function isbn10To13(raw) {
+  const s = cleanISBN(raw);
+  if (!isValidISBN10(s)) return "";
+  const first12 = "978" + s.slice(0, 9);
+  return first12 + check13(first12);
+}
+
+// 979 ISBNs have no ISBN-10 form.
+export function isbn13To10(raw) {
+  const s = cleanISBN(raw);
+  if (!isValidISBN13(s) || !s.startsWith("978")) return "";
+  const first9 = s.slice(3, 12);
+  return first9 + check10(first9);
+}
+
+// Canonical form stored on books: ISBN-13, or "" when the input is not a valid ISBN.
+export function toISBN13(raw) {
+  const s = cleanISBN(raw);
+  if (s.length === 10) return isbn10To13(s);
+  return isValidISBN13(s) ? s : "";
+}
+
+// Explains why a code is not a usable ISBN ("" when it is valid or empty).
+export function isbnProblem(raw) {
+  const s = cleanISBN(raw);
+  if (!s) return "";
+  if (s.length !== 10 && s.length !== 13) return `Un ISBN ha 10 o 13 cifre (qui ${s.length}).`;
+  if (s.length === 13 && !/^97[89]/.test(s)) {
+    return isValidEAN13(s) ? "Codice EAN di un prodotto, non di un libro (un ISBN inizia con 978 o 979)." : "Codice non valido.";
+  }
+  if (s.length === 13 && !isValidISBN13(s)) return "Cifra di controllo errata: controlla di aver digitato bene l'ISBN.";
+  if (s.length === 10 && !isValidISBN10(s)) return "Cifra di controllo errata: controlla di aver digitato bene l'ISBN.";
+  return "";
+}
+
+// Registration groups: [prefix, from, to, length], compared on the 7 digits after the prefix.
+const GROUPS = [
+  ["978", "0000000", "5999999", 1],
+  ["978", "6000000", "6499999", 3],
+  ["978", "6500000", "6599999", 2],
+  ["978", "7000000", "7999999", 1],
+  ["978", "8000000", "9499999", 2],
+  ["978", "9500000", "9899999", 3],
+  ["978", "9900000", "9989999", 4],
+  ["978", "9990000", "9999999", 5],
+  ["979", "1000000", "1299999", 2],
+  ["979", "8000000", "8999999", 1],
+];
+
+// Publisher (registrant) ranges for the groups we meet on our shelves, compared on
+// the 7 digits after the group. Groups or ranges not listed fall back to no hyphens.
+const PUBLISHERS = {
+  "978-0": [
+    ["0000000", "1999999", 2],
+    ["2000000", "6999999", 3],
+    ["7000000", "8499999", 4],
+    ["8500000", "8999999", 5],
+    ["9000000", "9499999", 6],
+    ["9500000", "9999999", 7],
+  ],
+  "978-1": [
+    ["0000000", "0999999", 2],
+    ["1000000", "3999999", 3],
+    ["4000000", "5499999", 4],
+    ["5500000", "8697999", 5],
+    ["8698000", "9989999", 6],
+    ["9990000", "9999999", 7],
+  ],
+  "978-2": [
+    ["0000000", "1999999", 2],
+    ["2000000", "3499999", 3],
+    ["3500000", "3999999", 5],
+    ["4000000", "6999999", 3],
+    ["7000000", "8399999", 4],
+    ["8400000", "8999999", 5],
+    ["9000000", "9499999", 6],
+    ["9500000", "9999999", 7],
+  ],
+  "978-3": [
+    ["0000000", "0299999", 2],
+    ["0300000", "0339999", 3],
+    ["0340000", "0369999", 4],
+    ["0370000", "0399999", 5],
+    ["0400000", "1999999", 2],
+    ["2000000", "6999999", 3],
+    ["7000000", "8499999", 4],
+    ["8500000", "8999999", 5],
+    ["9000000", "9499999", 6],
+    ["9500000", "9539999", 7],
+    ["9540000", "9699999", 5],
+    ["9700000", "9849999", 7],
+    ["9850000", "9999999", 5],
+  ],
+  "978-84": [
+    ["0000000", "1399999", 2],
+    ["1400000", "1499999", 3],
+    ["1500000", "1999999", 5],
+    ["2000000", "6999999", 3],
+    ["7000000", "8499999", 4],
+    ["8500000", "8999999", 5],
+    ["9000000", "9199999", 4],
+    ["9200000", "9239999", 6],
+    ["9240000", "9299999", 5],
+    ["9300000", "9499999", 6],
+    ["9500000", "9699999", 5],
+    ["9700000", "9999999", 4],
+  ],
+  "978-88": [
+    ["0000000", "1999999", 2],
+    ["2000000", "5999999", 3],
+    ["6000000", "8499999", 4],
+    ["8500000", "8999999", 5],
+    ["9000000", "9099999", 6],
+  ],
+  "979-10": [
+    ["0000000", "1999999", 2],
+    ["2000000", "6999999", 3],
+    ["7000000", "8999999", 4],
+    ["9000000", "9759999", 5],
+    ["9760000", "9999999", 6],
+  ],
+  "979-12": [
+    ["2000000", "2999999", 3],
+    ["5450000", "5999999", 4],
+    ["8000000", "8499999", 5],
+  ],
+};
+
+function findRange(ranges, digits) {
+  const key = digits.slice(0, 7).padEnd(7, "0");
+  return ranges.find(([from, to]) => key >= from && key <= to)?.[2] || 0;
+}
+
+// Hyphenated form for display, e.g. 978-88-04-12345-6. ISBN-10 input stays ISBN-10.
+export function hyphenateISBN(raw) {
+  const s = cleanISBN(raw);
+  const isbn13 = toISBN13(s);
+  if (!isbn13) return s;
+  const prefix = isbn13.slice(0, 3);
+  const afterPrefix = isbn13.slice(3, 12);
+  const groupLen = findRange(
+    GROUPS.filter(([p]) => p === prefix).map(([, from, to, len]) => [from, to, len]),
+    afterPrefix
+  );
+  if (!groupLen) return isbn13;
+  const group = afterPrefix.slice(0, groupLen);
+  const rest = afterPrefix.slice(groupLen);
+  const pubLen = findRange(PUBLISHERS[`${prefix}-${group}`] || [], rest);
+  if (!pubLen || pubLen >= rest.length) return isbn13;
+  const parts = [group, rest.slice(0, pubLen), rest.slice(pubLen)];
+  if (s.length === 10) return [...parts, s[9]].join("-");
+  return [prefix, ...parts, isbn13[12]].join("-");
+}
@@ -0,0 +1,86 @@
+// Printed labels: sheet layouts (sizes in mm), the text on a book label and the codes
+// printed on books and shelves. Codes are "BS:B:<book id>" and "BS:L:<location node id>"
+// (with "|<archive>" for the books of one archive there), so a scan can tell a label of
+// this library from an ISBN.
+
+import { code128 } from "./barcode.js";
+import { foldText, titleKey } from "./text.js";
+
+// Common A4 and US Letter sheets: label size, grid and the page margins before the first label.
+export const LABEL_SHEETS = {
+  a4_3x8: { label: "A4, 3 × 8 (70 × 37 mm)", page: [210, 297], cols: 3, rows: 8, size: [70, 37], top: 0.5, left: 0, pitch: [70, 37] },
+  a4_2x7: { label: "A4, 2 × 7 (99,1 × 38,1 mm)", page: [210, 297], cols: 2, rows: 7, size: [99.1, 38.1], top: 15.15, left: 4.65, pitch: [101.6, 38.1] },
+  a4_4x10: { label: "A4, 4 × 10 (48,5 × 25,4 mm)", page: [210, 297], cols: 4, rows: 10, size: [48.5, 25.4], top: 21.5, left: 8, pitch: [48.5, 25.4] },
+  a4_5x13: { label: "A4, 5 × 13 (38,1 × 21,2 mm)", page: [210, 297], cols: 5, rows: 13, size: [38.1, 21.2], top: 10.7, left: 4.65, pitch: [40.6, 21.2] },
+  letter_3x10: { label: "Letter, 3 × 10 (66,7 × 25,4 mm)", page: [215.9, 279.4], cols: 3, rows: 10, size: [66.7, 25.4], top: 12.7, left: 4.8, pitch: [69.9, 25.4] },
+};
+
+export const CODE_KINDS = { qr: "QR code", code128: "Code 128" };
+
+export const LABEL_PAD = 2; // mm left white inside every label
+export const CODE128_QUIET = 10; // modules of white on each side of a Code 128 symbol
+// Narrowest bar that printers and phone cameras read reliably (Code 128 "X dimension").
+export const MIN_MODULE_MM = 0.25;
+
+// Width in mm of one module when `code` spans the width of a label of `sheet` as Code 128.
+export function code128ModuleMm(code, sheet) {
+  const modules = code128(code).reduce((sum, w) => sum + w, 0) + CODE128_QUIET * 2;
+  return (sheet.size[0] - LABEL_PAD * 2) / modules;
+}
+
+// Whether all the codes can be printed as Code 128 on `sheet` without bars under
+// MIN_MODULE_MM; every character takes the same width, so the longest code decides.
+export function code128Fits(codes, sheet) {
+  const longest = codes.reduce((a, c) => (c.length > a.length ? c : a), "");
+  return !longest || code128ModuleMm(longest, sheet) >= MIN_MODULE_MM;
+}
+
+const PREFIX = { book: "BS:B:", location: "BS:L:" };
+
+export function bookCode(id) {
+  return PREFIX.book + id;
+}
+
+// Node ids never contain "|" (see nodeId in locations.js); archive names may, so only the
+// first one separates them.
+export function locationCode(id, archive = "") {
+  return PREFIX.location + id + (archive ? `|${archive}` : "");
+}
+
+// { kind: "book", id } or { kind: "location", id, archive } for a code printed by this app
+// (`archive` is "" for the whole place), null otherwise.
+export function parseLabelCode(text) {
+  const s = (text || "").trim();
+  for (const [kind, prefix] of Object.entries(PREFIX)) {
+    if (!s.startsWith(prefix) || s.length === prefix.length) continue;
+    const rest = s.slice(prefix.length);
+    if (kind !== "location") return { kind, id: rest };
+    const cut = rest.indexOf("|");
+    if (cut === 0) return null;
+    return cut < 0 ? { kind, id: rest, archive: "" } : { kind, id: rest.slice(0, cut), archive: rest.slice(cut + 1) };
+  }
+  return null;
+}
+
+// Shelf mark: first letters of the author's surname and of the title without article
+// ("Il barone rampante" by Calvino -> "CAL bar"); the title alone for anonymous books.
+export function shelfMark(book) {
+  const author = foldText(book.authorLast).replace(/ /g, "").slice(0, 3).toUpperCase();
+  const title = titleKey(book.title).replace(/ /g, "").slice(0, 3);
+  return [author, title].filter(Boolean).join(" ");
+}
+
+export function shortTitle(title, max = 40) {
+  const s = (title || "").trim();
+  return s.length > max ? `${s.slice(0, max - 1).trimEnd()}…` : s;
+}
+
+// Labels split into sheets: [[item | null]] with `skip` empty places at the start of the
+// first sheet (to reuse a sheet already partly used).
+export function paginate(items, sheet, skip = 0) {
+  const perSheet = sheet.cols * sheet.rows;
+  const cells = [...Array(Math.min(Math.max(0, skip), perSheet - 1)).fill(null), ...items];
+  const pages = [];
+  for (let i = 0; i < cells.length; i += perSheet) pages.push(cells.slice(i, i + perSheet));
+  return pages;
+}
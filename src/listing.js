@@ -0,0 +1,93 @@
+// How the library list is ordered and grouped. Sorting and grouping work on folded
+// text, so accents and case never split "Éluard" from "eluard" or "De Amicis" from "de Amicis".
+
+import { foldText, titleKey } from "./text.js";
+import { languageLabel, pubYear } from "./edition.js";
+
+// Author, first name, title without article. "\u0001" sorts before any letter, so
+// "Calvino" comes before "Calvinotti". Also stored on books as `sortKey` (see data.js).
+export function authorSortKey(b) {
+  return `${foldText(b.authorLast)}\u0001${foldText(b.authorFirst)}\u0001${titleKey(b.title)}`;
+}
+
+// Compares by a text key, computed once per book object.
+function byText(fn) {
+  const keys = new WeakMap();
+  const key = (b) => {
+    if (!keys.has(b)) keys.set(b, fn(b));
+    return keys.get(b);
+  };
+  return (a, b) => {
+    const ka = key(a);
+    const kb = key(b);
+    return ka < kb ? -1 : ka > kb ? 1 : 0;
+  };
+}
+
+const byAuthor = byText(authorSortKey);
+const byTitle = byText((b) => titleKey(b.title));
+const byLocation = byText((b) => foldText(b.location) || "\uffff"); // no location last
+
+export const SORT_ORDERS = {
+  author: { label: "Autore", compare: byAuthor },
+  title: { label: "Titolo", compare: (a, b) => byTitle(a, b) || byAuthor(a, b) },
+  added: { label: "Aggiunti di recente", compare: (a, b) => (b.createdAt || 0) - (a.createdAt || 0) },
+  location: { label: "Location", compare: (a, b) => byLocation(a, b) || byAuthor(a, b) },
+  // Oldest first; books without a known year go last.
+  year: { label: "Anno di pubblicazione", compare: (a, b) => (pubYear(a) ?? Infinity) - (pubYear(b) ?? Infinity) || byAuthor(a, b) },
+};
+
+export function sortBooks(books, order) {
+  const compare = (SORT_ORDERS[order] || SORT_ORDERS.author).compare;
+  return books.slice().sort(compare);
+}
+
+// Letter shown in the A-Z bar for a book under `order` ("#" for digits and the rest).
+export function indexLetter(book, order) {
+  const key = order === "title" ? titleKey(book.title) : foldText(book.authorLast);
+  const c = key.charAt(0).toUpperCase();
+  return c >= "A" && c <= "Z" ? c : "#";
+}
+
+export const LETTERS = ["#", ..."ABCDEFGHIJKLMNOPQRSTUVWXYZ"];
+
+// Orders that the A-Z bar can jump through.
+export function hasIndex(order) {
+  return order === "author" || order === "title";
+}
+
+export const GROUPINGS = {
+  none: { label: "Nessun raggruppamento" },
+  initial: { label: "Iniziale dell'autore", of: (b) => indexLetter(b, "author") },
+  location: { label: "Location", of: (b) => b.location || "" },
+  archive: { label: "Archivio", of: (b) => b.archive || "" },
+  publisher: { label: "Editore", of: (b) => b.publisher || "" },
+  series: { label: "Collana", of: (b) => b.series || "" },
+  language: { label: "Lingua", of: (b) => languageLabel(b.language) },
+};
+
+const EMPTY_GROUP = {
+  location: "Senza location",
+  archive: "Senza archivio",
+  initial: "#",
+  publisher: "Senza editore",
+  series: "Fuori collana",
+  language: "Lingua non indicata",
+};
+
+// Splits already sorted books into [{ key, label, books }]; books keep their order inside a
+// group. Groups are alphabetical with the empty one last (initials: "#" first, like the index).
+export function groupBooks(books, grouping) {
+  const g = GROUPINGS[grouping];
+  if (!g?.of) return [{ key: "", label: "", books }];
+  const groups = new Map();
+  for (const b of books) {
+    const key = g.of(b);
+    if (!groups.has(key)) groups.set(key, { key, label: key || EMPTY_GROUP[grouping], books: [] });
+    groups.get(key).books.push(b);
+  }
+  return Array.from(groups.values()).sort((a, b) => {
+    if (!a.key !== !b.key) return a.key ? -1 : 1;
+    return a.key.localeCompare(b.key, "it");
+  });
+}
@@ -0,0 +1,161 @@
+// Local replica of the Firestore library (offline-first).
+// Mirrors books, loans and settings in IndexedDB so reads work without signal,
+// and keeps an outbox of pending writes that data.js replays against Firestore.
+
+import { openDatabase, reqDone, txDone } from "./db.js";
+
+const DB_NAME = "biblioteca-scott-replica";
+const DB_VERSION = 5;
+
+export const STORES = {
+  books: "books",
+  loans: "loans",
+  meta: "meta",
+  outbox: "outbox",
+  conflicts: "conflicts",
+  files: "files",
+};
+
+function openReplica() {
+  return openDatabase(DB_NAME, DB_VERSION, (db, oldVersion, tx) => {
+    if (!db.objectStoreNames.contains(STORES.books)) {
+      db.createObjectStore(STORES.books, { keyPath: "id" });
+    }
+    // The library list reads pages in author order and counts per place and archive, the
+    // scanner looks books up by ISBN (see data.js).
+    const books = tx.objectStore(STORES.books);
+    if (!books.indexNames.contains("by_sortKey")) books.createIndex("by_sortKey", ["sortKey", "id"]);
+    if (!books.indexNames.contains("by_location")) books.createIndex("by_location", "locationPath", { multiEntry: true });
+    if (!books.indexNames.contains("by_archive")) books.createIndex("by_archive", "archive");
+    if (!books.indexNames.contains("by_isbn")) books.createIndex("by_isbn", "isbn");
+    if (!db.objectStoreNames.contains(STORES.loans)) {
+      db.createObjectStore(STORES.loans, { keyPath: "id" });
+    }
+    if (!db.objectStoreNames.contains(STORES.meta)) {
+      db.createObjectStore(STORES.meta, { keyPath: "key" });
+    }
+    // Pending writes, replayed in insertion order.
+    if (!db.objectStoreNames.contains(STORES.outbox)) {
+      db.createObjectStore(STORES.outbox, { keyPath: "seq", autoIncrement: true });
+    }
+    // Book edits rejected because someone else saved first, waiting for the user to merge.
+    if (!db.objectStoreNames.contains(STORES.conflicts)) {
+      db.createObjectStore(STORES.conflicts, { keyPath: "id" });
+    }
+    // Cover photos taken on this device and not uploaded to Storage yet: { path, blob }.
+    if (!db.objectStoreNames.contains(STORES.files)) {
+      db.createObjectStore(STORES.files, { keyPath: "path" });
+    }
+  });
+}
+
+async function withStore(storeName, mode, fn) {
+  const db = await openReplica();
+  try {
+    const tx = db.transaction(storeName, mode);
+    const result = await fn(tx.objectStore(storeName));
+    await txDone(tx);
+    return result;
+  } finally {
+    db.close();
+  }
+}
+
+export function localList(storeName) {
+  return withStore(storeName, "readonly", (store) => reqDone(store.getAll()));
+}
+
+export function localGet(storeName, id) {
+  return withStore(storeName, "readonly", async (store) => (await reqDone(store.get(id))) ?? null);
+}
+
+// Walks an index in key order from `range` (an IDBKeyRange, or null for all) and returns
+// up to `limit` values that pass `filter`, reading no further than needed.
+export function localScan(storeName, indexName, { range = null, filter = () => true, limit = Infinity } = {}) {
+  return withStore(storeName, "readonly", (store) => {
+    const out = [];
+    return new Promise((resolve, reject) => {
+      const req = store.index(indexName).openCursor(range);
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor || out.length >= limit) return resolve(out);
+        if (filter(cursor.value)) out.push(cursor.value);
+        if (out.length >= limit) resolve(out);
+        else cursor.continue();
+      };
+      req.onerror = () => reject(req.error);
+    });
+  });
+}
+
+// Number of records, or of index entries equal to `key` when an index is given.
+export function localCount(storeName, indexName = null, key = undefined) {
+  return withStore(storeName, "readonly", (store) => reqDone(indexName ? store.index(indexName).count(key) : store.count()));
+}
+
+// The distinct keys of an index, in order, without reading the records.
+export function localKeys(storeName, indexName) {
+  return withStore(storeName, "readonly", (store) => {
+    const out = [];
+    return new Promise((resolve, reject) => {
+      const req = store.index(indexName).openKeyCursor(null, "nextunique");
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return resolve(out);
+        out.push(cursor.key);
+        cursor.continue();
+      };
+      req.onerror = () => reject(req.error);
+    });
+  });
+}
+
+export function localPut(storeName, value) {
+  return withStore(storeName, "readwrite", (store) => {
+    store.put(value);
+  });
+}
+
+export function localDelete(storeName, id) {
+  return withStore(storeName, "readwrite", (store) => {
+    store.delete(id);
+  });
+}
+
+export function localReplaceAll(storeName, values) {
+  return withStore(storeName, "readwrite", (store) => {
+    store.clear();
+    for (const v of values) store.put(v);
+  });
+}
+
+export async function getMeta(key) {
+  const row = await localGet(STORES.meta, key);
+  return row ? row.value : null;
+}
+
+export function setMeta(key, value) {
+  return localPut(STORES.meta, { key, value });
+}
+
+// Outbox operations: { kind: "set" | "delete", col: "books" | "loans" | "meta" | "files", id, data?, base?, release?, queuedAt }
+// `base` is the version a book editor started from, checked on replay (see data.js);
+// `release` are Storage paths of photos to delete once the edit is written.
+// For "files" the id is the Storage path and a "set" uploads the blob kept in the files store.
+export function outboxAdd(op) {
+  return withStore(STORES.outbox, "readwrite", (store) => {
+    store.add({ ...op, queuedAt: Date.now() });
+  });
+}
+
+export function outboxList() {
+  return localList(STORES.outbox);
+}
+
+export function outboxRemove(seq) {
+  return localDelete(STORES.outbox, seq);
+}
+
+export function outboxCount() {
+  return localCount(STORES.outbox);
+}
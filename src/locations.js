@@ -0,0 +1,164 @@
+// Where books are: a tree of places (room → bookcase → shelf → position on the shelf),
+// stored as a flat list of nodes { id, name, parentId } in meta/settings (`locationNodes`).
+// Books point at a node (`locationId`) and keep a copy of the ids from the room down
+// (`locationPath`, so "everything in the studio" is one query) and of the readable path
+// (`location`, "studio › libreria A › ripiano 2") for lists, search and exports.
+
+import { foldText } from "./text.js";
+
+export const LEVELS = [
+  { id: "room", label: "Stanza" },
+  { id: "bookcase", label: "Libreria" },
+  { id: "shelf", label: "Ripiano" },
+  { id: "position", label: "Posizione" },
+];
+
+export const PATH_SEPARATOR = " › ";
+
+// Book fields that are copies of where `location` points: merges and field-by-field
+// choices move them together with it.
+export const LOCATION_FIELDS = ["locationId", "locationPath"];
+
+export const DEFAULT_ROOMS = ["salone", "camera matrimoniale", "camera Niki", "camera Francesco", "camera Cecilia", "studio"];
+
+export function childrenOf(nodes, parentId = null) {
+  return nodes.filter((n) => (n.parentId || null) === parentId);
+}
+
+// Nodes from the room down to `id` (empty when unknown; stops on a broken parent chain).
+export function pathTo(nodes, id) {
+  const byId = new Map(nodes.map((n) => [n.id, n]));
+  const path = [];
+  for (let n = byId.get(id); n && !path.includes(n); n = byId.get(n.parentId)) path.unshift(n);
+  return path;
+}
+
+export function locationLabel(nodes, id) {
+  return pathTo(nodes, id)
+    .map((n) => n.name)
+    .join(PATH_SEPARATOR);
+}
+
+// `id` and every node below it.
+export function subtreeIds(nodes, id) {
+  const ids = new Set([id]);
+  for (let grew = true; grew; ) {
+    grew = false;
+    for (const n of nodes) {
+      if (n.parentId && ids.has(n.parentId) && !ids.has(n.id)) {
+        ids.add(n.id);
+        grew = true;
+      }
+    }
+  }
+  return ids;
+}
+
+// Depth-first order for lists and pickers: [{ node, depth }].
+export function flattenTree(nodes) {
+  const out = [];
+  const walk = (parentId, depth) => {
+    for (const node of childrenOf(nodes, parentId)) {
+      out.push({ node, depth });
+      if (depth < LEVELS.length - 1) walk(node.id, depth + 1);
+    }
+  };
+  walk(null, 0);
+  return out;
+}
+
+// Readable paths of every node, in tree order.
+export function locationLabels(nodes) {
+  return flattenTree(nodes).map(({ node }) => locationLabel(nodes, node.id));
+}
+
+// The book placed at node `id` (or nowhere when the id is empty or unknown).
+export function placeBook(book, nodes, id) {
+  const path = pathTo(nodes, id);
+  return {
+    ...book,
+    locationId: path.length ? id : "",
+    locationPath: path.map((n) => n.id),
+    location: path.map((n) => n.name).join(PATH_SEPARATOR),
+  };
+}
+
+// Ids come from the path ("studio/libreria-a"), so two devices adding the same place
+// while offline end up with the same node. Renamed nodes keep their id: a clash gets a suffix.
+function nodeId(nodes, parentId, name) {
+  const slug = foldText(name).replace(/ /g, "-") || "x";
+  const base = parentId ? `${parentId}/${slug}` : slug;
+  let id = base;
+  for (let i = 2; nodes.some((n) => n.id === id); i++) id = `${base}-${i}`;
+  return id;
+}
+
+export function addNode(nodes, parentId, name) {
+  const node = { id: nodeId(nodes, parentId, name), name: name.trim(), parentId: parentId || null };
+  return { nodes: [...nodes, node], id: node.id };
+}
+
+// Keeps the id, so books still point at the node (their readable path is refreshed on save).
+export function renameNode(nodes, id, name) {
+  return nodes.map((n) => (n.id === id ? { ...n, name: name.trim() } : n));
+}
+
+// Books at every node, counting those further down: Map id -> count. `moves` maps removed
+// node ids to where their books are going, so an edited tree can show the counts it will have.
+export function countByNode(nodes, books, moves = {}) {
+  const counts = new Map();
+  for (const b of books) {
+    if (!b.locationId) continue;
+    for (const n of pathTo(nodes, moves[b.locationId] || b.locationId)) counts.set(n.id, (counts.get(n.id) || 0) + 1);
+  }
+  return counts;
+}
+
+// "studio › libreria A" (also with "/" or ">") -> ["studio", "libreria A"].
+export function splitLocationText(text) {
+  return (text || "")
+    .split(/\s*(?:›|>|\/)\s*/)
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .slice(0, LEVELS.length);
+}
+
+// Node for a list of names from the room down, matched without accents or case;
+// missing levels are created. Returns { nodes, id } (id "" for an empty path).
+export function ensurePath(nodes, names) {
+  let parentId = null;
+  let id = "";
+  for (const name of names) {
+    const found = childrenOf(nodes, parentId).find((n) => foldText(n.name) === foldText(name));
+    if (found) id = found.id;
+    else ({ nodes, id } = addNode(nodes, parentId, name));
+    parentId = id;
+  }
+  return { nodes, id };
+}
+
+// Node for a readable path, or null when some level does not exist.
+export function findLocation(nodes, text) {
+  let parentId = null;
+  let found = null;
+  for (const name of splitLocationText(text)) {
+    found = childrenOf(nodes, parentId).find((n) => foldText(n.name) === foldText(name));
+    if (!found) return null;
+    parentId = found.id;
+  }
+  return found?.id || null;
+}
+
+// Tree for a library that still has flat locations: every listed location and every
+// `location` on a book becomes a room, every `location` + `archive` pair a bookcase in it.
+// Returns { nodes, assign } with assign(book) -> node id for that book.
+export function treeFromFlat(locations, books) {
+  let nodes = [];
+  for (const loc of locations || []) if (loc?.trim()) nodes = ensurePath(nodes, [loc]).nodes;
+  for (const b of books) {
+    const names = [b.location, b.archive].filter((s) => s?.trim());
+    if (b.location?.trim()) nodes = ensurePath(nodes, names).nodes;
+  }
+  const assign = (b) => (b.location?.trim() ? ensurePath(nodes, [b.location, b.archive].filter((s) => s?.trim())).id : "");
+  return { nodes, assign };
+}
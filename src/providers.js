@@ -0,0 +1,231 @@
+// Metadata providers: Google Books, Open Library and the Italian SBN OPAC.
+// Each provider is { id, label, search(query, { fetchImpl }) } and returns results
+// of the same shape. Providers never swallow failures: HTTP and network errors are
+// thrown as ProviderError, and searchMetadata() reports them per provider.
+// `fetchImpl` can be replaced to run providers against recorded responses
+// (test/providers.test.js, `npm test`).
+
+import { toISBN13 } from "./isbn.js";
+import { languageCode, pageCount } from "./edition.js";
+
+export class ProviderError extends Error {
+  constructor(provider, message, { status = 0, cause } = {}) {
+    super(message);
+    this.name = "ProviderError";
+    this.provider = provider;
+    this.status = status;
+    this.cause = cause;
+  }
+}
+
+function norm(s) {
+  return (s || "").toString().trim();
+}
+
+export function splitAuthor(full) {
+  const s = norm(full);
+  if (!s) return { last: "", first: "" };
+  if (s.includes(",")) {
+    const [last, first] = s.split(",").map((x) => norm(x));
+    return { last, first };
+  }
+  const parts = s.split(/\s+/).filter(Boolean);
+  if (parts.length === 1) return { last: parts[0], first: "" };
+  return { last: parts[parts.length - 1], first: parts.slice(0, -1).join(" ") };
+}
+
+// `contributors` lists every author (see contributors.js); `authorLast` / `authorFirst` the first.
+// Edition fields are in the shape stored on books (see edition.js).
+function result(source, { id, title, authors = [], publisher = "", publishedDate = "", language = "", pages = null, isbn = "", coverUrl = "" }) {
+  const names = authors.map(norm).filter(Boolean);
+  const contributors = names.map((n) => ({ ...splitAuthor(n), role: "author" }));
+  return {
+    id: `${source}:${id}`,
+    source,
+    sources: [source],
+    title: norm(title),
+    authors: names,
+    contributors,
+    authorLast: contributors[0]?.last || "",
+    authorFirst: contributors[0]?.first || "",
+    publisher: norm(publisher),
+    publishedDate: norm(publishedDate),
+    language: languageCode(language),
+    pages: pageCount(pages),
+    isbn: toISBN13(isbn),
+    coverUrl: (coverUrl || "").replace(/^http:/, "https:"),
+  };
+}
+
+async function getJSON(provider, url, fetchImpl) {
+  let res;
+  try {
+    res = await fetchImpl(url);
+  } catch (e) {
+    throw new ProviderError(provider, "rete non raggiungibile", { cause: e });
+  }
+  if (!res.ok) throw new ProviderError(provider, `errore HTTP ${res.status}`, { status: res.status });
+  try {
+    return await res.json();
+  } catch (e) {
+    throw new ProviderError(provider, "risposta non valida", { cause: e });
+  }
+}
+
+function textQuery({ title, author }) {
+  return [norm(title), norm(author)].filter(Boolean).join(" ");
+}
+
+export const googleBooks = {
+  id: "googleBooks",
+  label: "Google Books",
+  async search(query, { fetchImpl = fetch } = {}) {
+    const isbn = toISBN13(query.isbn);
+    const q = isbn ? `isbn:${isbn}` : textQuery(query);
+    if (!q) return [];
+    const data = await getJSON(this.id, `https://www.googleapis.com/books/v1/volumes?q=${encodeURIComponent(q)}&maxResults=5`, fetchImpl);
+    const items = Array.isArray(data.items) ? data.items : [];
+    return items.map((it) => {
+      const v = it.volumeInfo || {};
+      const ids = v.industryIdentifiers || [];
+      return result(this.id, {
+        id: it.id,
+        title: [v.title, v.subtitle].filter(Boolean).join(". "),
+        authors: Array.isArray(v.authors) ? v.authors : [],
+        publisher: v.publisher,
+        publishedDate: v.publishedDate,
+        language: v.language,
+        pages: v.pageCount,
+        isbn: ids.find((x) => x.type === "ISBN_13")?.identifier || ids.find((x) => x.type === "ISBN_10")?.identifier || isbn,
+        coverUrl: v.imageLinks?.thumbnail || v.imageLinks?.smallThumbnail,
+      });
+    });
+  },
+};
+
+export const openLibrary = {
+  id: "openLibrary",
+  label: "Open Library",
+  async search(query, { fetchImpl = fetch } = {}) {
+    const isbn = toISBN13(query.isbn);
+    if (isbn) {
+      const data = await getJSON(
+        this.id,
+        `https://openlibrary.org/api/books?bibkeys=ISBN:${isbn}&format=json&jscmd=data`,
+        fetchImpl
+      );
+      return Object.values(data || {}).map((v) =>
+        result(this.id, {
+          id: v.key || isbn,
+          title: [v.title, v.subtitle].filter(Boolean).join(". "),
+          authors: (v.authors || []).map((a) => a.name),
+          publisher: v.publishers?.[0]?.name,
+          publishedDate: v.publish_date,
+          pages: v.number_of_pages,
+          isbn: v.identifiers?.isbn_13?.[0] || v.identifiers?.isbn_10?.[0] || isbn,
+          coverUrl: v.cover?.medium || v.cover?.small,
+        })
+      );
+    }
+    const params = new URLSearchParams({ limit: "5" });
+    if (norm(query.title)) params.set("title", norm(query.title));
+    if (norm(query.author)) params.set("author", norm(query.author));
+    if (!norm(query.title) && !norm(query.author)) return [];
+    const data = await getJSON(this.id, `https://openlibrary.org/search.json?${params}`, fetchImpl);
+    return (data.docs || []).map((d) =>
+      result(this.id, {
+        id: d.key,
+        title: d.title,
+        authors: d.author_name || [],
+        publisher: d.publisher?.[0],
+        publishedDate: d.first_publish_year ? String(d.first_publish_year) : "",
+        language: d.language?.[0],
+        pages: d.number_of_pages_median,
+        isbn: (d.isbn || []).find((x) => x.length === 13) || d.isbn?.[0],
+        coverUrl: d.cover_i ? `https://covers.openlibrary.org/b/id/${d.cover_i}-M.jpg` : "",
+      })
+    );
+  },
+};
+
+// "Milano : Mondadori, 2016" -> { publisher: "Mondadori", year: "2016" }
+function parsePubblicazione(s) {
+  const m = norm(s).match(/:\s*([^,]+?)\s*,\s*\[?(\d{4})/);
+  if (m) return { publisher: m[1], year: m[2] };
+  return { publisher: "", year: (norm(s).match(/\d{4}/) || [""])[0] };
+}
+
+// SBN OPAC (Servizio Bibliotecario Nazionale), through the JSON gateway used by the SBN mobile app.
+export const sbnOpac = {
+  id: "sbn",
+  label: "OPAC SBN",
+  async search(query, { fetchImpl = fetch } = {}) {
+    const isbn = toISBN13(query.isbn);
+    const params = new URLSearchParams({ type: "0", start: "0", rows: "5" });
+    if (isbn) params.set("isbn", isbn);
+    else if (textQuery(query)) params.set("any", textQuery(query));
+    else return [];
+    const data = await getJSON(this.id, `https://opac.sbn.it/opacmobilegw/search.json?${params}`, fetchImpl);
+    return (data.briefRecords || []).map((r) => {
+      const { publisher, year } = parsePubblicazione(r.pubblicazione);
+      return result(this.id, {
+        id: r.codiceIdentificativo || r.isbn,
+        // "Il barone rampante / Italo Calvino": drop the statement of responsibility.
+        title: norm(r.titolo).split(" / ")[0],
+        authors: r.autorePrincipale ? [r.autorePrincipale] : [],
+        publisher,
+        publishedDate: year,
+        isbn: norm(r.isbn).replace(/^ISBN\s*/i, "") || isbn,
+        coverUrl: r.copertina,
+      });
+    });
+  },
+};
+
+export const PROVIDERS = [googleBooks, sbnOpac, openLibrary];
+export const DEFAULT_PROVIDER_ORDER = PROVIDERS.map((p) => p.id);
+
+export function providerLabel(id) {
+  return PROVIDERS.find((p) => p.id === id)?.label || id;
+}
+
+const MERGE_FIELDS = ["title", "authorLast", "authorFirst", "publisher", "publishedDate", "language", "pages", "coverUrl"];
+
+// Results describing the same ISBN are merged; empty fields are filled from
+// lower-priority providers, and `sources` lists every provider that had it.
+function mergeResults(lists) {
+  const out = [];
+  const byIsbn = new Map();
+  for (const list of lists) {
+    for (const r of list) {
+      const existing = r.isbn ? byIsbn.get(r.isbn) : null;
+      if (!existing) {
+        const copy = { ...r, sources: [...r.sources] };
+        out.push(copy);
+        if (r.isbn) byIsbn.set(r.isbn, copy);
+        continue;
+      }
+      if (!existing.sources.includes(r.source)) existing.sources.push(r.source);
+      for (const k of MERGE_FIELDS) if (!existing[k] && r[k]) existing[k] = r[k];
+      if (!existing.authors.length) {
+        existing.authors = r.authors;
+        existing.contributors = r.contributors;
+      }
+    }
+  }
+  return out;
+}
+
+// Queries the enabled providers (in parallel) and merges their results in the
+// given priority order. Returns { results, errors: [{ provider, message }] }.
+export async function searchMetadata(query, { order = DEFAULT_PROVIDER_ORDER, fetchImpl } = {}) {
+  const providers = order.map((id) => PROVIDERS.find((p) => p.id === id)).filter(Boolean);
+  const settled = await Promise.allSettled(providers.map((p) => p.search(query, fetchImpl ? { fetchImpl } : {})));
+  const lists = [];
+  const errors = [];
+  settled.forEach((s, i) => {
+    if (s.status === "fulfilled") lists.push(s.value);
+    else errors.push({ provider: providers[i].id, message: s.reason?.message || String(s.reason) });
+  });
+  return { results: mergeResults(lists), errors };
+}
@@ -0,0 +1,230 @@
+// Catalogue search: accents and case ignored, every term must match somewhere (AND),
+// small typos tolerated, results ranked by where and how well the terms matched.
+//
+//   calvino barone          terms searched in people (authors, editors, translators,
+//                           illustrators), title, ISBN, publisher, series, location,
+//                           archive, notes
+//   autore:calvino          a term limited to one field (see FIELD_ALIASES)
+//   "il barone"  loc:"camera niki"   quotes keep words together as a phrase
+//   isbn:97888              ISBN digits, with or without hyphens (ISBN-10 too)
+
+import { foldText } from "./text.js";
+import { cleanISBN, isbn13To10 } from "./isbn.js";
+import { contributorName, contributorsOf } from "./contributors.js";
+
+// Searchable fields and how much a match in each counts for ranking.
+const FIELDS = {
+  author: { weight: 5, get: (b) => contributorsOf(b).map((c) => contributorName(c)).join(" ") },
+  title: { weight: 4, get: (b) => b.title },
+  isbn: { weight: 4, get: () => "" }, // matched on digits, see isbnMatch()
+  publisher: { weight: 2, get: (b) => b.publisher },
+  series: { weight: 2, get: (b) => b.series },
+  location: { weight: 2, get: (b) => b.location },
+  archive: { weight: 2, get: (b) => b.archive },
+  notes: { weight: 1, get: (b) => b.notes },
+};
+
+export const FIELD_ALIASES = {
+  autore: "author",
+  author: "author",
+  titolo: "title",
+  title: "title",
+  isbn: "isbn",
+  editore: "publisher",
+  publisher: "publisher",
+  collana: "series",
+  series: "series",
+  loc: "location",
+  location: "location",
+  archivio: "archive",
+  arch: "archive",
+  note: "notes",
+  notes: "notes",
+};
+
+// How good a match is, multiplied by the field weight.
+const EXACT = 1;
+const PREFIX = 0.8;
+const INSIDE = 0.5;
+const TYPO = 0.4;
+
+// Returns [{ field (null = any), text (folded), digits }]; unknown "x:" prefixes are plain text.
+export function parseQuery(q) {
+  const terms = [];
+  const re = /(?:([\p{L}]+):)?(?:"([^"]*)"?|(\S+))/gu;
+  for (const m of (q || "").matchAll(re)) {
+    const [, prefix, quoted, bare] = m;
+    const field = prefix ? FIELD_ALIASES[foldText(prefix)] || null : null;
+    const raw = field || !prefix ? quoted ?? bare : `${prefix}:${quoted ?? bare}`;
+    const text = foldText(raw);
+    const digits = cleanISBN(raw);
+    if (!text && !digits) continue;
+    terms.push({ field, text, digits: /^[\d\s-]*[\dxX]$/.test(raw.trim()) ? digits : "" });
+  }
+  return terms;
+}
+
+// Optimal string alignment distance (a swap counts as one typo), giving up past `max`.
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) row[j] = Math.min(row[j], prev2[j - 2] + 1);
+      best = Math.min(best, row[j]);
+    }
+    if (best > max) return max + 1;
+    prev2 = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+function typoBudget(term) {
+  return term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+}
+
+// Quality of a single-word term against one folded word (0 = no match).
+function wordMatch(term, word) {
+  if (word === term) return EXACT;
+  if (word.startsWith(term)) return PREFIX;
+  if (term.length >= 3 && word.includes(term)) return INSIDE;
+  const max = typoBudget(term);
+  if (!max) return 0;
+  // A typo anywhere in the word, or in the part typed so far.
+  if (editDistance(term, word, max) <= max) return TYPO;
+  if (word.length > term.length && editDistance(term, word.slice(0, term.length), max) <= max) return TYPO * PREFIX;
+  return 0;
+}
+
+// Quality of a term against a folded field text.
+function textMatch(term, text) {
+  if (!text) return 0;
+  if (term.includes(" ")) {
+    // Phrase: words in this order, the last one possibly still being typed.
+    if (` ${text} `.includes(` ${term} `)) return EXACT;
+    if (` ${text}`.includes(` ${term}`)) return PREFIX;
+    return text.includes(term) ? INSIDE : 0;
+  }
+  let best = 0;
+  for (const word of text.split(" ")) best = Math.max(best, wordMatch(term, word));
+  return best;
+}
+
+function isbnMatch(digits, book) {
+  if (digits.length < 3) return 0;
+  const codes = [book.isbn, isbn13To10(book.isbn), cleanISBN(book.isbnRaw)].filter(Boolean);
+  if (codes.includes(digits)) return EXACT;
+  if (codes.some((c) => c.startsWith(digits))) return PREFIX;
+  return codes.some((c) => c.includes(digits)) ? INSIDE : 0;
+}
+
+// Folded field texts per book, kept while the book object is the same.
+const folded = new WeakMap();
+
+function foldedFields(book) {
+  let f = folded.get(book);
+  if (!f) {
+    f = {};
+    for (const [k, def] of Object.entries(FIELDS)) f[k] = foldText(def.get(book));
+    folded.set(book, f);
+  }
+  return f;
+}
+
+// Best match of a term: { field, score } or null.
+function termMatch(term, book) {
+  const f = foldedFields(book);
+  let best = null;
+  for (const [k, def] of Object.entries(FIELDS)) {
+    if (term.field && term.field !== k) continue;
+    const q = k === "isbn" ? isbnMatch(term.digits || (term.field === "isbn" ? cleanISBN(term.text) : ""), book) : textMatch(term.text, f[k]);
+    const score = q * def.weight;
+    if (score && (!best || score > best.score)) best = { field: k, score };
+  }
+  return best;
+}
+
+// Relevance of a book for parsed terms: 0 when some term does not match.
+export function scoreBook(book, terms) {
+  let total = 0;
+  for (const term of terms) {
+    const m = termMatch(term, book);
+    if (!m) return 0;
+    total += m.score;
+  }
+  return total;
+}
+
+// Books matching the query, most relevant first (ties keep the given order).
+// An empty query returns the list unchanged.
+export function searchBooks(books, q) {
+  const terms = parseQuery(q);
+  if (!terms.length) return books;
+  return books
+    .map((book, i) => ({ book, i, score: scoreBook(book, terms) }))
+    .filter((r) => r.score > 0)
+    .sort((a, b) => b.score - a.score || a.i - b.i)
+    .map((r) => r.book);
+}
+
+// --- Highlighting ---
+
+// Splits `text` into [{ text, hit }] marking the words matched by terms that may apply
+// to `field` ("author", "title", ...). Works on the original text, accents included.
+export function highlight(text, terms, field) {
+  const src = text || "";
+  const active = terms.filter((t) => (!t.field || t.field === field) && t.text);
+  if (!src || !active.length) return [{ text: src, hit: false }];
+  const words = active.flatMap((t) => t.text.split(" "));
+  const ranges = [];
+  for (const m of src.matchAll(/[\p{L}\p{N}]+/gu)) {
+    const word = foldText(m[0]);
+    // Positions in the folded word are valid in the original only when folding kept the length.
+    const exact = word.length === m[0].length;
+    for (const w of words) {
+      const quality = wordMatch(w, word);
+      if (!quality) continue;
+      let from = 0;
+      let len = m[0].length;
+      if (exact && quality === PREFIX) len = w.length;
+      if (exact && quality === INSIDE) {
+        from = word.indexOf(w);
+        len = w.length;
+      }
+      ranges.push([m.index + from, m.index + from + len]);
+      break;
+    }
+  }
+  const out = [];
+  let pos = 0;
+  for (const [a, b] of ranges) {
+    if (a > pos) out.push({ text: src.slice(pos, a), hit: false });
+    out.push({ text: src.slice(a, b), hit: true });
+    pos = b;
+  }
+  if (pos < src.length) out.push({ text: src.slice(pos), hit: false });
+  return out;
+}
+
+// A short piece of `text` around the first matched word, for notes in result lists.
+// Null when nothing in the text matches.
+export function snippet(text, terms, field, radius = 60) {
+  const parts = highlight(text, terms, field);
+  let at = 0;
+  const first = parts.findIndex((p) => {
+    if (p.hit) return true;
+    at += p.text.length;
+    return false;
+  });
+  if (first < 0) return null;
+  const from = Math.max(0, at - radius);
+  const to = Math.min(text.length, at + parts[first].text.length + radius);
+  const cut = `${from ? "…" : ""}${text.slice(from, to)}${to < text.length ? "…" : ""}`;
+  return highlight(cut, terms, field);
+}
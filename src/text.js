@@ -0,0 +1,49 @@
+// Text normalization shared by search and duplicate detection.
+
+// Lowercase, strip diacritics and punctuation, collapse whitespace: "Perché, Calvino!" -> "perche calvino".
+export function foldText(s) {
+  return (s || "")
+    .toString()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/['’`]/g, " ")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+const ARTICLES = /^(il|lo|la|i|gli|le|l|un|uno|una|the|a|an)\s+/;
+
+// Folded title without its leading article: "L'amica geniale" -> "amica geniale".
+export function titleKey(title) {
+  return foldText(title).replace(ARTICLES, "");
+}
+
+export function bigrams(s) {
+  const out = new Map();
+  const t = s.replace(/\s+/g, " ");
+  for (let i = 0; i < t.length - 1; i++) {
+    const g = t.slice(i, i + 2);
+    out.set(g, (out.get(g) || 0) + 1);
+  }
+  return out;
+}
+
+// Dice coefficient on character bigrams of already-folded strings: 1 = identical, 0 = nothing shared.
+export function similarity(a, b) {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+  return bigramSimilarity(bigrams(a), bigrams(b));
+}
+
+// The same on bigrams() computed beforehand, for strings compared many times.
+export function bigramSimilarity(A, B) {
+  let shared = 0;
+  let total = 0;
+  for (const [g, n] of A) {
+    shared += Math.min(n, B.get(g) || 0);
+    total += n;
+  }
+  for (const n of B.values()) total += n;
+  return (2 * shared) / total;
+}
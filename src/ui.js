@@ -32,4 +32,39 @@ export const styles = {
   divider: { height: 1, background: "#eee", margin: "12px 0" },
   link: { color: "#111", textDecoration: "underline", cursor: "pointer" },
   small: { fontSize: 12, color: "#666" },
+  groupHeader: { fontWeight: 900, fontSize: 13, padding: "6px 12px", background: "#f2f2f2", borderRadius: 10 },
+  letterBar: {
+    position: "fixed",
+    right: 2,
+    top: "50%",
+    transform: "translateY(-50%)",
+    display: "flex",
+    flexDirection: "column",
+    zIndex: 5,
+    background: "rgba(255,255,255,0.85)",
+    borderRadius: 10,
+    padding: "4px 2px",
+  },
+  letter: { fontSize: 11, fontWeight: 800, lineHeight: "15px", padding: "0 4px", cursor: "pointer", textAlign: "center" },
+  mark: { background: "#fff1a8", color: "inherit", borderRadius: 3, padding: "0 1px" },
+  badge: {
+    display: "inline-block",
+    padding: "2px 8px",
+    borderRadius: 999,
+    fontSize: 11,
+    fontWeight: 700,
+    background: "#fff4d6",
+    color: "#8a5a00",
+    border: "1px solid #f0d48a",
+  },
+  badgeDanger: {
+    display: "inline-block",
+    padding: "2px 8px",
+    borderRadius: 999,
+    fontSize: 11,
+    fontWeight: 700,
+    background: "#fde7ea",
+    color: "#b00020",
+    border: "1px solid #f3b3bd",
+  },
 };
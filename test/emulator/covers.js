@@ -0,0 +1,106 @@
+// Checks migrateDataUrlCovers() against the Firebase emulator suite: seeds books with an
+// inline photo (`personalCoverDataUrl`) in Firestore, lets the replica download them, runs
+// the migration and checks that both sizes are in Storage and the data URLs are gone from
+// the documents. It runs in the browser because covers are downscaled on a canvas:
+//   npx firebase-tools emulators:start
+//   VITE_FIREBASE_EMULATORS=1 npm run dev   (then open /test/emulator/covers.html)
+
+import { createUserWithEmailAndPassword, signInWithEmailAndPassword } from "firebase/auth";
+import { doc, getDoc, serverTimestamp, setDoc } from "firebase/firestore";
+import { getMetadata, ref } from "firebase/storage";
+import { auth, db, storage } from "../../src/firebase";
+import { LIBRARY_ID, flushOutbox, getBook, startSync } from "../../src/data.js";
+import { migrateDataUrlCovers } from "../../src/covers.js";
+import { authorSortKey } from "../../src/listing.js";
+
+const SEEDED = 3;
+const USER = { email: "verifica@example.com", password: "emulatore" };
+
+const out = document.getElementById("log");
+let failures = 0;
+
+function log(line) {
+  out.textContent += `${line}\n`;
+  console.log(line);
+}
+
+function check(ok, message) {
+  log(`${ok ? "OK " : "ERR"} ${message}`);
+  if (!ok) failures++;
+}
+
+async function signIn() {
+  try {
+    await createUserWithEmailAndPassword(auth, USER.email, USER.password);
+  } catch (e) {
+    if (e?.code !== "auth/email-already-in-use") throw e;
+    await signInWithEmailAndPassword(auth, USER.email, USER.password);
+  }
+}
+
+function photoDataUrl(label) {
+  const canvas = document.createElement("canvas");
+  canvas.width = 600;
+  canvas.height = 900;
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#7a3b2e";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = "#fff";
+  ctx.font = "48px sans-serif";
+  ctx.fillText(label, 40, 120);
+  return canvas.toDataURL("image/jpeg", 0.8);
+}
+
+// Books as the app stored them before Storage: already sorted and placed, so the book
+// migrations that run on the first sync leave them alone.
+function seedBook(id, i) {
+  const book = { id, title: `Verifica foto ${i + 1}`, authorLast: "Emulatore", authorFirst: "", isbn: "", createdAt: 1, updatedAt: 1 };
+  return { ...book, sortKey: authorSortKey(book), personalCoverDataUrl: photoDataUrl(book.title) };
+}
+
+async function waitFor(test, what, ms = 20000) {
+  const until = Date.now() + ms;
+  while (!(await test())) {
+    if (Date.now() > until) throw new Error(`${what}: tempo scaduto`);
+    await new Promise((r) => setTimeout(r, 250));
+  }
+}
+
+async function run() {
+  if (!import.meta.env.VITE_FIREBASE_EMULATORS) {
+    throw new Error("Avviare con VITE_FIREBASE_EMULATORS=1: la verifica scrive nel database.");
+  }
+  await signIn();
+  const ids = Array.from({ length: SEEDED }, (_, i) => `verifica-${Date.now()}-${i}`);
+  const remote = (id) => doc(db, "libraries", LIBRARY_ID, "books", id);
+  for (const [i, id] of ids.entries()) await setDoc(remote(id), { ...seedBook(id, i), syncedAt: serverTimestamp() });
+  log(`${SEEDED} libri con la foto nella scheda scritti su Firestore`);
+
+  const stop = startSync();
+  try {
+    await waitFor(async () => (await Promise.all(ids.map(getBook))).every(Boolean), "copia locale");
+    const moved = await migrateDataUrlCovers();
+    await flushOutbox();
+    log(`migrazione: ${moved} libri`);
+
+    for (const id of ids) {
+      const book = (await getDoc(remote(id))).data();
+      check(book.personalCoverDataUrl === "", `${id}: nessuna data URL nel documento`);
+      check(!!book.personalCover?.full && !!book.personalCover?.thumb, `${id}: personalCover con i due percorsi`);
+      for (const path of [book.personalCover?.full, book.personalCover?.thumb].filter(Boolean)) {
+        const meta = await getMetadata(ref(storage, path)).catch(() => null);
+        check(meta?.contentType === "image/jpeg" && meta.size > 0, `${path} in Storage`);
+      }
+      const local = await getBook(id);
+      check(local.personalCoverDataUrl === "" && local.personalCover?.full === book.personalCover?.full, `${id}: copia locale aggiornata`);
+    }
+  } finally {
+    stop();
+  }
+  log(failures ? `${failures} controlli falliti` : "Tutto a posto");
+}
+
+run().catch((e) => {
+  failures++;
+  log(`ERR ${e?.message || e}`);
+});
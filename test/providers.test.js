@@ -0,0 +1,115 @@
+// Providers against recorded responses (test/fixtures/providers), through `fetchImpl`:
+// the fields each one maps and how searchMetadata() merges them. Run with `npm test`.
+
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { test } from "node:test";
+import { googleBooks, openLibrary, sbnOpac, searchMetadata } from "../src/providers.js";
+
+function fixture(name) {
+  return JSON.parse(readFileSync(new URL(`./fixtures/providers/${name}.json`, import.meta.url), "utf8"));
+}
+
+// Answers each request with the fixture for its endpoint, or with `status` when it is a number.
+function recorded(routes) {
+  const urls = [];
+  async function fetchImpl(url) {
+    urls.push(url);
+    const u = new URL(url);
+    const body = routes[u.host + u.pathname];
+    if (body === undefined) throw new TypeError(`no fixture for ${url}`);
+    if (typeof body === "number") return { ok: false, status: body, json: async () => ({}) };
+    return { ok: true, status: 200, json: async () => body };
+  }
+  return { fetchImpl, urls };
+}
+
+const ISBN = "9788804667926";
+
+const byIsbn = {
+  "www.googleapis.com/books/v1/volumes": fixture("googleBooks-isbn"),
+  "openlibrary.org/api/books": fixture("openLibrary-isbn"),
+  "opac.sbn.it/opacmobilegw/search.json": fixture("sbn-isbn"),
+};
+
+test("Google Books: volumeInfo by ISBN", async () => {
+  const { fetchImpl, urls } = recorded(byIsbn);
+  const [r] = await googleBooks.search({ isbn: "88-04-66792-3" }, { fetchImpl });
+  assert.match(urls[0], /q=isbn%3A9788804667926/);
+  assert.equal(r.id, "googleBooks:q1sYDAAAQBAJ");
+  assert.deepEqual(r.sources, ["googleBooks"]);
+  assert.equal(r.title, "Il barone rampante");
+  assert.deepEqual(r.contributors, [{ last: "Calvino", first: "Italo", role: "author" }]);
+  assert.equal(r.authorLast, "Calvino");
+  assert.equal(r.authorFirst, "Italo");
+  assert.equal(r.publisher, "Mondadori");
+  assert.equal(r.publishedDate, "2016-05-10");
+  assert.equal(r.language, "it");
+  assert.equal(r.pages, null);
+  assert.equal(r.isbn, ISBN);
+  assert.match(r.coverUrl, /^https:\/\/books\.google\.com\/.*zoom=1/);
+});
+
+test("Open Library: api/books by ISBN", async () => {
+  const { fetchImpl, urls } = recorded(byIsbn);
+  const [r] = await openLibrary.search({ isbn: ISBN }, { fetchImpl });
+  assert.match(urls[0], /bibkeys=ISBN:9788804667926&format=json&jscmd=data/);
+  assert.equal(r.id, "openLibrary:/books/OL26838146M");
+  assert.equal(r.title, "Il barone rampante");
+  assert.deepEqual(r.authors, ["Italo Calvino"]);
+  assert.equal(r.publisher, "Mondadori");
+  assert.equal(r.publishedDate, "2016");
+  assert.equal(r.pages, 272);
+  assert.equal(r.isbn, ISBN);
+  assert.equal(r.coverUrl, "https://covers.openlibrary.org/b/id/8231856-M.jpg");
+});
+
+test("Open Library: search.json by title and author", async () => {
+  const { fetchImpl, urls } = recorded({ "openlibrary.org/search.json": fixture("openLibrary-search") });
+  const [r] = await openLibrary.search({ title: "Il visconte dimezzato", author: "Calvino" }, { fetchImpl });
+  assert.equal(new URL(urls[0]).searchParams.get("title"), "Il visconte dimezzato");
+  assert.equal(new URL(urls[0]).searchParams.get("author"), "Calvino");
+  assert.equal(r.id, "openLibrary:/works/OL1855648W");
+  assert.equal(r.title, "Il visconte dimezzato");
+  assert.equal(r.authorLast, "Calvino");
+  assert.equal(r.publisher, "Einaudi");
+  assert.equal(r.publishedDate, "1952");
+  assert.equal(r.language, "it");
+  assert.equal(r.pages, 112);
+  assert.equal(r.isbn, "9788804667933");
+  assert.equal(r.coverUrl, "https://covers.openlibrary.org/b/id/8231870-M.jpg");
+});
+
+test("SBN: briefRecords by ISBN", async () => {
+  const { fetchImpl, urls } = recorded(byIsbn);
+  const [r] = await sbnOpac.search({ isbn: ISBN }, { fetchImpl });
+  assert.equal(new URL(urls[0]).searchParams.get("isbn"), ISBN);
+  assert.equal(r.id, "sbn:IT\\ICCU\\USM\\1946218");
+  assert.equal(r.title, "Il barone rampante");
+  assert.deepEqual(r.contributors, [{ last: "Calvino", first: "Italo", role: "author" }]);
+  assert.equal(r.publisher, "Mondadori");
+  assert.equal(r.publishedDate, "2016");
+  assert.equal(r.isbn, ISBN);
+  assert.equal(r.coverUrl, "");
+});
+
+test("searchMetadata: one result per ISBN, empty fields filled in priority order", async () => {
+  const { fetchImpl } = recorded(byIsbn);
+  const { results, errors } = await searchMetadata({ isbn: ISBN }, { fetchImpl });
+  assert.deepEqual(errors, []);
+  assert.equal(results.length, 1);
+  const [r] = results;
+  assert.deepEqual(r.sources, ["googleBooks", "sbn", "openLibrary"]);
+  assert.equal(r.source, "googleBooks");
+  assert.equal(r.publishedDate, "2016-05-10");
+  assert.equal(r.pages, 272);
+  assert.match(r.coverUrl, /^https:\/\/books\.google\.com\//);
+});
+
+test("searchMetadata: a failing provider is reported, the others still answer", async () => {
+  const { fetchImpl } = recorded({ ...byIsbn, "www.googleapis.com/books/v1/volumes": 503 });
+  const { results, errors } = await searchMetadata({ isbn: ISBN }, { order: ["googleBooks", "openLibrary", "sbn"], fetchImpl });
+  assert.deepEqual(errors, [{ provider: "googleBooks", message: "errore HTTP 503" }]);
+  assert.deepEqual(results[0].sources, ["openLibrary", "sbn"]);
+  assert.equal(results[0].coverUrl, "https://covers.openlibrary.org/b/id/8231856-M.jpg");
+});